@@ -11,3 +11,23 @@ export const connectDB = async () => {
     process.exit(1);
   }
 };
+
+let transactionSupport = null;
+
+/**
+ * Whether the connected deployment supports multi-document transactions
+ * (replica set or sharded cluster). Standalone servers do not.
+ * Set MONGODB_TRANSACTIONS=false to force the non-transactional path.
+ * @returns {Promise<boolean>}
+ */
+export const supportsTransactions = async () => {
+  if (process.env.MONGODB_TRANSACTIONS === 'false') return false;
+  
+  if (transactionSupport === null) {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    transactionSupport = Boolean(hello.setName) || hello.msg === 'isdbgrid';
+    console.log(`MongoDB transactions ${transactionSupport ? 'enabled' : 'not available (standalone server)'}`);
+  }
+  
+  return transactionSupport;
+};
@@ -0,0 +1,121 @@
+import crypto from 'crypto';
+import fs from 'fs';
+
+/**
+ * Master keys for encryption at rest.
+ *
+ * Master keys only wrap the random data keys stored objects are encrypted with. They are
+ * read from ENCRYPTION_KEYFILE (one base64-encoded 32-byte key per line, # comments) or
+ * from ENCRYPTION_MASTER_KEY plus ENCRYPTION_PREVIOUS_MASTER_KEYS (comma-separated).
+ * The first key is current and wraps new data keys; the others are older keys still
+ * needed to unwrap data keys the key rotation job has not rewrapped yet.
+ * Keys are identified by a fingerprint (keyId) that is stored with each wrapped key.
+ * Without any key, new data is stored unencrypted.
+ */
+
+const MASTER_KEY_BYTES = 32;
+
+let keyring = null;
+
+/**
+ * Fingerprint identifying a master key
+ * @param {Buffer} key
+ * @returns {string}
+ */
+export const getKeyId = (key) => crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+
+/**
+ * Helper function to decode a base64 master key
+ */
+const parseMasterKey = (encoded, source) => {
+  const key = Buffer.from(encoded.trim(), 'base64');
+  if (key.length !== MASTER_KEY_BYTES) {
+    throw new Error(`Invalid master key in ${source}: expected ${MASTER_KEY_BYTES} bytes, base64-encoded`);
+  }
+  return key;
+};
+
+/**
+ * Read the configured master keys
+ */
+const loadKeyring = () => {
+  let source = null;
+  let encoded = [];
+  
+  if (process.env.ENCRYPTION_KEYFILE) {
+    source = process.env.ENCRYPTION_KEYFILE;
+    encoded = fs.readFileSync(source, 'utf8').split('\n')
+      .map((line) => line.trim())
+      .filter((line) => line && !line.startsWith('#'));
+  } else if (process.env.ENCRYPTION_MASTER_KEY) {
+    source = 'ENCRYPTION_MASTER_KEY';
+    encoded = [process.env.ENCRYPTION_MASTER_KEY, ...(process.env.ENCRYPTION_PREVIOUS_MASTER_KEYS || '').split(',')]
+      .filter((key) => key.trim());
+  }
+  
+  const keys = encoded.map((key) => {
+    const masterKey = parseMasterKey(key, source);
+    return { id: getKeyId(masterKey), key: masterKey };
+  });
+  
+  return {
+    source,
+    current: keys[0] || null,
+    keys: new Map(keys.map(({ id, key }) => [id, key]))
+  };
+};
+
+/**
+ * Configured master keys (read once)
+ * @returns {{source: string|null, current: {id: string, key: Buffer}|null, keys: Map<string, Buffer>}}
+ */
+export const getKeyring = () => {
+  if (!keyring) {
+    keyring = loadKeyring();
+  }
+  return keyring;
+};
+
+/**
+ * Whether new data is encrypted
+ * @returns {boolean}
+ */
+export const isEncryptionEnabled = () => getKeyring().current !== null;
+
+/**
+ * Master key new data keys are wrapped with
+ * @returns {{id: string, key: Buffer}}
+ */
+export const getCurrentMasterKey = () => {
+  const { current } = getKeyring();
+  if (!current) {
+    throw new Error('No master key configured (ENCRYPTION_KEYFILE or ENCRYPTION_MASTER_KEY)');
+  }
+  return current;
+};
+
+/**
+ * Master key by ID
+ * @param {string} keyId
+ * @returns {Buffer}
+ */
+export const getMasterKey = (keyId) => {
+  const key = getKeyring().keys.get(keyId);
+  if (!key) {
+    throw new Error(`Master key ${keyId} is not configured`);
+  }
+  return key;
+};
+
+/**
+ * Load the master keys at startup, so a broken keyfile or key stops the server
+ */
+export const initEncryption = () => {
+  const { source, current, keys } = getKeyring();
+  
+  if (!current) {
+    console.warn('Encryption at rest is disabled: no master key configured (ENCRYPTION_KEYFILE or ENCRYPTION_MASTER_KEY)');
+    return;
+  }
+  console.log(`Encryption at rest enabled with master key ${current.id} from ${source} (${keys.size} keys configured)`);
+};
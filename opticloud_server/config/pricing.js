@@ -0,0 +1,158 @@
+/**
+ * Pricing used for cost accounting and projections (USD).
+ *
+ * - Storage per GB-month:        STORAGE_PRICE_<TIER>_GB_MONTH
+ * - Retrieval per GB downloaded: RETRIEVAL_PRICE_<TIER>_GB
+ * - Fee per migration:           MIGRATION_FEE_<FROM>_<TO>, falling back to MIGRATION_FEE
+ * - Minimum storage duration:    MIN_STORAGE_DAYS_<TIER>; data deleted or moved out of the
+ *   tier earlier is charged for the remaining days
+ */
+
+const DEFAULT_STORAGE_PRICE_GB_MONTH = {
+  HOT: 0.023,
+  WARM: 0.0125,
+  COLD: 0.004
+};
+
+const DEFAULT_RETRIEVAL_PRICE_GB = {
+  HOT: 0,
+  WARM: 0.01,
+  COLD: 0.03
+};
+
+const DEFAULT_MIN_STORAGE_DAYS = {
+  HOT: 0,
+  WARM: 30,
+  COLD: 90
+};
+
+// Matches the historical $0.10 fine per migration
+const DEFAULT_MIGRATION_FEE = 0.10;
+
+export const BYTES_PER_GB = 1024 * 1024 * 1024;
+
+// Storage prices are per GB-month; daily costs use a 30-day month
+export const DAYS_PER_MONTH = 30;
+
+/**
+ * Read a non-negative price from the environment
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Default price
+ * @returns {number}
+ */
+const readPrice = (name, fallback) => {
+  const value = process.env[name];
+  if (value === undefined || value === '') return fallback;
+  const price = Number(value);
+  return Number.isFinite(price) && price >= 0 ? price : fallback;
+};
+
+/**
+ * Get the storage price per GB-month for each tier
+ * @returns {{HOT: number, WARM: number, COLD: number}}
+ */
+export const getStoragePricing = () => {
+  return Object.fromEntries(
+    Object.entries(DEFAULT_STORAGE_PRICE_GB_MONTH).map(([tier, price]) => (
+      [tier, readPrice(`STORAGE_PRICE_${tier}_GB_MONTH`, price)]
+    ))
+  );
+};
+
+/**
+ * Get the retrieval price per GB downloaded from each tier
+ * @returns {{HOT: number, WARM: number, COLD: number}}
+ */
+export const getRetrievalPricing = () => {
+  return Object.fromEntries(
+    Object.entries(DEFAULT_RETRIEVAL_PRICE_GB).map(([tier, price]) => (
+      [tier, readPrice(`RETRIEVAL_PRICE_${tier}_GB`, price)]
+    ))
+  );
+};
+
+/**
+ * Get the minimum number of days data is billed for in each tier
+ * @returns {{HOT: number, WARM: number, COLD: number}}
+ */
+export const getMinimumStorageDays = () => {
+  return Object.fromEntries(
+    Object.entries(DEFAULT_MIN_STORAGE_DAYS).map(([tier, days]) => (
+      [tier, readPrice(`MIN_STORAGE_DAYS_${tier}`, days)]
+    ))
+  );
+};
+
+/**
+ * Fee charged for moving one file between two tiers
+ * @param {string} fromTier
+ * @param {string} toTier
+ * @returns {number} - USD
+ */
+export const getMigrationFee = (fromTier, toTier) => {
+  const defaultFee = readPrice('MIGRATION_FEE', DEFAULT_MIGRATION_FEE);
+  return readPrice(`MIGRATION_FEE_${fromTier}_${toTier}`, defaultFee);
+};
+
+/**
+ * All prices in effect, for reports
+ * @returns {Object}
+ */
+export const getPricing = () => {
+  const tiers = Object.keys(DEFAULT_STORAGE_PRICE_GB_MONTH);
+  const migrationFees = {};
+  for (const from of tiers) {
+    for (const to of tiers) {
+      if (from !== to) migrationFees[`${from}->${to}`] = getMigrationFee(from, to);
+    }
+  }
+  
+  return {
+    storagePerGbMonth: getStoragePricing(),
+    retrievalPerGb: getRetrievalPricing(),
+    minimumStorageDays: getMinimumStorageDays(),
+    migrationFees
+  };
+};
+
+/**
+ * Monthly storage cost of a number of bytes in a tier
+ * @param {number} bytes
+ * @param {string} tier - 'HOT', 'WARM' or 'COLD'
+ * @returns {number} - USD per month
+ */
+export const calculateMonthlyStorageCost = (bytes, tier) => {
+  return (bytes / BYTES_PER_GB) * getStoragePricing()[tier];
+};
+
+/**
+ * Daily storage cost of a number of bytes in a tier
+ * @param {number} bytes
+ * @param {string} tier - 'HOT', 'WARM' or 'COLD'
+ * @returns {number} - USD per day
+ */
+export const calculateDailyStorageCost = (bytes, tier) => {
+  return calculateMonthlyStorageCost(bytes, tier) / DAYS_PER_MONTH;
+};
+
+/**
+ * Retrieval cost of downloading a number of bytes from a tier
+ * @param {number} bytes
+ * @param {string} tier - 'HOT', 'WARM' or 'COLD'
+ * @returns {number} - USD
+ */
+export const calculateRetrievalCost = (bytes, tier) => {
+  return (bytes / BYTES_PER_GB) * getRetrievalPricing()[tier];
+};
+
+/**
+ * Charge for removing data from a tier before its minimum storage duration
+ * @param {number} bytes
+ * @param {string} tier - 'HOT', 'WARM' or 'COLD'
+ * @param {number} daysStored - Days the data has been in the tier
+ * @returns {number} - USD (0 once the minimum has been met)
+ */
+export const calculateEarlyDeletionCharge = (bytes, tier, daysStored) => {
+  const remainingDays = getMinimumStorageDays()[tier] - daysStored;
+  return remainingDays > 0 ? calculateDailyStorageCost(bytes, tier) * remainingDays : 0;
+};
@@ -1,6 +1,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { parseCompressionPolicy } from '../utils/compressionUtils.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -12,9 +13,25 @@ const STORAGE_BASE = path.join(__dirname, '..', 'storage');
 export const STORAGE_DIRS = {
   HOT: path.join(STORAGE_BASE, 'HOT'),
   WARM: path.join(STORAGE_BASE, 'WARM'),
-  COLD: path.join(STORAGE_BASE, 'COLD')
+  COLD: path.join(STORAGE_BASE, 'COLD'),
+  UPLOADS: path.join(STORAGE_BASE, 'UPLOADS') // Staged chunks of resumable uploads
 };
 
+// Storage area (passed to adapters like a tier) holding staged resumable upload chunks
+export const UPLOAD_STAGING_AREA = 'UPLOADS';
+
+// GridFS bucket per tier (collections <bucket>.files / <bucket>.chunks)
+export const GRIDFS_BUCKETS = {
+  HOT: 'hotFiles',
+  WARM: 'warmFiles',
+  COLD: 'coldFiles',
+  UPLOADS: 'uploadChunks'
+};
+
+// Storage backends new data can be written to.
+// 'mongo' (Base64 inside the File document) is legacy and only read.
+export const STORAGE_BACKENDS = ['gridfs', 'fs'];
+
 /**
  * Initialize storage directories
  */
@@ -48,3 +65,43 @@ export const getStoragePath = (tier) => {
 export const getFilePath = (tier, fileName) => {
   return path.join(getStoragePath(tier), fileName);
 };
+
+/**
+ * Get the configured storage backend for a tier.
+ * STORAGE_BACKEND_<TIER> overrides STORAGE_BACKEND, which defaults to 'gridfs'.
+ * @param {string} tier - 'HOT', 'WARM' or 'COLD'
+ * @returns {string} - Backend name (see STORAGE_BACKENDS)
+ */
+export const getTierBackend = (tier) => {
+  const backend = process.env[`STORAGE_BACKEND_${tier}`] || process.env.STORAGE_BACKEND || 'gridfs';
+  if (!STORAGE_BACKENDS.includes(backend)) {
+    throw new Error(`Unknown storage backend "${backend}" configured for ${tier} tier`);
+  }
+  return backend;
+};
+
+// Compression applied to data moving into a tier, unless configured otherwise
+const DEFAULT_TIER_COMPRESSION = { HOT: 'none', WARM: 'gzip', COLD: 'br' };
+
+/**
+ * Get the compression policy for data written to a tier by migrations.
+ * COMPRESSION_<TIER> is 'none', 'gzip' or 'br', optionally with a level ('br:11');
+ * defaults to none on HOT, gzip on WARM and br on COLD.
+ * @param {string} tier - 'HOT', 'WARM' or 'COLD'
+ * @returns {{algorithm: string, level: number}|null} - null for no compression
+ */
+export const getTierCompression = (tier) => {
+  const variable = `COMPRESSION_${tier}`;
+  return parseCompressionPolicy(process.env[variable] || DEFAULT_TIER_COMPRESSION[tier] || 'none', variable);
+};
+
+/**
+ * Check the storage backend and compression policy of every tier, so a misconfigured
+ * one stops the server at startup instead of failing uploads and migrations
+ */
+export const checkTierConfig = () => {
+  Object.keys(DEFAULT_TIER_COMPRESSION).forEach((tier) => {
+    const compression = getTierCompression(tier);
+    console.log(`${tier} tier: ${getTierBackend(tier)} backend, ${compression ? `${compression.algorithm} level ${compression.level}` : 'no'} compression`);
+  });
+};
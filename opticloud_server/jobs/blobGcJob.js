@@ -0,0 +1,30 @@
+import { collectOrphanBlobs, retryPendingReleases } from '../services/blobService.js';
+
+/**
+ * Setup garbage collection of blobs no file references any more, after retrying the
+ * releases of deleted files' data that failed
+ * @param {Agenda} agenda - Agenda instance
+ */
+export const setupBlobGcJob = (agenda) => {
+  agenda.define('collect orphaned blobs', async (job) => {
+    try {
+      const { released, failed } = await retryPendingReleases();
+      if (released > 0 || failed > 0) {
+        console.log(`[Dedup] Released the data of ${released} deleted files (${failed} still pending)`);
+      }
+      
+      const { blobs, bytes } = await collectOrphanBlobs();
+      
+      if (blobs > 0) {
+        console.log(`[Dedup] Reclaimed ${blobs} orphaned blobs (${bytes} bytes)`);
+      }
+    } catch (error) {
+      console.error('Blob garbage collection job error:', error);
+    }
+  });
+  
+  // Run garbage collection every 15 minutes
+  agenda.every('15 minutes', 'collect orphaned blobs');
+  
+  console.log('Blob garbage collection job scheduled to run every 15 minutes');
+};
@@ -0,0 +1,23 @@
+import { takeCostSnapshot } from '../services/costService.js';
+
+/**
+ * Setup daily cost snapshots with Agenda.js
+ * Runs hourly and rewrites the current day's snapshot, so every day keeps the usage
+ * measured last on that day even if the server was down at midnight.
+ * @param {Agenda} agenda - Agenda instance
+ */
+export const setupCostSnapshotJob = (agenda) => {
+  agenda.define('snapshot storage costs', async (job) => {
+    try {
+      const rows = await takeCostSnapshot();
+      console.log(`Cost snapshot updated (${rows} tier/owner rows)`);
+    } catch (error) {
+      console.error('Cost snapshot job error:', error);
+    }
+  });
+  
+  // Run snapshot job every hour
+  agenda.every('1 hour', 'snapshot storage costs');
+  
+  console.log('Cost snapshot job scheduled to run every hour');
+};
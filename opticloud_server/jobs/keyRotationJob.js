@@ -0,0 +1,24 @@
+import { rewrapDataKeys } from '../services/keyRotationService.js';
+
+/**
+ * Setup rewrapping of data keys under the current master key
+ * @param {Agenda} agenda - Agenda instance
+ */
+export const setupKeyRotationJob = (agenda) => {
+  agenda.define('rewrap data keys', async (job) => {
+    try {
+      const { keyId, rewrapped, failed } = await rewrapDataKeys();
+      
+      if (rewrapped > 0 || failed > 0) {
+        console.log(`[Encryption] Rewrapped ${rewrapped} data keys under master key ${keyId} (${failed} failed)`);
+      }
+    } catch (error) {
+      console.error('Key rotation job error:', error);
+    }
+  });
+  
+  // Run key rotation job every 5 minutes
+  agenda.every('5 minutes', 'rewrap data keys');
+  
+  console.log('Key rotation job scheduled to run every 5 minutes');
+};
@@ -1,57 +1,116 @@
 import Agenda from 'agenda';
 import { getFilesForMigration } from '../services/decisionEngine.js';
-import { migrateFile } from '../services/migrationService.js';
-import { getAllFileModels } from '../models/File.js';
+import { migrateBlobFiles, MAX_RETRY_ATTEMPTS } from '../services/migrationService.js';
+import {
+  MIGRATE_FILE_JOB,
+  setMigrationQueue,
+  getMigrationConcurrency,
+  getRetryDelayMs,
+  enqueueMigration,
+  purgeFinishedMigrationJobs
+} from '../services/migrationQueue.js';
+import { getQuotaDemotions, getTierHeadroom } from '../services/quotaService.js';
+import { getAllFileModels, getFileModelByTier } from '../models/File.js';
 
 /**
- * Setup migration job with Agenda.js
+ * Setup migration jobs with Agenda.js
+ * 'migrate files' is a sweep that only decides what to move and queues one
+ * 'migrate file' job per candidate; the per-file jobs do the actual work.
  * @param {Agenda} agenda - Agenda instance
  */
 export const setupMigrationJob = (agenda) => {
-  // Define migration job with exponential backoff retry
+  const concurrency = getMigrationConcurrency();
+  
+  // Migrate a single file, and the files sharing its data along with it; failures are
+  // retried with exponential backoff
+  agenda.define(MIGRATE_FILE_JOB, {
+    concurrency,
+    lockLifetime: 10 * 60 * 1000 // 10 minutes lock lifetime
+  }, async (job) => {
+    const { fileId, fileName, fromTier, targetTier, trigger } = job.attrs.data;
+    
+    // The file may have moved, been deleted or started migrating since it was queued
+    const Model = getFileModelByTier(fromTier);
+    const file = await Model.findById(fileId);
+    if (!file || file.isLocked || file.migrationStatus !== 'IDLE') {
+      console.log(`Skipping migration of ${fileName}: no longer idle in ${fromTier}`);
+      return;
+    }
+    
+    try {
+      await migrateBlobFiles(fileId, fromTier, targetTier, { trigger });
+    } catch (error) {
+      console.error(`Failed to migrate ${fileName} from ${fromTier} to ${targetTier}:`, error.message);
+      
+      // migrateFile counts the attempt on the file; retry the same job later unless it gave up
+      const failed = await Model.findById(fileId);
+      if (failed && failed.migrationStatus === 'IDLE' && failed.retryAttempts < MAX_RETRY_ATTEMPTS) {
+        const delay = getRetryDelayMs(failed.retryAttempts);
+        job.schedule(new Date(Date.now() + delay));
+        console.log(`Retrying migration of ${fileName} in ${Math.round(delay / 1000)}s (attempt ${failed.retryAttempts + 1} of ${MAX_RETRY_ATTEMPTS})`);
+      }
+      
+      throw error; // Recorded as failReason/failCount on the job
+    }
+  });
+  
+  // Sweep all tiers and queue a job per file that needs to move
   agenda.define('migrate files', {
-    concurrency: 1, // Process one file at a time to avoid overwhelming the system
+    concurrency: 1,
     lockLifetime: 10 * 60 * 1000, // 10 minutes lock lifetime
-    lockLimit: 1,
-    // Exponential backoff: retry after 1min, 2min, 4min (up to 3 attempts)
-    attempts: 3,
-    backoff: {
-      type: 'exponential',
-      delay: 60000 // Start with 1 minute delay
-    }
+    lockLimit: 1
   }, async (job) => {
     console.log('Running migration job...');
     
     try {
+      // Owners over their HOT quota get their least recently accessed HOT files demoted first
+      const quotaDemotions = await getQuotaDemotions();
+      for (const { file, currentTier, targetTier, reason } of quotaDemotions) {
+        try {
+          await enqueueMigration({ file, fromTier: currentTier, targetTier, reason, trigger: 'quota', priority: 'high' });
+        } catch (error) {
+          console.error(`Failed to queue quota demotion of ${file.fileName}:`, error.message);
+        }
+      }
+      
       // Get files that need migration from all tier collections
       const allModels = getAllFileModels();
       const filesToMigrate = await getFilesForMigration(allModels);
+      const hotHeadroom = await getTierHeadroom('HOT');
       
-      console.log(`Found ${filesToMigrate.length} files to migrate`);
+      console.log(`Found ${filesToMigrate.length} files to migrate (${quotaDemotions.length} quota demotions)`);
       
-      // Process each file
-      for (const fileInfo of filesToMigrate) {
+      for (const { file, currentTier, targetTier, reason } of filesToMigrate) {
+        // Promotions must not push an owner over the HOT quota (and straight into a quota demotion)
+        const owner = file.owner?.toString();
+        if (targetTier === 'HOT' && hotHeadroom.has(owner)) {
+          if (hotHeadroom.get(owner) < file.size) continue;
+          hotHeadroom.set(owner, hotHeadroom.get(owner) - file.size);
+        }
+        
         try {
-          const { file, currentTier, targetTier } = fileInfo;
-          console.log(`Migrating ${file.fileName} from ${currentTier} to ${targetTier}`);
-          await migrateFile(file._id.toString(), currentTier, targetTier);
-          console.log(`Successfully migrated ${file.fileName}`);
+          await enqueueMigration({ file, fromTier: currentTier, targetTier, reason });
         } catch (error) {
-          console.error(`Failed to migrate ${fileInfo.file.fileName}:`, error.message);
-          // Error handling is done in migrateFile (retry logic)
-          // Agenda.js will handle retry with exponential backoff
+          console.error(`Failed to queue migration of ${file.fileName}:`, error.message);
         }
       }
+      
+      const purged = await purgeFinishedMigrationJobs();
+      if (purged > 0) {
+        console.log(`Removed ${purged} finished migration jobs`);
+      }
     } catch (error) {
       console.error('Migration job error:', error);
-      throw error; // Agenda will retry based on configuration
+      throw error;
     }
   });
   
+  setMigrationQueue(agenda);
+  
   // Schedule job to run every 20 seconds
   agenda.every('20 seconds', 'migrate files');
   
-  console.log('Migration job scheduled to run every 20 seconds with exponential backoff retry');
+  console.log(`Migration job scheduled to run every 20 seconds; ${concurrency} file migrations run concurrently with exponential backoff retry`);
 };
 
 /**
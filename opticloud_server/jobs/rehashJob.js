@@ -0,0 +1,24 @@
+import { rehashChecksums } from '../services/rehashService.js';
+
+/**
+ * Setup re-hashing of checksums stored with another algorithm than HASH_ALGORITHM
+ * @param {Agenda} agenda - Agenda instance
+ */
+export const setupRehashJob = (agenda) => {
+  agenda.define('rehash checksums', async (job) => {
+    try {
+      const { algorithm, blobs, files, mismatches } = await rehashChecksums();
+      
+      if (blobs > 0 || files > 0 || mismatches > 0) {
+        console.log(`[Rehash] Moved ${blobs} blobs and ${files} files to ${algorithm} (${mismatches} no longer matched their checksum)`);
+      }
+    } catch (error) {
+      console.error('Rehash job error:', error);
+    }
+  });
+  
+  // Run rehash job every 10 minutes
+  agenda.every('10 minutes', 'rehash checksums');
+  
+  console.log('Rehash job scheduled to run every 10 minutes');
+};
@@ -0,0 +1,28 @@
+import { scrubStoredData } from '../services/scrubService.js';
+
+/**
+ * Setup scrubbing of stored data against its checksums
+ * @param {Agenda} agenda - Agenda instance
+ */
+export const setupScrubJob = (agenda) => {
+  agenda.define('scrub stored data', {
+    concurrency: 1,
+    lockLimit: 1,
+    lockLifetime: 60 * 60 * 1000 // A single large object may take longer than a run at the throttled rate
+  }, async (job) => {
+    try {
+      const { verified, repaired, corrupted, failed, bytes } = await scrubStoredData();
+      
+      if (verified + repaired + corrupted + failed > 0) {
+        console.log(`[Scrub] Verified ${verified}, repaired ${repaired}, flagged ${corrupted} as corrupted, ${failed} failed (${bytes} bytes read)`);
+      }
+    } catch (error) {
+      console.error('Scrub job error:', error);
+    }
+  });
+  
+  // Run scrub job every 5 minutes (each run reads for at most about 4 minutes)
+  agenda.every('5 minutes', 'scrub stored data');
+  
+  console.log('Scrub job scheduled to run every 5 minutes');
+};
@@ -0,0 +1,24 @@
+import { expireUploadSessions } from '../services/uploadSessionService.js';
+
+/**
+ * Setup garbage collection of abandoned resumable upload sessions
+ * @param {Agenda} agenda - Agenda instance
+ */
+export const setupUploadCleanupJob = (agenda) => {
+  agenda.define('clean up upload sessions', async (job) => {
+    try {
+      const removed = await expireUploadSessions();
+      
+      if (removed > 0) {
+        console.log(`Removed ${removed} abandoned upload sessions`);
+      }
+    } catch (error) {
+      console.error('Upload cleanup job error:', error);
+    }
+  });
+  
+  // Run cleanup job every 15 minutes
+  agenda.every('15 minutes', 'clean up upload sessions');
+  
+  console.log('Upload cleanup job scheduled to run every 15 minutes');
+};
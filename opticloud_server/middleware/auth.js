@@ -0,0 +1,145 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import { verifyToken } from '../services/authService.js';
+import { isApiKey, findActiveApiKey, touchApiKey } from '../services/apiKeyService.js';
+import { hasSignature, verifyDownloadSignature } from '../services/signedUrlService.js';
+
+/**
+ * Authentication and owner isolation
+ *
+ * authenticate accepts a user access token or an API key ("Authorization: Bearer <token>",
+ * or "X-API-Key: <key>") and sets req.user to { id, username, role, scopes, apiKeyId }.
+ * An API key acts as its owner; scopes lists what it may do (null for access tokens,
+ * which may do everything their role allows). Files and upload sessions belong to the
+ * user who created them; only admins see other users' (and unowned legacy) documents.
+ *
+ * Downloads may instead carry a signed URL (acceptSignedDownload), which grants access to
+ * that one file without credentials.
+ */
+
+/**
+ * Helper function to find the user an API key belongs to
+ * @returns {Promise<{user: Object, apiKey: Object}|null>}
+ */
+const authenticateApiKey = async (key, ip) => {
+  const apiKey = await findActiveApiKey(key);
+  const user = apiKey ? await User.findById(apiKey.owner) : null;
+  if (!user) return null;
+  
+  touchApiKey(apiKey, ip);
+  return { user, apiKey };
+};
+
+/**
+ * Accept a signed URL on GET /:id/download (mounted in front of authenticate on /api/files).
+ * A valid signature sets req.signedDownload to the grant and req.user to a read-only
+ * principal; an invalid one is refused with 403. Requests without a signature pass through.
+ */
+export const acceptSignedDownload = (req, res, next) => {
+  const match = /^\/([^/]+)\/download\/?$/.exec(req.path);
+  if (!match || !['GET', 'HEAD'].includes(req.method) || !hasSignature(req.query)) {
+    return next();
+  }
+  
+  const { grant, error } = verifyDownloadSignature(match[1], req.query, req.ip);
+  if (error) {
+    console.log(`[SignedURL] Refused download of ${match[1]} from ${req.ip}: ${error}`);
+    return res.status(403).json({ error });
+  }
+  
+  req.signedDownload = grant;
+  req.user = { id: grant.issuedBy, username: null, role: 'user', scopes: ['files:read'], apiKeyId: null };
+  next();
+};
+
+/**
+ * Require a valid access token or API key (requests with a verified signed URL pass)
+ */
+export const authenticate = async (req, res, next) => {
+  if (req.signedDownload) {
+    return next();
+  }
+  
+  try {
+    const [scheme, bearer] = (req.get('Authorization') || '').split(' ');
+    const credential = req.get('X-API-Key') || (scheme === 'Bearer' ? bearer : null);
+    
+    // The account is looked up on every request so deleted users and role changes apply at once
+    let user = null;
+    let apiKey = null;
+    if (isApiKey(credential)) {
+      ({ user, apiKey } = await authenticateApiKey(credential, req.ip) || {});
+    } else {
+      const claims = verifyToken(credential);
+      user = claims && mongoose.isValidObjectId(claims.sub) ? await User.findById(claims.sub) : null;
+    }
+    
+    if (!user) {
+      return res.status(401).set('WWW-Authenticate', 'Bearer').json({ error: 'Authentication required' });
+    }
+    
+    req.user = {
+      id: user._id.toString(),
+      username: user.username,
+      role: user.role,
+      scopes: apiKey ? apiKey.scopes : null,
+      apiKeyId: apiKey ? apiKey._id.toString() : null
+    };
+    next();
+  } catch (error) {
+    console.error('Error authenticating request:', error);
+    res.status(500).json({ error: 'Authentication failed', details: error.message });
+  }
+};
+
+/**
+ * Require the admin role (after authenticate)
+ */
+export const requireAdmin = (req, res, next) => {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin role required' });
+  }
+  next();
+};
+
+/**
+ * Require an API key scope (after authenticate). Access tokens pass every scope check.
+ * @param {string} scope - One of API_KEY_SCOPES
+ * @returns {Function} - Express middleware
+ */
+export const requireScope = (scope) => (req, res, next) => {
+  if (req.user?.scopes && !req.user.scopes.includes(scope)) {
+    return res.status(403).json({ error: `API key is missing the ${scope} scope` });
+  }
+  next();
+};
+
+/**
+ * Refuse API keys (after authenticate) on endpoints no scope covers, such as account
+ * and key management
+ */
+export const denyApiKeys = (req, res, next) => {
+  if (req.user?.apiKeyId) {
+    return res.status(403).json({ error: 'API keys cannot access this endpoint' });
+  }
+  next();
+};
+
+/**
+ * Query filter for the documents a user may see
+ * @param {Object} user - req.user
+ * @returns {Object} - {} for admins, { owner } otherwise
+ */
+export const ownerFilter = (user) => {
+  return user.role === 'admin' ? {} : { owner: user.id };
+};
+
+/**
+ * Check whether a user may access a document with an owner
+ * @param {Object} user - req.user
+ * @param {Object} doc - File or UploadSession document
+ * @returns {boolean}
+ */
+export const canAccess = (user, doc) => {
+  return user.role === 'admin' || (doc.owner != null && doc.owner.toString() === user.id);
+};
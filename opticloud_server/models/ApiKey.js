@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+/**
+ * ApiKey - Credential for service-to-service access.
+ * A key acts as its owner, limited to its scopes. Only a SHA-256 hash of the key is
+ * stored; the key itself is shown once, when it is issued.
+ */
+export const API_KEY_SCOPES = ['files:read', 'files:write', 'files:delete', 'migrations:trigger', 'admin:logs'];
+
+// Scopes only admins may grant, since the routes behind them are admin-only
+export const ADMIN_SCOPES = ['migrations:trigger', 'admin:logs'];
+
+const ApiKeySchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  prefix: { type: String, required: true }, // First characters of the key, to recognise it in listings
+  keyHash: { type: String, required: true, unique: true }, // SHA-256 of the key (hex)
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  scopes: {
+    type: [{ type: String, enum: API_KEY_SCOPES }],
+    validate: [(scopes) => scopes.length > 0, 'At least one scope is required']
+  },
+  expiresAt: { type: Date, default: null }, // null = never expires
+  revokedAt: { type: Date, default: null },
+  lastUsedAt: { type: Date, default: null },
+  lastUsedIp: { type: String, default: null }
+}, { collection: 'apikeys', timestamps: true });
+
+const ApiKey = mongoose.model('ApiKey', ApiKeySchema);
+export default ApiKey;
@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+import { HASH_ALGORITHMS, LEGACY_HASH_ALGORITHM } from '../utils/hashUtils.js';
+import { EncryptionSchema } from './File.js';
+import { COMPRESSION_ALGORITHMS } from '../utils/compressionUtils.js';
+
+/**
+ * Blob - File data stored once per tier and checksum (content-addressed storage).
+ * Only checksums of the same algorithm are compared, so data is shared again once
+ * the rehash job has brought a blob to the configured algorithm.
+ * File documents point at a blob (blobId) and share its storageBackend/storageKey and
+ * how the data is stored (storedChecksum, encryption, compression, storedSize).
+ * refs holds the IDs of the referencing files, so adding or dropping a reference is
+ * idempotent and safe to repeat after a crash; refCount mirrors its length.
+ * A blob whose refCount reached 0 is never referenced again and is reclaimed by the
+ * blob garbage-collection job. Corrupted blobs (found by the scrub job and not
+ * repairable) are not shared with new files.
+ */
+const BlobSchema = new mongoose.Schema({
+  tier: { type: String, enum: ['HOT', 'WARM', 'COLD'], required: true },
+  checksum: { type: String, required: true },
+  checksumAlgorithm: { type: String, enum: HASH_ALGORITHMS, default: LEGACY_HASH_ALGORITHM },
+  storedChecksum: { type: String, default: null }, // Checksum of the data as stored (null: stored as is)
+  encryption: { type: EncryptionSchema, default: null },
+  compression: { type: String, enum: [...COMPRESSION_ALGORITHMS, null], default: null },
+  storedSize: { type: Number, default: null }, // Compressed size (null: stored uncompressed)
+  size: { type: Number, required: true },
+  storageBackend: { type: String, enum: ['gridfs', 'fs'], required: true },
+  storageKey: { type: String, required: true },
+  refs: { type: [mongoose.Schema.Types.ObjectId], default: [] }, // Referencing file IDs
+  refCount: { type: Number, default: 0 },
+  lastVerifiedAt: { type: Date, default: null }, // Data last read back and found to match the checksum
+  lastScrubbedAt: { type: Date, default: null }, // Last scrub, whatever its outcome
+  corruptedAt: { type: Date, default: null }, // Set while the data fails scrubbing
+  corruption: { type: String, default: null } // 'missing' or 'checksum_mismatch'
+}, { collection: 'blobs', timestamps: true });
+
+// Lookup of a tier's live blob for a checksum; duplicates from racing writers are allowed
+BlobSchema.index({ tier: 1, checksum: 1, checksumAlgorithm: 1, refCount: 1 });
+BlobSchema.index({ checksumAlgorithm: 1 });
+BlobSchema.index({ refCount: 1 });
+BlobSchema.index({ tier: 1, lastScrubbedAt: 1 });
+
+const Blob = mongoose.model('Blob', BlobSchema);
+export default Blob;
@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+/**
+ * CostCharge - Usage-based charges summed per day.
+ * One document per day, charge type, tier (the tier read from, moved out of or
+ * deleted from), target tier for transitions, and owner; each charge increments it.
+ */
+export const CHARGE_TYPES = ['retrieval', 'transition', 'early_deletion'];
+
+const CostChargeSchema = new mongoose.Schema({
+  date: { type: Date, required: true }, // UTC midnight of the day
+  type: { type: String, enum: CHARGE_TYPES, required: true },
+  tier: { type: String, enum: ['HOT', 'WARM', 'COLD'], required: true },
+  toTier: { type: String, enum: ['HOT', 'WARM', 'COLD', null], default: null }, // Transitions only
+  owner: { type: mongoose.Schema.Types.ObjectId, default: null },
+  count: { type: Number, default: 0 }, // Downloads, migrations or deletions
+  bytes: { type: Number, default: 0 },
+  amount: { type: Number, default: 0 } // USD
+}, { collection: 'costcharges', timestamps: true });
+
+CostChargeSchema.index({ date: 1, type: 1, tier: 1, toTier: 1, owner: 1 }, { unique: true });
+
+const CostCharge = mongoose.model('CostCharge', CostChargeSchema);
+export default CostCharge;
@@ -0,0 +1,20 @@
+import mongoose from 'mongoose';
+
+/**
+ * CostSnapshot - Stored bytes and storage cost of one day, per tier and owner.
+ * The snapshot job rewrites the current day's snapshot as it runs, so each day
+ * ends up with the usage measured last on that day.
+ */
+const CostSnapshotSchema = new mongoose.Schema({
+  date: { type: Date, required: true }, // UTC midnight of the day
+  tier: { type: String, enum: ['HOT', 'WARM', 'COLD'], required: true },
+  owner: { type: mongoose.Schema.Types.ObjectId, default: null }, // null for files without an owner
+  files: { type: Number, default: 0 },
+  bytes: { type: Number, default: 0 },
+  storageCost: { type: Number, default: 0 } // USD for the day
+}, { collection: 'costsnapshots', timestamps: true });
+
+CostSnapshotSchema.index({ date: 1, tier: 1, owner: 1 }, { unique: true });
+
+const CostSnapshot = mongoose.model('CostSnapshot', CostSnapshotSchema);
+export default CostSnapshot;
@@ -1,4 +1,16 @@
 import mongoose from 'mongoose';
+import { HASH_ALGORITHMS, LEGACY_HASH_ALGORITHM } from '../utils/hashUtils.js';
+import { CONTENT_CIPHER } from '../utils/encryptionUtils.js';
+import { COMPRESSION_ALGORITHMS } from '../utils/compressionUtils.js';
+
+// Encryption parameters of data stored encrypted (File and Blob documents)
+export const EncryptionSchema = new mongoose.Schema({
+  algorithm: { type: String, default: CONTENT_CIPHER },
+  keyId: { type: String, required: true, index: true }, // Master key the data key is wrapped with
+  wrappedKey: { type: String, required: true }, // Data key encrypted with the master key (base64)
+  iv: { type: String, required: true }, // Content IV (base64)
+  authTag: { type: String, required: true } // Content authentication tag (base64)
+}, { _id: false });
 
 // Base File Schema - will be used for all tiers
 const FileSchema = new mongoose.Schema({
@@ -12,10 +24,25 @@ const FileSchema = new mongoose.Schema({
     required: true
   },
   fileData: {
-    type: String, // Store as Base64 string
-    required: true,
+    type: String, // Legacy Base64 string, only present on 'mongo' backend documents
+    required: false,
     select: false // Don't load file data by default (only when needed)
   },
+  storageBackend: {
+    type: String,
+    enum: ['gridfs', 'fs', 'mongo'],
+    default: 'mongo' // Backend holding the file data; legacy documents without it are inline
+  },
+  storageKey: {
+    type: String,
+    required: false // Key of the data within the backend (defaults to the document ID)
+  },
+  blobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blob',
+    default: null,
+    index: true // Shared data this file references; null for files stored before deduplication
+  },
   size: {
     type: Number,
     required: true
@@ -24,6 +51,28 @@ const FileSchema = new mongoose.Schema({
     type: String,
     required: false // Will be calculated on upload/migration
   },
+  checksumAlgorithm: {
+    type: String,
+    enum: HASH_ALGORITHMS,
+    default: LEGACY_HASH_ALGORITHM // Checksums stored before the algorithm was recorded are MD5
+  },
+  storedChecksum: {
+    type: String,
+    default: null // Checksum of the data as stored (compressed and/or encrypted); null when it is stored as is
+  },
+  encryption: {
+    type: EncryptionSchema,
+    default: null // Null for data stored unencrypted
+  },
+  compression: {
+    type: String,
+    enum: [...COMPRESSION_ALGORITHMS, null],
+    default: null // Algorithm the data is stored compressed with; null when uncompressed
+  },
+  storedSize: {
+    type: Number,
+    default: null // Bytes as stored when compressed (size is the content's)
+  },
   sourceChecksumBeforeMigration: {
     type: String,
     required: false // Checksum before migration (for verification display)
@@ -39,7 +88,7 @@ const FileSchema = new mongoose.Schema({
   },
   migrationStatus: {
     type: String,
-    enum: ['IDLE', 'PROCESSING', 'VERIFYING', 'FAILED'],
+    enum: ['IDLE', 'PROCESSING', 'VERIFYING', 'FAILED', 'CORRUPTED'], // CORRUPTED: data failed scrubbing, no migration or download
     default: 'IDLE',
     index: true
   },
@@ -51,11 +100,37 @@ const FileSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  lastVerifiedAt: {
+    type: Date,
+    default: null // Data last read back and found to match the checksum (scrub or migration)
+  },
+  lastScrubbedAt: {
+    type: Date,
+    default: null // Last scrub of the data, whatever its outcome
+  },
+  corruption: {
+    type: String,
+    default: null // Why the data failed scrubbing ('missing' or 'checksum_mismatch')
+  },
   lastAccessDate: {
     type: Date,
     default: Date.now,
     index: true
   },
+  accessCount: {
+    type: Number,
+    default: 0 // Downloads and metadata reads (flushed in batches by the access tracker)
+  },
+  heat: {
+    day: { type: Number, default: 0 }, // Decaying access counter, ~accesses in the last day
+    week: { type: Number, default: 0 }, // Decaying access counter, ~accesses in the last week
+    updatedAt: { type: Date, default: null } // When the counters were last decayed
+  },
+  tags: {
+    type: [String],
+    default: [],
+    index: true // Free-form labels tiering rules can match on
+  },
   uploadDate: {
     type: Date,
     default: Date.now
@@ -63,6 +138,12 @@ const FileSchema = new mongoose.Schema({
   contentType: {
     type: String,
     default: 'application/octet-stream'
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true // Files are listed per owner; legacy files without one are admin-only
   }
 }, {
   timestamps: true
@@ -73,6 +154,14 @@ FileSchema.index({ lastAccessDate: 1 });
 FileSchema.index({ migrationStatus: 1 });
 FileSchema.index({ isLocked: 1 });
 
+// Keyset pagination of GET /api/files sorts on (field, _id), per owner for regular users
+FileSchema.index({ uploadDate: -1, _id: -1 });
+FileSchema.index({ owner: 1, uploadDate: -1, _id: -1 });
+FileSchema.index({ lastAccessDate: 1, _id: 1 });
+FileSchema.index({ fileName: 1, _id: 1 });
+FileSchema.index({ size: 1, _id: 1 });
+FileSchema.index({ contentType: 1, _id: 1 });
+
 // Create models for each tier collection
 export const HotTierFile = mongoose.model('HotTierFile', FileSchema, 'HotTierFiles');
 export const WarmTierFile = mongoose.model('WarmTierFile', FileSchema, 'WarmTierFiles');
@@ -97,5 +186,13 @@ export const getAllFileModels = () => {
   return [HotTierFile, WarmTierFile, ColdTierFile];
 };
 
+// Tiers from hottest to coldest
+export const TIER_ORDER = ['HOT', 'WARM', 'COLD'];
+
+// Helper function to classify a move between tiers
+export const getMigrationDirection = (fromTier, toTier) => {
+  return TIER_ORDER.indexOf(toTier) < TIER_ORDER.indexOf(fromTier) ? 'promotion' : 'demotion';
+};
+
 // Default export for backward compatibility (will use HotTierFile)
 export default HotTierFile;
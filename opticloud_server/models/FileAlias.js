@@ -0,0 +1,18 @@
+import mongoose from 'mongoose';
+
+/**
+ * FileAlias - Per-tier document IDs a file had before IDs became stable across
+ * migrations. Requests for an alias are redirected to the file's stable ID until
+ * the alias expires.
+ */
+const FileAliasSchema = new mongoose.Schema({
+  _id: { type: mongoose.Schema.Types.ObjectId, required: true }, // Old per-tier document ID
+  fileId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true }, // ID it now resolves to
+  expiresAt: { type: Date, required: true }
+}, { collection: 'filealiases', timestamps: true });
+
+// Remove aliases once the transition period is over
+FileAliasSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const FileAlias = mongoose.model('FileAlias', FileAliasSchema);
+export default FileAlias;
@@ -0,0 +1,18 @@
+import mongoose from 'mongoose';
+
+/**
+ * FileCatalog - Which tier collection currently holds each file.
+ * Keyed by the stable file ID, which a file keeps across migrations (the document
+ * is re-created under the same _id in the target tier collection).
+ */
+const FileCatalogSchema = new mongoose.Schema({
+  _id: { type: mongoose.Schema.Types.ObjectId, required: true }, // Stable file ID
+  tier: {
+    type: String,
+    enum: ['HOT', 'WARM', 'COLD'],
+    required: true
+  }
+}, { collection: 'filecatalog', timestamps: true });
+
+const FileCatalog = mongoose.model('FileCatalog', FileCatalogSchema);
+export default FileCatalog;
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+/**
+ * MigrationEvent - Audit record of one migration attempt or recovery action.
+ * Written by migrateFile (successful and failed attempts) and by recoverStuckMigrations,
+ * so every move a file made can be traced with its verified checksums.
+ */
+export const MIGRATION_TRIGGERS = ['scheduled', 'manual', 'promotion', 'quota', 'recovery'];
+export const MIGRATION_OUTCOMES = ['SUCCEEDED', 'FAILED', 'ROLLED_BACK', 'ROLLED_FORWARD', 'RESET'];
+
+const MigrationEventSchema = new mongoose.Schema({
+  fileId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  fileName: { type: String, required: true },
+  fromTier: { type: String, enum: ['HOT', 'WARM', 'COLD'], required: true },
+  toTier: { type: String, enum: ['HOT', 'WARM', 'COLD', null], default: null }, // null when a stuck lock was only reset
+  trigger: { type: String, enum: MIGRATION_TRIGGERS, required: true },
+  outcome: { type: String, enum: MIGRATION_OUTCOMES, required: true },
+  error: { type: String, default: null },
+  checksumAlgorithm: { type: String, default: null }, // Algorithm both checksums were calculated with
+  sourceChecksum: { type: String, default: null }, // Source data hashed before copying
+  targetChecksum: { type: String, default: null }, // Target data hashed after copying
+  verified: { type: Boolean, default: false }, // Both checksums were calculated and matched
+  transactional: { type: Boolean, default: false }, // Commit ran inside a MongoDB transaction
+  intentId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  // Milliseconds spent in each Copy-Verify-Delete phase that was reached
+  phaseTimings: {
+    lock: { type: Number },
+    hashSource: { type: Number },
+    copy: { type: Number },
+    verify: { type: Number },
+    commit: { type: Number },
+    cleanup: { type: Number }
+  },
+  startedAt: { type: Date, required: true },
+  finishedAt: { type: Date, required: true },
+  durationMs: { type: Number, required: true }
+}, { collection: 'migrationevents', timestamps: { createdAt: true, updatedAt: false } });
+
+MigrationEventSchema.index({ fileId: 1, startedAt: -1 });
+MigrationEventSchema.index({ startedAt: -1 });
+
+const MigrationEvent = mongoose.model('MigrationEvent', MigrationEventSchema);
+export default MigrationEvent;
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+/**
+ * MigrationIntent - Durable record of one Copy-Verify-Delete migration.
+ * Written before anything is copied and advanced through its phases, so recovery
+ * knows exactly which documents and data a crashed migration touched.
+ *
+ *   COPYING -> VERIFYING -> COMMITTING -> COMMITTED -> COMPLETED
+ *        \          \
+ *         `----------`--> ROLLED_BACK
+ *
+ * Up to VERIFYING a crash is rolled back (target removed, source unlocked); from
+ * COMMITTING on it is rolled forward (target kept, source removed). Data shared
+ * through blobs is released by dropping a reference instead of being deleted.
+ */
+export const INTENT_PHASES = ['COPYING', 'VERIFYING', 'COMMITTING', 'COMMITTED', 'COMPLETED', 'ROLLED_BACK'];
+
+// Phases of a migration that has not finished yet
+export const OPEN_INTENT_PHASES = ['COPYING', 'VERIFYING', 'COMMITTING', 'COMMITTED'];
+
+const MigrationIntentSchema = new mongoose.Schema({
+  sourceId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+  sourceBackend: { type: String, required: true }, // Where the source data lives, to delete it after commit
+  sourceKey: { type: String, required: true },
+  sourceBlobId: { type: mongoose.Schema.Types.ObjectId, default: null }, // Blob whose reference is dropped after commit (null: data deleted)
+  targetId: { type: mongoose.Schema.Types.ObjectId, required: true }, // Pre-generated ID of the target document
+  fileName: { type: String, required: true },
+  size: { type: Number, default: 0 }, // For the migration charges recorded at commit
+  owner: { type: mongoose.Schema.Types.ObjectId, default: null },
+  sourceEnteredAt: { type: Date, default: null }, // When the file entered the source tier (early-deletion charge)
+  sourceTier: { type: String, enum: ['HOT', 'WARM', 'COLD'], required: true },
+  targetTier: { type: String, enum: ['HOT', 'WARM', 'COLD'], required: true },
+  targetBackend: { type: String, required: true }, // Backend the target data is written to
+  targetKey: { type: String, default: null }, // Key of the target data (older intents: targetId)
+  targetBlobId: { type: mongoose.Schema.Types.ObjectId, default: null }, // Blob the target document references
+  targetLinked: { type: Boolean, default: false }, // Target shares an existing blob; its data is never deleted on rollback
+  trigger: { type: String, default: 'scheduled' },
+  checksumAlgorithm: { type: String, default: null }, // Algorithm of both checksums (the file's)
+  sourceChecksum: { type: String, default: null },
+  targetChecksum: { type: String, default: null },
+  phase: {
+    type: String,
+    enum: INTENT_PHASES,
+    default: 'COPYING',
+    index: true
+  },
+  transactional: { type: Boolean, default: false }, // Commit ran inside a MongoDB transaction
+  error: { type: String, default: null },
+  completedAt: { type: Date, default: null }
+}, { collection: 'migrationintents', timestamps: true });
+
+// Finished intents are only kept for inspection; open ones (completedAt null) never expire
+MigrationIntentSchema.index({ completedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const MigrationIntent = mongoose.model('MigrationIntent', MigrationIntentSchema);
+export default MigrationIntent;
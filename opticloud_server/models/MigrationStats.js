@@ -1,37 +1,49 @@
 import mongoose from 'mongoose';
 
 /**
- * MigrationStats - Tracks migration count for fines calculation.
- * Single document; $0.10 fine per migration between tiers.
+ * MigrationStats - Global migration counters.
+ * Single document; promotions (towards HOT) and demotions (towards COLD) are also
+ * counted separately. Migration fees are accounted per transition by the cost service.
  */
 const MigrationStatsSchema = new mongoose.Schema({
   key: { type: String, unique: true, default: 'global' },
-  totalMigrations: { type: Number, default: 0 }
+  totalMigrations: { type: Number, default: 0 },
+  totalPromotions: { type: Number, default: 0 },
+  totalDemotions: { type: Number, default: 0 }
 }, { collection: 'migrationstats' });
 
 const MigrationStats = mongoose.model('MigrationStats', MigrationStatsSchema);
 
 /**
  * Increment migration count (call after each successful migration).
+ * @param {'promotion'|'demotion'} [direction] - Direction of the move, counted separately when given
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session] - Transaction the increment belongs to
  * @returns {Promise<{ totalMigrations: number }>}
  */
-export const incrementMigrationCount = async () => {
+export const incrementMigrationCount = async (direction, { session } = {}) => {
+  const inc = { totalMigrations: 1 };
+  if (direction === 'promotion') inc.totalPromotions = 1;
+  if (direction === 'demotion') inc.totalDemotions = 1;
+  
   const doc = await MigrationStats.findOneAndUpdate(
     { key: 'global' },
-    { $inc: { totalMigrations: 1 } },
-    { upsert: true, new: true }
+    { $inc: inc },
+    { upsert: true, new: true, session }
   );
   return { totalMigrations: doc.totalMigrations };
 };
 
 /**
  * Get current migration stats.
- * @returns {Promise<{ totalMigrations: number }>}
+ * @returns {Promise<{ totalMigrations: number, totalPromotions: number, totalDemotions: number }>}
  */
 export const getMigrationStats = async () => {
   const doc = await MigrationStats.findOne({ key: 'global' });
   return {
-    totalMigrations: doc ? doc.totalMigrations : 0
+    totalMigrations: doc ? doc.totalMigrations : 0,
+    totalPromotions: doc ? doc.totalPromotions : 0,
+    totalDemotions: doc ? doc.totalDemotions : 0
   };
 };
 
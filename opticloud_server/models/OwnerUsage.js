@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+/**
+ * OwnerUsage - Running total of the files and bytes an owner stores, per tier.
+ * Kept up to date incrementally on upload, migration and delete, and rebuilt from the
+ * tier collections at startup (see services/quotaService.js).
+ */
+const TierUsageSchema = new mongoose.Schema({
+  files: { type: Number, default: 0 },
+  bytes: { type: Number, default: 0 }
+}, { _id: false });
+
+const OwnerUsageSchema = new mongoose.Schema({
+  _id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Owner
+  files: { type: Number, default: 0 },
+  bytes: { type: Number, default: 0 },
+  tiers: {
+    HOT: { type: TierUsageSchema, default: () => ({}) },
+    WARM: { type: TierUsageSchema, default: () => ({}) },
+    COLD: { type: TierUsageSchema, default: () => ({}) }
+  }
+}, { collection: 'ownerusage', timestamps: true });
+
+const OwnerUsage = mongoose.model('OwnerUsage', OwnerUsageSchema);
+export default OwnerUsage;
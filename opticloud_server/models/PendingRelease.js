@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+/**
+ * PendingRelease - Data of a deleted file that could not be released right away.
+ * Holds what releaseFileData needs once the File document is gone: the blob whose
+ * reference to drop, or where data stored before deduplication lives. The blob
+ * garbage-collection job retries these until they succeed.
+ */
+const PendingReleaseSchema = new mongoose.Schema({
+  fileId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  tier: { type: String, enum: ['HOT', 'WARM', 'COLD'], required: true },
+  blobId: { type: mongoose.Schema.Types.ObjectId, default: null }, // Blob to drop the reference from
+  storageBackend: { type: String, default: null }, // Data of files without a blob
+  storageKey: { type: String, default: null },
+  attempts: { type: Number, default: 1 },
+  lastError: { type: String, default: null }
+}, { collection: 'pendingreleases', timestamps: true });
+
+PendingReleaseSchema.index({ fileId: 1, tier: 1 }, { unique: true });
+
+const PendingRelease = mongoose.model('PendingRelease', PendingReleaseSchema);
+export default PendingRelease;
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+/**
+ * ScrubFinding - Data the scrub job found corrupted, and whether it was repaired.
+ * Written when corruption is first detected and when it is repaired, not on every
+ * re-check of data that is still corrupted.
+ */
+export const SCRUB_OUTCOMES = ['CORRUPTED', 'REPAIRED'];
+export const CORRUPTION_REASONS = ['missing', 'checksum_mismatch'];
+
+const ScrubFindingSchema = new mongoose.Schema({
+  tier: { type: String, enum: ['HOT', 'WARM', 'COLD'], required: true },
+  blobId: { type: mongoose.Schema.Types.ObjectId, default: null }, // Scrubbed blob (null for files stored before deduplication)
+  fileIds: { type: [mongoose.Schema.Types.ObjectId], default: [] }, // Files whose data it is
+  fileName: { type: String, default: null }, // Name of the first of those files
+  size: { type: Number, default: 0 },
+  checksum: { type: String, required: true },
+  checksumAlgorithm: { type: String, required: true },
+  actualChecksum: { type: String, default: null }, // What the data hashed to (null when missing)
+  reason: { type: String, enum: CORRUPTION_REASONS, required: true },
+  outcome: { type: String, enum: SCRUB_OUTCOMES, required: true },
+  repairedFrom: {
+    tier: { type: String, default: null }, // Tier of the replica the data was restored from
+    blobId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    fileId: { type: mongoose.Schema.Types.ObjectId, default: null }
+  }
+}, { collection: 'scrubfindings', timestamps: { createdAt: true, updatedAt: false } });
+
+// Findings are kept for 90 days (the index also serves newest-first listings)
+ScrubFindingSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+const ScrubFinding = mongoose.model('ScrubFinding', ScrubFindingSchema);
+export default ScrubFinding;
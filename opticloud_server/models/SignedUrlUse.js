@@ -0,0 +1,20 @@
+import mongoose from 'mongoose';
+
+/**
+ * SignedUrlUse - Marks a single-use signed download URL as consumed.
+ * Keyed by the URL's nonce, so a second download with the same URL fails to insert.
+ * Removed once the URL would have expired anyway.
+ */
+const SignedUrlUseSchema = new mongoose.Schema({
+  _id: { type: String }, // Nonce of the signed URL
+  fileId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  issuedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  ip: { type: String, default: null }, // Address that consumed the URL
+  usedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true }
+}, { collection: 'signedurluses' });
+
+SignedUrlUseSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const SignedUrlUse = mongoose.model('SignedUrlUse', SignedUrlUseSchema);
+export default SignedUrlUse;
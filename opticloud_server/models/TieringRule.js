@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+/**
+ * TieringRule - Admin-editable tiering policy rule.
+ * Enabled rules are evaluated by the decision engine in descending priority; the first
+ * rule whose conditions all match decides the file's target tier. Omitted conditions
+ * always match. Files matching no rule fall back to the built-in last-access rules.
+ */
+const RuleMatchSchema = new mongoose.Schema({
+  minSize: { type: Number, min: 0 }, // Bytes
+  maxSize: { type: Number, min: 0 },
+  contentTypes: { type: [String], default: undefined }, // Glob patterns, any may match (e.g. "video/*")
+  fileNamePattern: { type: String }, // Glob pattern (e.g. "*.log")
+  minAgeDays: { type: Number, min: 0 }, // Days since upload
+  maxAgeDays: { type: Number, min: 0 },
+  minDaysSinceAccess: { type: Number, min: 0 },
+  maxDaysSinceAccess: { type: Number, min: 0 },
+  minAccessCount: { type: Number, min: 0 },
+  maxAccessCount: { type: Number, min: 0 },
+  minHeatScore: { type: Number, min: 0 }, // Decaying weekly access counter (see services/accessTracker.js)
+  maxHeatScore: { type: Number, min: 0 },
+  tags: { type: [String], default: undefined } // File must carry all of these tags
+}, { _id: false });
+
+const TieringRuleSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true, trim: true },
+  description: { type: String, default: '' },
+  enabled: { type: Boolean, default: true },
+  priority: { type: Number, default: 0 }, // Higher priority rules are evaluated first
+  match: { type: RuleMatchSchema, default: () => ({}) },
+  targetTier: {
+    type: String,
+    enum: ['HOT', 'WARM', 'COLD'],
+    required: true
+  }
+}, { collection: 'tieringrules', timestamps: true });
+
+TieringRuleSchema.index({ enabled: 1, priority: -1 });
+
+const TieringRule = mongoose.model('TieringRule', TieringRuleSchema);
+export default TieringRule;
@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+/**
+ * UploadSession - State of a resumable (chunked) upload.
+ * Each PATCH stores its bytes as one staged part; finalize concatenates the parts
+ * into a HOT tier file. Sessions past expiresAt are garbage-collected by Agenda.
+ */
+const UploadPartSchema = new mongoose.Schema({
+  key: { type: String, required: true }, // Storage key of the staged part
+  offset: { type: Number, required: true },
+  size: { type: Number, required: true }
+}, { _id: false });
+
+const UploadSessionSchema = new mongoose.Schema({
+  fileName: { type: String, required: true },
+  contentType: { type: String, default: 'application/octet-stream' },
+  uploadLength: { type: Number, required: true }, // Total size declared at creation
+  offset: { type: Number, default: 0 }, // Bytes received so far
+  expectedChecksum: { type: String, default: null }, // Optional hash verified at finalize
+  expectedChecksumAlgorithm: { type: String, default: 'md5' }, // Algorithm of expectedChecksum
+  tags: { type: [String], default: [] }, // Applied to the finalized file
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // User who created the session
+  storageBackend: { type: String, required: true }, // Backend holding the staged parts
+  parts: { type: [UploadPartSchema], default: [] },
+  status: {
+    type: String,
+    enum: ['UPLOADING', 'FINALIZING'],
+    default: 'UPLOADING'
+  },
+  expiresAt: { type: Date, required: true, index: true }
+}, { collection: 'uploadsessions', timestamps: true });
+
+const UploadSession = mongoose.model('UploadSession', UploadSessionSchema);
+export default UploadSession;
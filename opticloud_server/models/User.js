@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+/**
+ * User - Account that owns files.
+ * Users only see and manage their own files; admins see every file and can read the
+ * server logs and migration stats and trigger manual migrations.
+ */
+export const USER_ROLES = ['user', 'admin'];
+
+const UserSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z0-9._-]{3,64}$/
+  },
+  passwordHash: {
+    type: String,
+    required: true,
+    select: false // Only loaded to check a password at login
+  },
+  role: {
+    type: String,
+    enum: USER_ROLES,
+    default: 'user'
+  },
+  lastLoginAt: {
+    type: Date,
+    default: null
+  },
+  bootstrapAdmin: {
+    // Set on the admin created by the first registration; unique, so concurrent first
+    // registrations cannot both become admin
+    type: Boolean,
+    default: undefined
+  },
+  quota: {
+    // Per-user overrides of the QUOTA_* defaults; null uses the default
+    totalBytes: { type: Number, min: 0, default: null },
+    files: { type: Number, min: 0, default: null },
+    tierBytes: {
+      HOT: { type: Number, min: 0, default: null },
+      WARM: { type: Number, min: 0, default: null },
+      COLD: { type: Number, min: 0, default: null }
+    }
+  }
+}, { collection: 'users', timestamps: true });
+
+UserSchema.index({ bootstrapAdmin: 1 }, { unique: true, partialFilterExpression: { bootstrapAdmin: true } });
+
+const User = mongoose.model('User', UserSchema);
+export default User;
@@ -0,0 +1,107 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import ApiKey, { API_KEY_SCOPES, ADMIN_SCOPES } from '../models/ApiKey.js';
+import { issueApiKey } from '../services/apiKeyService.js';
+import { ownerFilter } from '../middleware/auth.js';
+
+/**
+ * API keys of the authenticated user (admins see and revoke every key).
+ * Mounted behind authenticate and denyApiKeys: keys cannot manage keys.
+ */
+const router = express.Router();
+
+/**
+ * Helper function to format a key for responses (never includes the key itself)
+ */
+const formatApiKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  owner: apiKey.owner,
+  scopes: apiKey.scopes,
+  expiresAt: apiKey.expiresAt,
+  revokedAt: apiKey.revokedAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  createdAt: apiKey.createdAt
+});
+
+/**
+ * GET /api/keys
+ * List API keys, newest first
+ */
+router.get('/', async (req, res) => {
+  try {
+    const keys = await ApiKey.find(ownerFilter(req.user)).sort({ createdAt: -1 });
+    res.json(keys.map(formatApiKey));
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({ error: 'Failed to fetch API keys', details: error.message });
+  }
+});
+
+/**
+ * POST /api/keys
+ * Issue an API key acting as the authenticated user.
+ * Body: { name, scopes: [...], expiresAt?: ISO date }. The key is only returned in this response.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, scopes, expiresAt } = req.body || {};
+    
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some((scope) => !API_KEY_SCOPES.includes(scope))) {
+      return res.status(400).json({ error: `scopes must be a non-empty array of: ${API_KEY_SCOPES.join(', ')}` });
+    }
+    if (req.user.role !== 'admin' && scopes.some((scope) => ADMIN_SCOPES.includes(scope))) {
+      return res.status(403).json({ error: `Only admins can grant ${ADMIN_SCOPES.join(', ')}` });
+    }
+    
+    let expiry = null;
+    if (expiresAt !== undefined && expiresAt !== null) {
+      expiry = new Date(expiresAt);
+      if (Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+        return res.status(400).json({ error: 'expiresAt must be a future date' });
+      }
+    }
+    
+    const { apiKey, key } = await issueApiKey({ name: name.trim(), owner: req.user.id, scopes, expiresAt: expiry });
+    console.log(`[Auth] ${req.user.username} issued API key ${apiKey.prefix} (${apiKey.scopes.join(', ')})`);
+    
+    res.status(201).json({ ...formatApiKey(apiKey), key });
+  } catch (error) {
+    console.error('Error issuing API key:', error);
+    res.status(500).json({ error: 'Failed to issue API key', details: error.message });
+  }
+});
+
+/**
+ * DELETE /api/keys/:id
+ * Revoke an API key. Revoked keys are kept for auditing.
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const apiKey = mongoose.isValidObjectId(req.params.id)
+      ? await ApiKey.findOne({ _id: req.params.id, ...ownerFilter(req.user) })
+      : null;
+    
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+      console.log(`[Auth] ${req.user.username} revoked API key ${apiKey.prefix}`);
+    }
+    
+    res.json({ message: 'API key revoked', apiKey: formatApiKey(apiKey) });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({ error: 'Failed to revoke API key', details: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,202 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import User, { USER_ROLES } from '../models/User.js';
+import { hashPassword, verifyPassword, issueToken, MIN_PASSWORD_LENGTH } from '../services/authService.js';
+import { authenticate, requireAdmin, denyApiKeys } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * Helper function to format a user for responses
+ */
+const formatUser = (user) => ({
+  id: user._id,
+  username: user.username,
+  role: user.role,
+  lastLoginAt: user.lastLoginAt,
+  createdAt: user.createdAt
+});
+
+/**
+ * Helper function to validate credentials from a request body
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateCredentials = ({ username, password } = {}) => {
+  if (typeof username !== 'string' || !/^[a-z0-9._-]{3,64}$/i.test(username.trim())) {
+    return 'username must be 3-64 letters, digits, ".", "_" or "-"';
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+};
+
+/**
+ * Helper function to create an account from validated credentials (nothing else from
+ * the request body is stored)
+ * @param {{username: string, password: string}} credentials
+ * @param {string} role - One of USER_ROLES
+ * @param {Object} [options]
+ * @param {boolean} [options.bootstrapAdmin=false] - Mark it as the first registration's admin
+ */
+const createUser = async ({ username, password }, role, { bootstrapAdmin = false } = {}) => {
+  return User.create({
+    username,
+    passwordHash: await hashPassword(password),
+    role,
+    ...(bootstrapAdmin ? { bootstrapAdmin: true } : {})
+  });
+};
+
+/**
+ * POST /api/auth/register
+ * Create an account ({ username, password }). The first account becomes the admin;
+ * afterwards self-registration can be turned off with ALLOW_SIGNUP=false.
+ */
+router.post('/register', async (req, res) => {
+  try {
+    const validationError = validateCredentials(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    // Only one registration can create the bootstrap admin (unique index); one that
+    // loses the race to it signs up like any later one
+    let user = null;
+    if ((await User.estimatedDocumentCount()) === 0) {
+      user = await createUser(req.body, 'admin', { bootstrapAdmin: true }).catch((error) => {
+        if (error.code === 11000 && error.keyPattern?.bootstrapAdmin) return null;
+        throw error;
+      });
+    }
+    
+    if (!user) {
+      if (process.env.ALLOW_SIGNUP === 'false') {
+        return res.status(403).json({ error: 'Registration is disabled' });
+      }
+      user = await createUser(req.body, 'user');
+    }
+    console.log(`[Auth] Registered user ${user.username} (${user.role})`);
+    
+    res.status(201).json({ user: formatUser(user), ...issueToken(user) });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'Username is already taken' });
+    }
+    console.error('Error registering user:', error);
+    res.status(500).json({ error: 'Registration failed', details: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/login
+ * Exchange { username, password } for an access token
+ */
+router.post('/login', async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    const user = typeof username === 'string'
+      ? await User.findOne({ username: username.trim().toLowerCase() }).select('+passwordHash')
+      : null;
+    
+    if (!user || typeof password !== 'string' || !(await verifyPassword(password, user.passwordHash))) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+    
+    user.lastLoginAt = new Date();
+    await user.save();
+    
+    res.json({ user: formatUser(user), ...issueToken(user) });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ error: 'Login failed', details: error.message });
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * The authenticated user
+ */
+router.get('/me', authenticate, (req, res) => {
+  res.json(req.user);
+});
+
+/**
+ * GET /api/auth/users
+ * List accounts (admin)
+ */
+router.get('/users', authenticate, denyApiKeys, requireAdmin, async (req, res) => {
+  try {
+    const users = await User.find({}).sort({ createdAt: 1 });
+    res.json(users.map(formatUser));
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ error: 'Failed to fetch users', details: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/users
+ * Create an account with a role (admin). Body: { username, password, role? }
+ */
+router.post('/users', authenticate, denyApiKeys, requireAdmin, async (req, res) => {
+  try {
+    const validationError = validateCredentials(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const role = req.body.role || 'user';
+    if (!USER_ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${USER_ROLES.join(', ')}` });
+    }
+    
+    const user = await createUser(req.body, role);
+    console.log(`[Auth] ${req.user.username} created user ${user.username} (${user.role})`);
+    
+    res.status(201).json(formatUser(user));
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'Username is already taken' });
+    }
+    console.error('Error creating user:', error);
+    res.status(500).json({ error: 'Failed to create user', details: error.message });
+  }
+});
+
+/**
+ * PATCH /api/auth/users/:id
+ * Change an account's role or password (admin). Body: { role?, password? }
+ */
+router.patch('/users/:id', authenticate, denyApiKeys, requireAdmin, async (req, res) => {
+  try {
+    const { role, password } = req.body || {};
+    
+    if (role !== undefined && !USER_ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${USER_ROLES.join(', ')}` });
+    }
+    if (password !== undefined && (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH)) {
+      return res.status(400).json({ error: `password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+    if (role && role !== 'admin' && req.params.id === req.user.id) {
+      return res.status(400).json({ error: 'Admins cannot remove their own admin role' });
+    }
+    
+    const user = mongoose.isValidObjectId(req.params.id) ? await User.findById(req.params.id) : null;
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    if (role) user.role = role;
+    if (password) user.passwordHash = await hashPassword(password);
+    await user.save();
+    console.log(`[Auth] ${req.user.username} updated user ${user.username}`);
+    
+    res.json(formatUser(user));
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(500).json({ error: 'Failed to update user', details: error.message });
+  }
+});
+
+export default router;
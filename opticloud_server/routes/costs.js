@@ -0,0 +1,51 @@
+import express from 'express';
+import { COST_GROUPINGS, getCostReport } from '../services/costService.js';
+
+const router = express.Router();
+
+// Report range when none is given
+const DEFAULT_REPORT_DAYS = 30;
+
+/**
+ * Helper function to parse an optional date query parameter
+ * @returns {Date|null|undefined} - undefined if absent, null if invalid
+ */
+const parseDateParam = (value) => {
+  if (value === undefined) return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * GET /api/costs
+ * Cost report from daily storage snapshots and recorded charges.
+ * Query: from, to (dates, default: last 30 days), groupBy (day|month, default day)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const groupBy = req.query.groupBy || 'day';
+    if (!COST_GROUPINGS.includes(groupBy)) {
+      return res.status(400).json({ error: `Invalid groupBy. Must be one of: ${COST_GROUPINGS.join(', ')}` });
+    }
+    
+    let to = parseDateParam(req.query.to);
+    let from = parseDateParam(req.query.from);
+    if (to === null || from === null) {
+      return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+    
+    to = to || new Date();
+    from = from || new Date(to.getTime() - (DEFAULT_REPORT_DAYS - 1) * 24 * 60 * 60 * 1000);
+    if (from > to) {
+      return res.status(400).json({ error: 'from must not be after to' });
+    }
+    
+    const report = await getCostReport({ from, to, groupBy });
+    res.json(report);
+  } catch (error) {
+    console.error('Error building cost report:', error);
+    res.status(500).json({ error: 'Failed to build cost report', details: error.message });
+  }
+});
+
+export default router;
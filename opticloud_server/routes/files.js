@@ -1,46 +1,108 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import multer from 'multer';
 import crypto from 'crypto';
-import { HotTierFile, getAllFileModels, getFileModelByTier } from '../models/File.js';
+import contentDisposition from 'content-disposition';
+import net from 'net';
+import { pipeline } from 'stream/promises';
+import { getFileModelByTier } from '../models/File.js';
 import { getMigrationStats } from '../models/MigrationStats.js';
-import { calculateBufferHash } from '../utils/hashUtils.js';
-import { evaluateTier, shouldMigrate } from '../services/decisionEngine.js';
-import { migrateFile } from '../services/migrationService.js';
+import { evaluateTier, shouldMigrate, getActiveRules } from '../services/decisionEngine.js';
+import { migrateBlobFiles, findOpenIntent } from '../services/migrationService.js';
+import { openFileData, openCompressedFileData, statFileData, hashFileData, deleteFileData } from '../services/storageService.js';
+import { createTierStorage, saveStoredFile, normalizeTags } from '../services/uploadStorage.js';
+import { releaseOrDefer, getDedupStats, getCompressionStats } from '../services/blobService.js';
+import { getRehashStatus } from '../services/rehashService.js';
+import { getKeyRotationStatus } from '../services/keyRotationService.js';
+import { getRequestedRanges, sendMultipartRanges } from '../utils/rangeUtils.js';
+import { getChecksumAlgorithm, parseExpectedDigests, findDigestMismatch } from '../utils/hashUtils.js';
+import { recordAccess, formatAccessStats } from '../services/accessTracker.js';
+import { notePromotionAccess } from '../services/promotionService.js';
+import { resolveFile, resolveAlias, removeFromCatalog } from '../services/fileCatalog.js';
+import { buildHistoryFilter, queryMigrationEvents } from '../services/migrationHistory.js';
+import { chargeRetrieval, chargeEarlyDeletion } from '../services/costService.js';
+import { checkQuota, adjustUsage } from '../services/quotaService.js';
+import { buildFileFilter, parseFileSort, queryFiles } from '../services/fileQuery.js';
+import { signDownload, consumeSignedDownload, getSignedUrlTtl, SIGNED_URL_DISPOSITIONS } from '../services/signedUrlService.js';
+import { requireAdmin, requireScope, ownerFilter, canAccess } from '../middleware/auth.js';
 
 const router = express.Router();
 
+// New uploads always go to HOT tier
+const INITIAL_TIER = 'HOT';
+
+// Ranges of a compressed file served in one response; each is decompressed from the
+// start of the file, so requests for more get the whole file instead
+const MAX_COMPRESSED_RANGES = 4;
+
+// Content types served inline on request: browsers run no script from them, so an
+// uploaded file cannot act on the API's origin (HTML, SVG and the rest are attachments)
+const INLINE_TYPE_PREFIXES = ['image/', 'video/', 'audio/'];
+const INLINE_TYPES = ['application/pdf', 'text/plain'];
+const SCRIPTABLE_IMAGE_TYPES = ['image/svg+xml'];
+
+// Configure multer to stream uploads straight into the HOT tier's storage backend
+const upload = multer({
+  storage: createTierStorage(INITIAL_TIER),
+  limits: {
+    fileSize: 100 * 1024 * 1024 // 100MB limit
+  }
+});
+
+/**
+ * All routes are mounted behind authenticate (req.user). Users only see their own files;
+ * admins see every file. API keys also need the route's scope.
+ */
+
 /**
- * Helper function to find a file by ID across all tier collections
- * @param {string} fileId - File document ID
- * @returns {Promise<{file: Object, tier: string, model: Model} | null>}
+ * Reject uploads from owners whose quota has no room for another file,
+ * before any data is written
  */
-const findFileAcrossTiers = async (fileId) => {
-  const allModels = getAllFileModels();
-  const tierNames = ['HOT', 'WARM', 'COLD'];
-  
-  for (let i = 0; i < allModels.length; i++) {
-    const Model = allModels[i];
-    const file = await Model.findById(fileId);
-    if (file) {
-      return { file, tier: tierNames[i], model: Model };
+const checkUploadQuota = async (req, res, next) => {
+  try {
+    const violation = await checkQuota(req.user.id, INITIAL_TIER, 0);
+    if (violation) {
+      return res.status(violation.status).json({ error: violation.error, ...violation.details });
     }
+    next();
+  } catch (error) {
+    console.error('Error checking storage quota:', error);
+    res.status(500).json({ error: 'Upload failed', details: error.message });
   }
-  return null;
 };
 
-// Configure multer for memory storage (we'll save directly to MongoDB)
-const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: {
-    fileSize: 100 * 1024 * 1024 // 100MB limit
+/**
+ * Whether a file of some content type may be shown inline in the browser
+ * @param {string} contentType - MIME type (parameters are ignored)
+ * @returns {boolean}
+ */
+const isInlineSafe = (contentType) => {
+  const type = contentType.split(';')[0].trim().toLowerCase();
+  if (SCRIPTABLE_IMAGE_TYPES.includes(type)) return false;
+  return INLINE_TYPES.includes(type) || INLINE_TYPE_PREFIXES.some((prefix) => type.startsWith(prefix));
+};
+
+/**
+ * Read the hashes the client expects the uploaded file to have (Content-MD5, Digest,
+ * Repr-Digest) into req.expectedDigests, before any data is written
+ */
+const parseUploadDigests = (req, res, next) => {
+  const { expected, error } = parseExpectedDigests(req.headers);
+  if (error) {
+    return res.status(400).json({ error });
   }
-});
+  req.expectedDigests = expected;
+  next();
+};
 
 /**
  * POST /api/files/upload
- * Upload a file to the system
+ * Upload a file owned by the authenticated user (optional "tags" field: comma-separated).
+ * Content-MD5 / Digest / Repr-Digest headers describe the file's content (not the multipart
+ * body) and are verified once it is stored: 400 on mismatch.
+ * Answers 413/507 when the file does not fit the owner's quota.
  */
-router.post('/upload', upload.single('file'), async (req, res) => {
+router.post('/upload', requireScope('files:write'), parseUploadDigests, checkUploadQuota, upload.single('file'), async (req, res) => {
   try {
     console.log('Upload request received');
     
@@ -49,34 +111,43 @@ router.post('/upload', upload.single('file'), async (req, res) => {
       return res.status(400).json({ error: 'No file provided' });
     }
 
-    const { originalname, buffer, mimetype, size } = req.file;
-    console.log(`Uploading file: ${originalname}, size: ${size} bytes, type: ${mimetype}`);
-    
-    // New uploads always go to HOT tier collection
-    const initialTier = 'HOT';
-    
-    // Calculate hash of the file
-    const checksum = calculateBufferHash(buffer);
-    console.log(`File hash calculated: ${checksum}`);
+    // File data has already been streamed into storage and hashed by the storage engine
+    const { id, originalname, mimetype, size, checksum, checksumAlgorithm, digests, storageBackend, storageKey, storedChecksum, encryption } = req.file;
+    console.log(`Uploaded file: ${originalname}, size: ${size} bytes, type: ${mimetype}`);
+    console.log(`File hash calculated: ${checksum} (${checksumAlgorithm})`);
+    
+    // The data arrived differently from what the client sent
+    const mismatch = findDigestMismatch(req.expectedDigests, digests);
+    if (mismatch) {
+      await deleteFileData({ _id: id, storageBackend, storageKey }, INITIAL_TIER);
+      console.log(`Rejected upload of ${originalname}: ${mismatch.algorithm} mismatch (expected ${mismatch.expected}, got ${mismatch.actual})`);
+      return res.status(400).json({ error: 'Checksum mismatch', ...mismatch });
+    }
     
-    // Convert buffer to Base64 string for storage in MongoDB
-    const fileDataBase64 = buffer.toString('base64');
-    console.log(`File converted to Base64, length: ${fileDataBase64.length}`);
+    // The size is only known once the data is stored; drop it again if it does not fit the quota
+    const violation = await checkQuota(req.user.id, INITIAL_TIER, size);
+    if (violation) {
+      await deleteFileData({ _id: id, storageBackend, storageKey }, INITIAL_TIER);
+      console.log(`Rejected upload of ${originalname}: ${violation.error} (${violation.details.quota})`);
+      return res.status(violation.status).json({ error: violation.error, ...violation.details });
+    }
     
-    // Create file document in HotTierFiles collection
-    const fileDoc = new HotTierFile({
+    // Create file document in HotTierFiles collection, sharing an identical blob if HOT holds one
+    const fileDoc = await saveStoredFile(INITIAL_TIER, {
+      id,
       fileName: originalname,
-      originalFileName: originalname,
-      fileData: fileDataBase64, // Store file data as Base64 string in MongoDB
-      size: size,
-      checksum: checksum,
       contentType: mimetype,
-      lastAccessDate: new Date(),
-      uploadDate: new Date()
+      size,
+      checksum,
+      checksumAlgorithm,
+      storageBackend,
+      storageKey,
+      storedChecksum,
+      encryption,
+      tags: normalizeTags(req.body.tags),
+      owner: req.user.id
     });
-    
-    await fileDoc.save();
-    console.log(`File saved to HotTierFiles collection with ID: ${fileDoc._id}`);
+    console.log(`File saved to HotTierFiles collection with ID: ${fileDoc._id} (${fileDoc.storageBackend} backend, blob ${fileDoc.blobId})`);
     
     res.status(201).json({
       message: 'File uploaded successfully',
@@ -84,7 +155,11 @@ router.post('/upload', upload.single('file'), async (req, res) => {
         id: fileDoc._id,
         fileName: fileDoc.fileName,
         size: fileDoc.size,
-        tier: initialTier,
+        tier: INITIAL_TIER,
+        checksum: fileDoc.checksum,
+        checksumAlgorithm: fileDoc.checksumAlgorithm,
+        tags: fileDoc.tags,
+        owner: fileDoc.owner,
         uploadDate: fileDoc.uploadDate
       }
     });
@@ -105,36 +180,36 @@ router.post('/upload', upload.single('file'), async (req, res) => {
 
 /**
  * GET /api/files
- * Get all files with metadata from all tier collections
+ * Search the user's files (every file for admins) across all tier collections.
+ * Query: tier, status (comma-separated), name (substring), namePrefix, contentType (glob),
+ * minSize/maxSize, uploadedAfter/uploadedBefore, accessedAfter/accessedBefore, locked,
+ * owner (admins), sort, order, limit, cursor (X-Next-Cursor of the previous page)
+ * The body stays an array of files. Passing limit or cursor returns one page; the total
+ * goes in X-Total-Count, and the next page in X-Next-Cursor and a Link rel="next" header.
  */
-router.get('/', async (req, res) => {
+router.get('/', requireScope('files:read'), async (req, res) => {
   try {
-    const allModels = getAllFileModels();
-    const allFiles = [];
+    const scope = ownerFilter(req.user);
+    if (req.query.owner && req.user.role === 'admin') {
+      if (!mongoose.isValidObjectId(req.query.owner)) {
+        return res.status(400).json({ error: 'Invalid owner' });
+      }
+      scope.owner = req.query.owner;
+    }
     
-    // Fetch files from all tier collections
-    for (const Model of allModels) {
-      const files = await Model.find({}).sort({ uploadDate: -1 });
-      
-      // Determine tier based on collection name
-      let tier = 'HOT';
-      if (Model.collection.name === 'WarmTierFiles') tier = 'WARM';
-      if (Model.collection.name === 'ColdTierFiles') tier = 'COLD';
-      
-      // Add tier to each file and push to allFiles
-      files.forEach(file => {
-        allFiles.push({
-          ...file.toObject(),
-          tier: tier
-        });
-      });
+    const { filter, tiers, error: filterError } = buildFileFilter(req.query, scope);
+    const { sort, direction, limit, error: sortError } = parseFileSort(req.query);
+    if (filterError || sortError) {
+      return res.status(400).json({ error: filterError || sortError });
     }
     
-    // Sort all files by upload date
-    allFiles.sort((a, b) => new Date(b.uploadDate) - new Date(a.uploadDate));
+    const { files, pagination, error } = await queryFiles({ filter, tiers, sort, direction, limit, cursor: req.query.cursor });
+    if (error) {
+      return res.status(400).json({ error });
+    }
     
     // Format response for frontend
-    const formattedFiles = allFiles.map(file => ({
+    const formattedFiles = files.map(file => ({
       id: file._id.toString(),
       name: file.fileName,
       size: formatFileSize(file.size),
@@ -143,12 +218,23 @@ router.get('/', async (req, res) => {
       status: file.migrationStatus,
       integrity: file.checksum ? 'Verified' : 'Pending',
       checksum: file.checksum,
+      checksumAlgorithm: getChecksumAlgorithm(file),
       isLocked: file.isLocked,
+      contentType: file.contentType,
       lastAccessDate: file.lastAccessDate,
+      ...formatAccessStats(file),
+      tags: file.tags,
+      owner: file.owner,
       uploadDate: file.uploadDate,
       migrationStatus: file.migrationStatus
     }));
     
+    res.setHeader('X-Total-Count', pagination.total);
+    if (pagination.nextCursor) {
+      const next = new URLSearchParams({ ...req.query, cursor: pagination.nextCursor });
+      res.setHeader('X-Next-Cursor', pagination.nextCursor);
+      res.setHeader('Link', `<${req.baseUrl}${req.path}?${next}>; rel="next"`);
+    }
     res.json(formattedFiles);
   } catch (error) {
     console.error('Error fetching files:', error);
@@ -158,13 +244,22 @@ router.get('/', async (req, res) => {
 
 /**
  * GET /api/files/stats
- * Get migration stats (total migrations for fines calculation)
- * Must be defined before /:id so "stats" is not matched as id.
+ * Get migration counters (total, promotions, demotions), deduplication savings (dedup),
+ * the progress of re-hashing to the configured checksum algorithm (checksums), master-key
+ * rotation (encryption) and compression ratios per tier (compression);
+ * costs are reported by /api/costs
+ * Must be defined before /:id so "stats" is not matched as id. Admin only.
  */
-router.get('/stats', async (req, res) => {
+router.get('/stats', requireAdmin, requireScope('files:read'), async (req, res) => {
   try {
-    const stats = await getMigrationStats();
-    res.json(stats);
+    const [stats, dedup, checksums, encryption, compression] = await Promise.all([
+      getMigrationStats(),
+      getDedupStats(),
+      getRehashStatus(),
+      getKeyRotationStatus(),
+      getCompressionStats()
+    ]);
+    res.json({ ...stats, dedup, checksums, encryption, compression });
   } catch (error) {
     console.error('Error fetching migration stats:', error);
     res.status(500).json({ error: 'Failed to fetch migration stats', details: error.message });
@@ -172,63 +267,65 @@ router.get('/stats', async (req, res) => {
 });
 
 /**
- * GET /api/files/:id
- * Get file metadata by ID (searches across all tier collections)
+ * Resolve :id to the file's current tier for every /:id route.
+ * Old per-tier IDs from before IDs were stable are redirected (308, keeps method and body).
+ * Other users' files are reported as not found; a signed URL grants access to its file only.
  */
-router.get('/:id', async (req, res) => {
+router.param('id', async (req, res, next, id) => {
   try {
-    const result = await findFileAcrossTiers(req.params.id);
+    req.fileRecord = await resolveFile(id);
+    if (req.fileRecord) {
+      const allowed = req.signedDownload
+        ? req.signedDownload.fileId === req.fileRecord.file._id.toString()
+        : canAccess(req.user, req.fileRecord.file);
+      return allowed ? next() : res.status(404).json({ error: 'File not found' });
+    }
     
-    if (!result) {
-      return res.status(404).json({ error: 'File not found' });
+    const currentId = await resolveAlias(id);
+    if (currentId) {
+      return res.redirect(308, req.originalUrl.replace(`/${id}`, `/${currentId}`));
     }
     
-    const { file, tier, model } = result;
+    res.status(404).json({ error: 'File not found' });
+  } catch (error) {
+    console.error('Error resolving file:', error);
+    res.status(500).json({ error: 'Failed to look up file', details: error.message });
+  }
+});
+
+/**
+ * GET /api/files/:id
+ * Get file metadata by ID (resolved through the file catalog)
+ */
+router.get('/:id', requireScope('files:read'), async (req, res) => {
+  try {
+    const { file, tier } = req.fileRecord;
+    
+    // Metadata reads count towards the file's heat
+    recordAccess(file, tier);
     
     // If file is in migration process, calculate checksums in real-time
     let sourceChecksumBeforeMigration = file.sourceChecksumBeforeMigration || null;
     let targetChecksumAfterMigration = file.targetChecksumAfterMigration || null;
     
     if (file.migrationStatus === 'PROCESSING' || file.migrationStatus === 'VERIFYING') {
-      // Load file with fileData to calculate checksum
-      const fileWithData = await model.findById(req.params.id).select('+fileData');
+      // Stream file data to calculate checksum
+      const sourceHash = await hashFileData(file, tier).catch(() => null);
       
-      if (fileWithData && fileWithData.fileData) {
+      if (sourceHash) {
         // Calculate current checksum (this is the source checksum before migration)
-        const buffer = Buffer.from(fileWithData.fileData, 'base64');
-        sourceChecksumBeforeMigration = calculateBufferHash(buffer);
+        sourceChecksumBeforeMigration = sourceHash;
         console.log(`[API] Calculated source checksum for ${file.fileName}: ${sourceChecksumBeforeMigration}`);
         
-        // If status is VERIFYING, try to find the target file in other tiers
+        // If status is VERIFYING, hash the target copy recorded on the migration intent
         if (file.migrationStatus === 'VERIFYING') {
-          // Search in all other tiers for a file with same fileName that's being migrated
-          const allModels = getAllFileModels();
-          const tierNames = ['HOT', 'WARM', 'COLD'];
+          const intent = await findOpenIntent(file._id);
+          const targetFile = intent ? await getFileModelByTier(intent.targetTier).findById(intent.targetId) : null;
+          const targetHash = targetFile ? await hashFileData(targetFile, intent.targetTier).catch(() => null) : null;
           
-          for (let i = 0; i < allModels.length; i++) {
-            const targetModel = allModels[i];
-            const targetTier = tierNames[i];
-            
-            // Skip current tier
-            if (targetTier === tier) continue;
-            
-            // Try to find file with same fileName, VERIFYING status, and locked in target tier
-            // Also check if it was created recently (within last 5 minutes) to ensure it's the migrated file
-            const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000);
-            const targetFile = await targetModel.findOne({
-              fileName: file.fileName,
-              migrationStatus: 'VERIFYING',
-              isLocked: true,
-              createdAt: { $gte: fiveMinutesAgo }
-            }).select('+fileData');
-            
-            if (targetFile && targetFile.fileData) {
-              // Calculate target checksum
-              const targetBuffer = Buffer.from(targetFile.fileData, 'base64');
-              targetChecksumAfterMigration = calculateBufferHash(targetBuffer);
-              console.log(`[API] Found and calculated target checksum for ${file.fileName} in ${targetTier}: ${targetChecksumAfterMigration}`);
-              break; // Found it, no need to continue searching
-            }
+          if (targetHash) {
+            targetChecksumAfterMigration = targetHash;
+            console.log(`[API] Found and calculated target checksum for ${file.fileName} in ${intent.targetTier}: ${targetChecksumAfterMigration}`);
           }
         }
       }
@@ -240,11 +337,20 @@ router.get('/:id', async (req, res) => {
       size: file.size,
       tier: tier,
       checksum: file.checksum,
+      checksumAlgorithm: getChecksumAlgorithm(file),
+      encrypted: Boolean(file.encryption),
+      compression: file.compression || null,
+      storedSize: file.compression ? file.storedSize : file.size,
       sourceChecksumBeforeMigration: sourceChecksumBeforeMigration,
       targetChecksumAfterMigration: targetChecksumAfterMigration,
       isLocked: file.isLocked,
       migrationStatus: file.migrationStatus,
+      corruption: file.corruption || null,
+      lastVerifiedAt: file.lastVerifiedAt || null,
       lastAccessDate: file.lastAccessDate,
+      ...formatAccessStats(file),
+      tags: file.tags,
+      owner: file.owner,
       uploadDate: file.uploadDate,
       retryAttempts: file.retryAttempts
     });
@@ -255,47 +361,177 @@ router.get('/:id', async (req, res) => {
 });
 
 /**
- * GET /api/files/:id/download
- * Download a file (searches across all tier collections)
+ * POST /api/files/:id/signed-url
+ * Issue a time-limited download URL that works without credentials.
+ * Body: { expiresIn?: seconds (default SIGNED_URL_TTL_SECONDS), disposition?: 'attachment' | 'inline',
+ *         singleUse?: boolean, ip?: address, or true for the caller's address }
  */
-router.get('/:id/download', async (req, res) => {
+router.post('/:id/signed-url', requireScope('files:read'), async (req, res) => {
   try {
-    // Find file across all tier collections with fileData
-    const result = await findFileAcrossTiers(req.params.id);
+    const { file } = req.fileRecord;
+    const { expiresIn, disposition = 'attachment', singleUse = false } = req.body || {};
+    const { defaultSeconds, maxSeconds } = getSignedUrlTtl();
+    
+    const lifetime = expiresIn === undefined ? defaultSeconds : Number(expiresIn);
+    if (!Number.isFinite(lifetime) || lifetime <= 0 || lifetime > maxSeconds) {
+      return res.status(400).json({ error: `expiresIn must be between 1 and ${maxSeconds} seconds` });
+    }
+    if (!SIGNED_URL_DISPOSITIONS.includes(disposition)) {
+      return res.status(400).json({ error: `disposition must be one of: ${SIGNED_URL_DISPOSITIONS.join(', ')}` });
+    }
     
-    if (!result) {
-      return res.status(404).json({ error: 'File not found' });
+    const ip = req.body?.ip === true ? req.ip : req.body?.ip || null;
+    if (ip && !net.isIP(ip)) {
+      return res.status(400).json({ error: 'ip must be an IP address, or true for your own address' });
     }
     
-    const { file: fileWithoutData, model } = result;
+    const { query, expiresAt } = signDownload({
+      fileId: file._id,
+      expiresIn: lifetime,
+      disposition,
+      ip,
+      singleUse: Boolean(singleUse),
+      issuedBy: req.user.id
+    });
+    const path = `${req.baseUrl}/${file._id}/download?${query}`;
+    console.log(`[SignedURL] ${req.user.username} issued a download URL for ${file.fileName} (expires ${expiresAt.toISOString()}${singleUse ? ', single use' : ''}${ip ? `, bound to ${ip}` : ''})`);
     
-    // Load file with fileData included
-    const file = await model.findById(req.params.id).select('+fileData');
+    res.status(201).json({
+      url: `${req.protocol}://${req.get('host')}${path}`,
+      path,
+      expiresAt,
+      disposition,
+      singleUse: Boolean(singleUse),
+      ip
+    });
+  } catch (error) {
+    console.error('Error issuing signed URL:', error);
+    res.status(500).json({ error: 'Failed to issue signed URL', details: error.message });
+  }
+});
+
+/**
+ * GET /api/files/:id/download
+ * Download a file (resolved through the file catalog)
+ * Supports Range/If-Range (206, multipart/byteranges, 416), conditional GETs via
+ * ETag (stored checksum) / Last-Modified (304), and ?disposition=inline for previews of
+ * images (not SVG), video, audio, PDF and plain text; other types are always attachments.
+ * Content types are sent with nosniff, so browsers do not guess a scriptable one.
+ * Compressed data is sent as stored with its Content-Encoding when the client accepts it
+ * and asks for the whole file; otherwise it is decompressed on the way (a request for
+ * more than MAX_COMPRESSED_RANGES ranges of it gets the whole file).
+ * Also accepts signed URLs (see POST /:id/signed-url); a single-use URL is only used up
+ * once a body is sent, so a 409 during migration, a HEAD request, a 304 revalidation or a
+ * 416 leaves it valid.
+ */
+router.get('/:id/download', requireScope('files:read'), async (req, res) => {
+  try {
+    const { file, tier } = req.fileRecord;
     
     // Check if file is locked
     if (file.isLocked) {
       return res.status(409).json({ error: 'File is currently being migrated' });
     }
     
-    // Update last access date
-    file.lastAccessDate = new Date();
-    await file.save();
+    // Data that failed scrubbing is not served until it has been repaired
+    if (file.migrationStatus === 'CORRUPTED') {
+      return res.status(409).json({ error: 'File data is corrupted', corruption: file.corruption });
+    }
     
-    // Check if file data exists
-    if (!file.fileData) {
+    // Check if file data exists in the storage backend
+    const stored = await statFileData(file, tier);
+    if (!stored) {
       return res.status(404).json({ error: 'File data not found' });
     }
     
-    // Convert Base64 string back to Buffer
-    const fileBuffer = Buffer.from(file.fileData, 'base64');
+    // Update last access date and access counters (batched by the access tracker)
+    recordAccess(file, tier, { updateLastAccess: true });
+    
+    // Queue a promotion to HOT if a WARM/COLD file is being read repeatedly
+    notePromotionAccess(file, tier).catch((error) => {
+      console.error(`[Promotion] Failed to queue promotion of ${file.fileName}:`, error.message);
+    });
+    
+    // Ranges always refer to the content, so only whole-file requests get the data encoded
+    const size = file.compression ? file.size : stored.size;
+    const encoding = file.compression && !req.headers.range && req.acceptsEncodings(file.compression) === file.compression
+      ? file.compression
+      : null;
+    const contentType = file.contentType || 'application/octet-stream';
+    const disposition = req.query.disposition === 'inline' && isInlineSafe(contentType) ? 'inline' : 'attachment';
+    const etag = file.checksum ? `"${file.checksum}${encoding ? `-${encoding}` : ''}"` : null;
+    const lastModified = file.uploadDate ? new Date(file.uploadDate) : null;
     
     // Set headers
-    res.setHeader('Content-Type', file.contentType || 'application/octet-stream');
-    res.setHeader('Content-Disposition', `attachment; filename="${file.fileName}"`);
-    res.setHeader('Content-Length', fileBuffer.length);
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    if (file.compression) res.vary('Accept-Encoding');
+    res.setHeader('Content-Disposition', contentDisposition(file.fileName, { type: disposition }));
+    if (etag) res.setHeader('ETag', etag);
+    if (lastModified) res.setHeader('Last-Modified', lastModified.toUTCString());
+    
+    // Conditional GET (If-None-Match / If-Modified-Since)
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    
+    let ranges = getRequestedRanges(req, size, { etag, lastModified });
+    if (file.compression && Array.isArray(ranges) && ranges.length > MAX_COMPRESSED_RANGES) {
+      ranges = null;
+    }
+    
+    if (ranges === -1) {
+      res.setHeader('Content-Range', `bytes */${size}`);
+      return res.status(416).json({ error: 'Requested range not satisfiable' });
+    }
+    
+    // A signed URL is only used up once a body is sent (not by HEAD, 304 or 416 responses)
+    if (req.signedDownload && req.method !== 'HEAD') {
+      if (!(await consumeSignedDownload(req.signedDownload, req.ip))) {
+        console.log(`[SignedURL] Refused reuse of a single-use URL for ${file.fileName} from ${req.ip}`);
+        return res.status(410).json({ error: 'Signed URL has already been used' });
+      }
+      console.log(`[SignedURL] ${file.fileName} downloaded from ${req.ip} with a URL issued by ${req.signedDownload.issuedBy || 'unknown'}${req.signedDownload.nonce ? ' (single use)' : ''}`);
+    }
+    
+    // Retrieval is charged for the bytes being sent
+    const bytesSent = ranges ? ranges.reduce((total, range) => total + range.end - range.start + 1, 0) : (encoding ? stored.size : size);
+    chargeRetrieval(file, tier, bytesSent).catch((error) => {
+      console.error(`Failed to record retrieval charge for ${file.fileName}:`, error.message);
+    });
+    
+    // Stream file data with backpressure, decoded on the way (never materialized in memory)
+    if (encoding) {
+      res.setHeader('Content-Type', contentType);
+      res.setHeader('Content-Encoding', encoding);
+      res.setHeader('Content-Length', stored.size);
+      await pipeline(openCompressedFileData(file, tier), res);
+      return;
+    }
     
-    // Send file data
-    res.send(fileBuffer);
+    if (!ranges) {
+      res.setHeader('Content-Type', contentType);
+      res.setHeader('Content-Length', size);
+      await pipeline(openFileData(file, tier), res);
+      return;
+    }
+    
+    res.status(206);
+    
+    if (ranges.length === 1) {
+      const [range] = ranges;
+      res.setHeader('Content-Type', contentType);
+      res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+      res.setHeader('Content-Length', range.end - range.start + 1);
+      await pipeline(openFileData(file, tier, range), res);
+      return;
+    }
+    
+    await sendMultipartRanges(res, ranges, {
+      size,
+      contentType,
+      openStream: (range) => openFileData(file, tier, range)
+    });
     
   } catch (error) {
     console.error('Error downloading file:', error);
@@ -307,17 +543,11 @@ router.get('/:id/download', async (req, res) => {
 
 /**
  * DELETE /api/files/:id
- * Delete a file (searches across all tier collections)
+ * Delete a file (resolved through the file catalog)
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireScope('files:delete'), async (req, res) => {
   try {
-    const result = await findFileAcrossTiers(req.params.id);
-    
-    if (!result) {
-      return res.status(404).json({ error: 'File not found' });
-    }
-    
-    const { file, model } = result;
+    const { file, tier, model } = req.fileRecord;
     
     // Check if file is locked
     if (file.isLocked) {
@@ -326,9 +556,25 @@ router.delete('/:id', async (req, res) => {
       });
     }
     
-    // Delete file from the appropriate collection
-    await model.findByIdAndDelete(req.params.id);
-    console.log(`File deleted from ${model.collection.name}: ${req.params.id}`);
+    // Delete the document, then release its data (shared blobs are reclaimed with their
+    // last reference); a failed release is recorded and retried by blob garbage collection
+    await model.findByIdAndDelete(file._id);
+    await removeFromCatalog(file._id);
+    await releaseOrDefer(file, tier);
+    await adjustUsage(file.owner, tier, -1, -file.size).catch((error) => {
+      console.error(`Failed to update usage after deleting ${file.fileName}:`, error.message);
+    });
+    console.log(`File deleted from ${model.collection.name}: ${file._id}`);
+    
+    // Data removed before the tier's minimum storage duration is still billed for it
+    await chargeEarlyDeletion({
+      tier,
+      owner: file.owner,
+      bytes: file.size,
+      enteredAt: file.lastMigrationDate || file.uploadDate
+    }).catch((error) => {
+      console.error(`Failed to record early deletion charge for ${file.fileName}:`, error.message);
+    });
     
     res.json({ message: 'File deleted successfully' });
     
@@ -340,25 +586,23 @@ router.delete('/:id', async (req, res) => {
 
 /**
  * POST /api/files/:id/migrate
- * Manually trigger migration for a file
+ * Manually trigger migration for a file (admin)
  */
-router.post('/:id/migrate', async (req, res) => {
+router.post('/:id/migrate', requireAdmin, requireScope('migrations:trigger'), async (req, res) => {
   try {
-    const result = await findFileAcrossTiers(req.params.id);
-    
-    if (!result) {
-      return res.status(404).json({ error: 'File not found' });
-    }
-    
-    const { file, tier } = result;
+    const { file, tier } = req.fileRecord;
     
     if (file.isLocked) {
       return res.status(409).json({ error: 'File is already being migrated' });
     }
     
+    if (file.migrationStatus === 'CORRUPTED') {
+      return res.status(409).json({ error: 'File data is corrupted and cannot be migrated', corruption: file.corruption });
+    }
+    
     // Add tier to file object for decision engine
     const fileWithTier = { ...file.toObject(), currentTier: tier };
-    const decision = shouldMigrate(fileWithTier);
+    const decision = shouldMigrate(fileWithTier, { rules: await getActiveRules() });
     
     if (!decision.shouldMigrate) {
       return res.json({ 
@@ -369,7 +613,8 @@ router.post('/:id/migrate', async (req, res) => {
     
     // Trigger migration (will be handled by Agenda.js queue)
     // For now, we'll do it synchronously for manual triggers
-    const migratedFile = await migrateFile(req.params.id, tier, decision.targetTier);
+    // Files sharing the same data move along with it
+    const { file: migratedFile, shared } = await migrateBlobFiles(file._id.toString(), tier, decision.targetTier, { trigger: 'manual' });
     
     res.json({
       message: 'Migration completed successfully',
@@ -377,7 +622,8 @@ router.post('/:id/migrate', async (req, res) => {
         id: migratedFile._id,
         tier: decision.targetTier,
         migrationStatus: migratedFile.migrationStatus
-      }
+      },
+      shared
     });
     
   } catch (error) {
@@ -387,18 +633,64 @@ router.post('/:id/migrate', async (req, res) => {
 });
 
 /**
- * POST /api/files/:id/simulate-last-access-30-days
- * Simulate that the file was last accessed 30 days ago by updating lastAccessDate
+ * GET /api/files/:id/history
+ * Migration history of a file, newest first.
+ * Query: trigger, outcome, from, to (dates), page, limit (default 50)
  */
-router.post('/:id/simulate-last-access-30-days', async (req, res) => {
+router.get('/:id/history', requireScope('files:read'), async (req, res) => {
   try {
-    const result = await findFileAcrossTiers(req.params.id);
+    const { file } = req.fileRecord;
+    const { filter, error } = buildHistoryFilter({ ...req.query, fileId: file._id.toString() });
+    
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const history = await queryMigrationEvents(filter, req.query);
+    res.json({ fileId: file._id, fileName: file.fileName, ...history });
+  } catch (error) {
+    console.error('Error fetching file history:', error);
+    res.status(500).json({ error: 'Failed to fetch file history', details: error.message });
+  }
+});
 
-    if (!result) {
-      return res.status(404).json({ error: 'File not found' });
+/**
+ * PUT /api/files/:id/tags
+ * Replace the tags of a file ({ tags: [...] } or comma-separated string)
+ */
+router.put('/:id/tags', requireScope('files:write'), async (req, res) => {
+  try {
+    const { file, model } = req.fileRecord;
+    
+    if (file.isLocked) {
+      return res.status(409).json({ error: 'File is currently being migrated' });
     }
+    
+    const tags = normalizeTags(req.body.tags);
+    await model.findByIdAndUpdate(file._id, { tags });
+    console.log(`Updated tags of ${file.fileName} (${file._id}): [${tags.join(', ')}]`);
+    
+    res.json({
+      message: 'Tags updated successfully',
+      file: {
+        id: file._id,
+        fileName: file.fileName,
+        tags
+      }
+    });
+  } catch (error) {
+    console.error('Error updating tags:', error);
+    res.status(500).json({ error: 'Failed to update tags', details: error.message });
+  }
+});
 
-    const { file, model } = result;
+/**
+ * POST /api/files/:id/simulate-last-access-30-days
+ * Simulate that the file was last accessed 30 days ago by updating lastAccessDate
+ */
+router.post('/:id/simulate-last-access-30-days', requireScope('files:write'), async (req, res) => {
+  try {
+    const { file, model } = req.fileRecord;
 
     // Calculate new lastAccessDate: 30 days earlier than current lastAccessDate (if exists),
     // otherwise 30 days earlier than now. This makes the simulation cumulative per click.
@@ -0,0 +1,56 @@
+import express from 'express';
+import { JOB_STATES, getMigrationQueue, listMigrationJobs } from '../services/migrationQueue.js';
+import { buildHistoryFilter, queryMigrationEvents } from '../services/migrationHistory.js';
+
+const router = express.Router();
+
+const MAX_JOBS_LIMIT = 500;
+
+/**
+ * GET /api/migrations/jobs
+ * Per-file migration jobs with counts per state.
+ * Query: state (queued|running|failed|completed), fileId, limit (default 50)
+ */
+router.get('/jobs', async (req, res) => {
+  try {
+    const { state, fileId } = req.query;
+    
+    if (state && !JOB_STATES.includes(state)) {
+      return res.status(400).json({ error: `Invalid state. Must be one of: ${JOB_STATES.join(', ')}` });
+    }
+    
+    if (!getMigrationQueue()) {
+      return res.status(503).json({ error: 'Migration queue is not ready' });
+    }
+    
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_JOBS_LIMIT);
+    const result = await listMigrationJobs({ state, fileId, limit });
+    res.json(result);
+  } catch (error) {
+    console.error('Error fetching migration jobs:', error);
+    res.status(500).json({ error: 'Failed to fetch migration jobs', details: error.message });
+  }
+});
+
+/**
+ * GET /api/migrations/history
+ * Migration events across all files, newest first.
+ * Query: fileId, fromTier, toTier, trigger, outcome, from, to (dates), page, limit (default 50)
+ */
+router.get('/history', async (req, res) => {
+  try {
+    const { filter, error } = buildHistoryFilter(req.query);
+    
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const history = await queryMigrationEvents(filter, req.query);
+    res.json(history);
+  } catch (error) {
+    console.error('Error fetching migration history:', error);
+    res.status(500).json({ error: 'Failed to fetch migration history', details: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,185 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import TieringRule from '../models/TieringRule.js';
+import { invalidateRuleCache, DECISION_MODES } from '../services/decisionEngine.js';
+import { simulateTiering } from '../services/simulationService.js';
+
+const router = express.Router();
+
+// Fields an admin may set on a rule
+const EDITABLE_FIELDS = ['name', 'description', 'enabled', 'priority', 'match', 'targetTier'];
+
+/**
+ * Helper function to pick editable fields from a request body
+ */
+const pickRuleFields = (body = {}) => {
+  return Object.fromEntries(
+    EDITABLE_FIELDS.filter((field) => body[field] !== undefined).map((field) => [field, body[field]])
+  );
+};
+
+/**
+ * Helper function to map save errors to HTTP responses
+ * @returns {boolean} - true if a response was sent
+ */
+const sendRuleError = (res, error) => {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    res.status(400).json({ error: 'Invalid tiering rule', details: error.message });
+    return true;
+  }
+  if (error.code === 11000) {
+    res.status(409).json({ error: 'A tiering rule with this name already exists' });
+    return true;
+  }
+  return false;
+};
+
+/**
+ * GET /api/policies
+ * List all tiering rules in evaluation order
+ */
+router.get('/', async (req, res) => {
+  try {
+    const rules = await TieringRule.find({}).sort({ priority: -1, createdAt: 1 });
+    res.json(rules);
+  } catch (error) {
+    console.error('Error fetching tiering rules:', error);
+    res.status(500).json({ error: 'Failed to fetch tiering rules', details: error.message });
+  }
+});
+
+/**
+ * POST /api/policies/simulate
+ * Dry-run the decision engine against the current files without changing anything.
+ * Body: { rules?: [rule, ...] (default: active rules), now?: ISO date (default: now),
+ *         mode?: 'threshold' | 'cost' (default: TIERING_DECISION_MODE) }
+ */
+router.post('/simulate', async (req, res) => {
+  try {
+    const { rules: proposedRules, now: simulatedNow, mode } = req.body || {};
+    
+    if (mode !== undefined && !DECISION_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${DECISION_MODES.join(', ')}` });
+    }
+    
+    let now = new Date();
+    if (simulatedNow !== undefined) {
+      now = new Date(simulatedNow);
+      if (Number.isNaN(now.getTime())) {
+        return res.status(400).json({ error: 'now must be a valid date' });
+      }
+    }
+    
+    let rules;
+    if (proposedRules !== undefined) {
+      if (!Array.isArray(proposedRules)) {
+        return res.status(400).json({ error: 'rules must be an array' });
+      }
+      
+      // Validate proposed rules exactly like saved ones, then order them for evaluation
+      const docs = proposedRules.map((rule) => new TieringRule(pickRuleFields(rule)));
+      for (const doc of docs) {
+        const validationError = doc.validateSync();
+        if (validationError) {
+          return res.status(400).json({ error: 'Invalid tiering rule', details: validationError.message });
+        }
+      }
+      rules = docs
+        .filter((doc) => doc.enabled)
+        .map((doc) => doc.toObject())
+        .sort((a, b) => b.priority - a.priority);
+    }
+    
+    const result = await simulateTiering({ rules, now, mode });
+    res.json(result);
+  } catch (error) {
+    console.error('Error simulating tiering rules:', error);
+    res.status(500).json({ error: 'Simulation failed', details: error.message });
+  }
+});
+
+/**
+ * GET /api/policies/:id
+ * Get a single tiering rule
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const rule = mongoose.isValidObjectId(req.params.id) ? await TieringRule.findById(req.params.id) : null;
+    
+    if (!rule) {
+      return res.status(404).json({ error: 'Tiering rule not found' });
+    }
+    
+    res.json(rule);
+  } catch (error) {
+    console.error('Error fetching tiering rule:', error);
+    res.status(500).json({ error: 'Failed to fetch tiering rule', details: error.message });
+  }
+});
+
+/**
+ * POST /api/policies
+ * Create a tiering rule
+ */
+router.post('/', async (req, res) => {
+  try {
+    const rule = await TieringRule.create(pickRuleFields(req.body));
+    invalidateRuleCache();
+    console.log(`[Policies] Created tiering rule "${rule.name}" -> ${rule.targetTier} (priority ${rule.priority})`);
+    
+    res.status(201).json(rule);
+  } catch (error) {
+    if (sendRuleError(res, error)) return;
+    console.error('Error creating tiering rule:', error);
+    res.status(500).json({ error: 'Failed to create tiering rule', details: error.message });
+  }
+});
+
+/**
+ * PUT /api/policies/:id
+ * Update a tiering rule
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const rule = mongoose.isValidObjectId(req.params.id) ? await TieringRule.findById(req.params.id) : null;
+    
+    if (!rule) {
+      return res.status(404).json({ error: 'Tiering rule not found' });
+    }
+    
+    rule.set(pickRuleFields(req.body));
+    await rule.save();
+    invalidateRuleCache();
+    console.log(`[Policies] Updated tiering rule "${rule.name}" -> ${rule.targetTier} (priority ${rule.priority}, ${rule.enabled ? 'enabled' : 'disabled'})`);
+    
+    res.json(rule);
+  } catch (error) {
+    if (sendRuleError(res, error)) return;
+    console.error('Error updating tiering rule:', error);
+    res.status(500).json({ error: 'Failed to update tiering rule', details: error.message });
+  }
+});
+
+/**
+ * DELETE /api/policies/:id
+ * Delete a tiering rule
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const rule = mongoose.isValidObjectId(req.params.id) ? await TieringRule.findByIdAndDelete(req.params.id) : null;
+    
+    if (!rule) {
+      return res.status(404).json({ error: 'Tiering rule not found' });
+    }
+    
+    invalidateRuleCache();
+    console.log(`[Policies] Deleted tiering rule "${rule.name}"`);
+    
+    res.json({ message: 'Tiering rule deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting tiering rule:', error);
+    res.status(500).json({ error: 'Failed to delete tiering rule', details: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,21 @@
+import express from 'express';
+import { getScrubReport } from '../services/scrubService.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/scrub
+ * Scrub report: per-tier coverage (verified within the tier's interval, overdue, never
+ * scrubbed, corrupted), files currently flagged as corrupted and recent findings
+ */
+router.get('/', async (req, res) => {
+  try {
+    const report = await getScrubReport();
+    res.json(report);
+  } catch (error) {
+    console.error('Error building scrub report:', error);
+    res.status(500).json({ error: 'Failed to build scrub report', details: error.message });
+  }
+});
+
+export default router;
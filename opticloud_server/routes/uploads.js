@@ -0,0 +1,362 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import UploadSession from '../models/UploadSession.js';
+import { getTierBackend } from '../config/storage.js';
+import { writeFileStream, deleteFileData } from '../services/storageService.js';
+import { saveStoredFile, normalizeTags } from '../services/uploadStorage.js';
+import {
+  stagePart,
+  deletePart,
+  openSessionStream,
+  deleteUploadSession,
+  getUploadSessionTtlMs,
+  getMaxResumableUploadSize
+} from '../services/uploadSessionService.js';
+import { ownerFilter } from '../middleware/auth.js';
+import { checkQuota } from '../services/quotaService.js';
+import { HASH_ALGORITHMS, getHashAlgorithm, parseExpectedDigests, findDigestMismatch } from '../utils/hashUtils.js';
+
+/**
+ * Resumable upload protocol (tus-style)
+ *
+ *   POST   /api/uploads               create a session ({ fileName, size, contentType?, checksum?, checksumAlgorithm?, tags? })
+ *   HEAD   /api/uploads/:id           query progress (Upload-Offset / Upload-Length headers)
+ *   GET    /api/uploads/:id           query progress as JSON
+ *   PATCH  /api/uploads/:id           append a chunk at Upload-Offset (application/offset+octet-stream)
+ *   POST   /api/uploads/:id/finalize  assemble into a HOT tier file, verifying the checksum
+ *   DELETE /api/uploads/:id           abandon the session
+ *
+ * Sessions belong to the authenticated user who created them; other users' sessions
+ * are reported as not found.
+ */
+
+const router = express.Router();
+
+// Finalized uploads go to HOT tier like regular uploads
+const INITIAL_TIER = 'HOT';
+
+// Longest file name a session accepts (what common file systems allow)
+const MAX_FILE_NAME_LENGTH = 255;
+
+/**
+ * Helper function to load a user's session, treating malformed IDs as not found
+ * @param {string} sessionId - UploadSession ID
+ * @param {Object} user - req.user
+ * @returns {Promise<Object|null>}
+ */
+const findSession = async (sessionId, user) => {
+  if (!mongoose.isValidObjectId(sessionId)) return null;
+  return UploadSession.findOne({ _id: sessionId, ...ownerFilter(user) });
+};
+
+/**
+ * Helper function to format a session for responses
+ */
+const formatSession = (session) => ({
+  id: session._id,
+  fileName: session.fileName,
+  offset: session.offset,
+  uploadLength: session.uploadLength,
+  status: session.status,
+  expiresAt: session.expiresAt
+});
+
+/**
+ * POST /api/uploads
+ * Create an upload session. The total size may also be sent as an Upload-Length header.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { fileName, contentType, checksum, tags } = req.body || {};
+    const checksumAlgorithm = String(req.body?.checksumAlgorithm || getHashAlgorithm()).toLowerCase();
+    const uploadLength = Number(req.body?.size ?? req.get('Upload-Length'));
+    
+    if (typeof fileName !== 'string' || !fileName.trim() || fileName.length > MAX_FILE_NAME_LENGTH || /[\x00-\x1f\x7f]/.test(fileName)) {
+      return res.status(400).json({ error: `fileName must be a string of 1-${MAX_FILE_NAME_LENGTH} characters without control characters` });
+    }
+    if (!Number.isInteger(uploadLength) || uploadLength < 0) {
+      return res.status(400).json({ error: 'size must be a non-negative integer' });
+    }
+    if (!HASH_ALGORITHMS.includes(checksumAlgorithm)) {
+      return res.status(400).json({ error: `Invalid checksumAlgorithm. Must be one of: ${HASH_ALGORITHMS.join(', ')}` });
+    }
+    
+    const maxSize = getMaxResumableUploadSize();
+    if (uploadLength > maxSize) {
+      return res.status(413).json({ error: 'File too large', maxSize });
+    }
+    
+    const violation = await checkQuota(req.user.id, INITIAL_TIER, uploadLength);
+    if (violation) {
+      return res.status(violation.status).json({ error: violation.error, ...violation.details });
+    }
+    
+    const session = await UploadSession.create({
+      fileName,
+      contentType: contentType || 'application/octet-stream',
+      uploadLength,
+      expectedChecksum: checksum ? String(checksum).toLowerCase() : null,
+      expectedChecksumAlgorithm: checksumAlgorithm,
+      tags: normalizeTags(tags),
+      owner: req.user.id,
+      storageBackend: getTierBackend(INITIAL_TIER),
+      expiresAt: new Date(Date.now() + getUploadSessionTtlMs())
+    });
+    console.log(`[Uploads] Created upload session ${session._id} for ${fileName} (${uploadLength} bytes)`);
+    
+    res.status(201)
+      .location(`${req.baseUrl}/${session._id}`)
+      .json({ message: 'Upload session created', upload: formatSession(session) });
+  } catch (error) {
+    console.error('Error creating upload session:', error);
+    res.status(500).json({ error: 'Failed to create upload session', details: error.message });
+  }
+});
+
+/**
+ * HEAD /api/uploads/:id
+ * Query upload progress
+ */
+router.head('/:id', async (req, res) => {
+  try {
+    const session = await findSession(req.params.id, req.user);
+    
+    if (!session) {
+      return res.status(404).end();
+    }
+    
+    res.set({
+      'Upload-Offset': session.offset,
+      'Upload-Length': session.uploadLength,
+      'Cache-Control': 'no-store'
+    }).status(200).end();
+  } catch (error) {
+    console.error('Error fetching upload session:', error);
+    res.status(500).end();
+  }
+});
+
+/**
+ * GET /api/uploads/:id
+ * Query upload progress as JSON
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const session = await findSession(req.params.id, req.user);
+    
+    if (!session) {
+      return res.status(404).json({ error: 'Upload session not found' });
+    }
+    
+    res.set('Cache-Control', 'no-store').json(formatSession(session));
+  } catch (error) {
+    console.error('Error fetching upload session:', error);
+    res.status(500).json({ error: 'Failed to fetch upload session', details: error.message });
+  }
+});
+
+/**
+ * PATCH /api/uploads/:id
+ * Append a chunk. Upload-Offset must equal the current offset; the chunk is committed
+ * as a whole, so an interrupted PATCH is resumed from the last committed offset.
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const session = await findSession(req.params.id, req.user);
+    
+    if (!session) {
+      return res.status(404).json({ error: 'Upload session not found' });
+    }
+    if (session.status !== 'UPLOADING') {
+      return res.status(409).json({ error: 'Upload is being finalized' });
+    }
+    if (!req.is('application/offset+octet-stream')) {
+      return res.status(415).json({ error: 'Content-Type must be application/offset+octet-stream' });
+    }
+    
+    const offset = Number(req.get('Upload-Offset'));
+    if (!Number.isInteger(offset)) {
+      return res.status(400).json({ error: 'Upload-Offset header is required' });
+    }
+    if (offset !== session.offset) {
+      return res.status(409).json({ error: 'Upload-Offset does not match the current offset', offset: session.offset });
+    }
+    
+    const part = await stagePart(session, req, session.uploadLength - offset);
+    
+    if (part.size === 0) {
+      await deletePart(session, part.key);
+      return res.set('Upload-Offset', session.offset).status(204).end();
+    }
+    
+    // Commit the part only if no other PATCH moved the offset in the meantime
+    const updated = await UploadSession.findOneAndUpdate(
+      { _id: session._id, offset, status: 'UPLOADING' },
+      {
+        $inc: { offset: part.size },
+        $push: { parts: { key: part.key, offset, size: part.size } },
+        expiresAt: new Date(Date.now() + getUploadSessionTtlMs())
+      },
+      { new: true }
+    );
+    
+    if (!updated) {
+      await deletePart(session, part.key);
+      return res.status(409).json({ error: 'Upload offset changed concurrently' });
+    }
+    
+    res.set('Upload-Offset', updated.offset).status(204).end();
+  } catch (error) {
+    if (error.code === 'UPLOAD_LENGTH_EXCEEDED') {
+      return res.status(413).json({ error: error.message });
+    }
+    console.error('Error uploading chunk:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Chunk upload failed', details: error.message });
+    }
+  }
+});
+
+/**
+ * POST /api/uploads/:id/finalize
+ * Assemble the staged chunks into a HOT tier file. The checksum given at creation
+ * (or in this request's body, with checksumAlgorithm; the session's by default) and any
+ * Content-MD5 / Digest / Repr-Digest header must match the assembled data.
+ */
+router.post('/:id/finalize', async (req, res) => {
+  let session = null;
+  
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Upload session not found' });
+    }
+    
+    const { expected: headerDigests, error: digestError } = parseExpectedDigests(req.headers);
+    const bodyAlgorithm = req.body?.checksumAlgorithm ? String(req.body.checksumAlgorithm).toLowerCase() : null;
+    if (digestError) {
+      return res.status(400).json({ error: digestError });
+    }
+    if (bodyAlgorithm && !HASH_ALGORITHMS.includes(bodyAlgorithm)) {
+      return res.status(400).json({ error: `Invalid checksumAlgorithm. Must be one of: ${HASH_ALGORITHMS.join(', ')}` });
+    }
+    
+    // Claim the session so concurrent PATCH/finalize requests are rejected
+    session = await UploadSession.findOneAndUpdate(
+      { _id: req.params.id, ...ownerFilter(req.user), status: 'UPLOADING' },
+      { status: 'FINALIZING', expiresAt: new Date(Date.now() + getUploadSessionTtlMs()) },
+      { new: true }
+    );
+    
+    if (!session) {
+      const exists = await UploadSession.exists({ _id: req.params.id, ...ownerFilter(req.user) });
+      return exists
+        ? res.status(409).json({ error: 'Upload is already being finalized' })
+        : res.status(404).json({ error: 'Upload session not found' });
+    }
+    
+    if (session.offset !== session.uploadLength) {
+      await UploadSession.updateOne({ _id: session._id }, { status: 'UPLOADING' });
+      return res.status(409).json({
+        error: 'Upload is incomplete',
+        offset: session.offset,
+        uploadLength: session.uploadLength
+      });
+    }
+    
+    // Other uploads may have used up the quota since the session was created
+    const violation = await checkQuota(session.owner, INITIAL_TIER, session.uploadLength);
+    if (violation) {
+      await UploadSession.updateOne({ _id: session._id }, { status: 'UPLOADING' });
+      return res.status(violation.status).json({ error: violation.error, ...violation.details });
+    }
+    
+    const expectedDigests = { ...headerDigests };
+    if (req.body?.checksum) {
+      expectedDigests[bodyAlgorithm || session.expectedChecksumAlgorithm] = String(req.body.checksum).toLowerCase();
+    } else if (session.expectedChecksum) {
+      expectedDigests[session.expectedChecksumAlgorithm] = session.expectedChecksum;
+    }
+    
+    // Stream the parts into the HOT tier backend, hashing on the way through
+    const id = new mongoose.Types.ObjectId();
+    const location = { _id: id, storageBackend: getTierBackend(INITIAL_TIER), storageKey: id.toString() };
+    const { size, checksum, checksumAlgorithm, digests, storedChecksum, encryption } = await writeFileStream(location, INITIAL_TIER, openSessionStream(session), {
+      alsoHash: Object.keys(expectedDigests)
+    });
+    
+    const mismatch = findDigestMismatch(expectedDigests, digests);
+    if (mismatch) {
+      await deleteFileData(location, INITIAL_TIER);
+      await deleteUploadSession(session);
+      console.error(`[Uploads] Checksum mismatch for session ${session._id}: expected ${mismatch.algorithm} ${mismatch.expected}, got ${mismatch.actual}`);
+      return res.status(400).json({ error: 'Checksum mismatch', ...mismatch });
+    }
+    
+    const fileDoc = await saveStoredFile(INITIAL_TIER, {
+      id,
+      fileName: session.fileName,
+      contentType: session.contentType,
+      size,
+      checksum,
+      checksumAlgorithm,
+      storageBackend: location.storageBackend,
+      storageKey: location.storageKey,
+      storedChecksum,
+      encryption,
+      tags: session.tags,
+      owner: session.owner
+    });
+    
+    await deleteUploadSession(session);
+    console.log(`[Uploads] Finalized upload session ${session._id} as file ${fileDoc._id} (${size} bytes, checksum ${checksum})`);
+    
+    res.status(201).json({
+      message: 'File uploaded successfully',
+      file: {
+        id: fileDoc._id,
+        fileName: fileDoc.fileName,
+        size: fileDoc.size,
+        tier: INITIAL_TIER,
+        uploadDate: fileDoc.uploadDate
+      }
+    });
+  } catch (error) {
+    console.error('Error finalizing upload:', error);
+    
+    // Release the session so the client can retry finalize
+    if (session) {
+      await UploadSession.updateOne({ _id: session._id }, { status: 'UPLOADING' }).catch(() => {});
+    }
+    
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to finalize upload', details: error.message });
+    }
+  }
+});
+
+/**
+ * DELETE /api/uploads/:id
+ * Abandon an upload session and delete its staged chunks
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const session = await findSession(req.params.id, req.user);
+    
+    if (!session) {
+      return res.status(404).json({ error: 'Upload session not found' });
+    }
+    if (session.status === 'FINALIZING') {
+      return res.status(409).json({ error: 'Upload is being finalized' });
+    }
+    
+    await deleteUploadSession(session);
+    console.log(`[Uploads] Cancelled upload session ${session._id}`);
+    
+    res.json({ message: 'Upload cancelled' });
+  } catch (error) {
+    console.error('Error cancelling upload:', error);
+    res.status(500).json({ error: 'Failed to cancel upload', details: error.message });
+  }
+});
+
+export default router;
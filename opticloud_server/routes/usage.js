@@ -0,0 +1,114 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import { TIER_ORDER } from '../models/File.js';
+import { getUsageReport, listUsageReports, recalculateUsage } from '../services/quotaService.js';
+import { requireAdmin, denyApiKeys } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * Helper function to validate a quota limit from a request body
+ * @returns {boolean} - true for null (use the default) or a non-negative number
+ */
+const isValidLimit = (value) => value === null || (typeof value === 'number' && Number.isFinite(value) && value >= 0);
+
+/**
+ * GET /api/usage
+ * Storage used by the authenticated user per tier, with their quota.
+ * Admins may pass ?owner=<user id> to see another owner.
+ */
+router.get('/', async (req, res) => {
+  try {
+    let owner = req.user.id;
+    if (req.query.owner && req.query.owner !== owner) {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Admin role required' });
+      }
+      if (!mongoose.isValidObjectId(req.query.owner)) {
+        return res.status(400).json({ error: 'Invalid owner' });
+      }
+      owner = req.query.owner;
+    }
+    
+    const report = await getUsageReport(owner);
+    res.json(report);
+  } catch (error) {
+    console.error('Error fetching usage:', error);
+    res.status(500).json({ error: 'Failed to fetch usage', details: error.message });
+  }
+});
+
+/**
+ * GET /api/usage/owners
+ * Usage and quota of every owner with stored files, largest first (admin)
+ */
+router.get('/owners', requireAdmin, async (req, res) => {
+  try {
+    const reports = await listUsageReports();
+    res.json(reports);
+  } catch (error) {
+    console.error('Error fetching usage:', error);
+    res.status(500).json({ error: 'Failed to fetch usage', details: error.message });
+  }
+});
+
+/**
+ * PUT /api/usage/:owner/quota
+ * Override an owner's quota (admin). Body: { totalBytes?, files?, tierBytes?: { HOT?, WARM?, COLD? } };
+ * null restores the default for that limit.
+ */
+router.put('/:owner/quota', denyApiKeys, requireAdmin, async (req, res) => {
+  try {
+    const { totalBytes, files, tierBytes } = req.body || {};
+    const update = {};
+    
+    for (const [field, value] of [['totalBytes', totalBytes], ['files', files]]) {
+      if (value === undefined) continue;
+      if (!isValidLimit(value)) {
+        return res.status(400).json({ error: `${field} must be a non-negative number or null` });
+      }
+      update[`quota.${field}`] = value;
+    }
+    
+    for (const [tier, value] of Object.entries(tierBytes || {})) {
+      if (!TIER_ORDER.includes(tier)) {
+        return res.status(400).json({ error: `Invalid tier ${tier}. Must be one of: ${TIER_ORDER.join(', ')}` });
+      }
+      if (!isValidLimit(value)) {
+        return res.status(400).json({ error: `tierBytes.${tier} must be a non-negative number or null` });
+      }
+      update[`quota.tierBytes.${tier}`] = value;
+    }
+    
+    const user = mongoose.isValidObjectId(req.params.owner)
+      ? await User.findByIdAndUpdate(req.params.owner, { $set: update }, { new: true })
+      : null;
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    console.log(`[Quota] ${req.user.username} updated the quota of ${user.username}`);
+    
+    const report = await getUsageReport(user._id);
+    res.json(report);
+  } catch (error) {
+    console.error('Error updating quota:', error);
+    res.status(500).json({ error: 'Failed to update quota', details: error.message });
+  }
+});
+
+/**
+ * POST /api/usage/recalculate
+ * Rebuild every owner's usage from the tier collections (admin)
+ */
+router.post('/recalculate', denyApiKeys, requireAdmin, async (req, res) => {
+  try {
+    const owners = await recalculateUsage();
+    res.json({ message: 'Usage recalculated', owners });
+  } catch (error) {
+    console.error('Error recalculating usage:', error);
+    res.status(500).json({ error: 'Failed to recalculate usage', details: error.message });
+  }
+});
+
+export default router;
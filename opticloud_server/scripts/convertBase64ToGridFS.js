@@ -0,0 +1,117 @@
+/**
+ * One-shot conversion of legacy Base64 File documents to GridFS.
+ *
+ * For every unlocked document whose data is still inline (storageBackend 'mongo'),
+ * the data is written to the tier's GridFS bucket (encrypted when a master key is
+ * configured), verified against the stored checksum, and only then is the document
+ * switched over and fileData removed.
+ * Safe to re-run: converted documents are skipped.
+ *
+ * Usage: npm run convert:gridfs
+ */
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { Readable } from 'stream';
+import { connectDB } from '../config/database.js';
+import { getAllFileModels } from '../models/File.js';
+import { calculateBufferHash, getChecksumAlgorithm } from '../utils/hashUtils.js';
+import { readFileData, writeFileStream, deleteFileData } from '../services/storageService.js';
+
+dotenv.config();
+
+const TIER_NAMES = ['HOT', 'WARM', 'COLD'];
+
+/**
+ * Convert a single legacy document
+ * @param {Object} file - File document with inline data
+ * @param {string} tier - Tier the document lives in
+ */
+const convertFile = async (file, tier) => {
+  const buffer = await readFileData(file, tier);
+  if (!buffer) {
+    console.warn(`[Convert] ${file.fileName} (${file._id}) in ${tier} has no data, skipping`);
+    return false;
+  }
+  
+  const algorithm = getChecksumAlgorithm(file);
+  const checksum = calculateBufferHash(buffer, algorithm);
+  if (file.checksum && checksum !== file.checksum) {
+    console.error(`[Convert] ${file.fileName} (${file._id}) in ${tier}: stored checksum ${file.checksum} does not match data (${checksum}), skipping`);
+    return false;
+  }
+  
+  // Write to GridFS under a fresh key and read it back (as stored) before switching over
+  const target = { _id: file._id, storageBackend: 'gridfs', storageKey: new mongoose.Types.ObjectId().toString() };
+  const written = await writeFileStream(target, tier, Readable.from([buffer]), { algorithm });
+  const copied = await readFileData(target, tier);
+  if (written.checksum !== checksum || !copied || calculateBufferHash(copied, algorithm) !== (written.storedChecksum || checksum)) {
+    await deleteFileData(target, tier);
+    console.error(`[Convert] ${file.fileName} (${file._id}) in ${tier}: GridFS copy failed verification, skipping`);
+    return false;
+  }
+  
+  // Only switch documents that are still unlocked and inline
+  const Model = file.constructor;
+  const result = await Model.updateOne(
+    { _id: file._id, isLocked: false, storageBackend: { $in: ['mongo', null] } },
+    {
+      $set: {
+        storageBackend: 'gridfs',
+        storageKey: target.storageKey,
+        checksum,
+        checksumAlgorithm: algorithm,
+        storedChecksum: written.storedChecksum,
+        encryption: written.encryption
+      },
+      $unset: { fileData: 1 }
+    }
+  );
+  if (result.modifiedCount === 0) {
+    await deleteFileData(target, tier);
+    console.warn(`[Convert] ${file.fileName} (${file._id}) in ${tier} changed during conversion, skipping`);
+    return false;
+  }
+  
+  console.log(`[Convert] ${file.fileName} (${file._id}) in ${tier} moved to GridFS (${buffer.length} bytes${written.encryption ? ', encrypted' : ''})`);
+  return true;
+};
+
+const run = async () => {
+  await connectDB();
+  
+  const allModels = getAllFileModels();
+  let converted = 0;
+  let skipped = 0;
+  
+  for (let i = 0; i < allModels.length; i++) {
+    const Model = allModels[i];
+    const tier = TIER_NAMES[i];
+    const cursor = Model.find({
+      storageBackend: { $in: ['mongo', null] },
+      isLocked: false
+    }).cursor();
+    
+    for await (const file of cursor) {
+      try {
+        if (await convertFile(file, tier)) {
+          converted++;
+        } else {
+          skipped++;
+        }
+      } catch (error) {
+        skipped++;
+        console.error(`[Convert] Failed to convert ${file.fileName} (${file._id}) in ${tier}:`, error.message);
+      }
+    }
+  }
+  
+  console.log(`[Convert] Done: ${converted} converted, ${skipped} skipped`);
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error('[Convert] Conversion failed:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
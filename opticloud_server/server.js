@@ -4,9 +4,30 @@ import dotenv from 'dotenv';
 import { install as installLogBuffer, getLogs, hydrate, setPersistence } from './utils/logBuffer.js';
 import { loadRecent, append as persistAppend } from './utils/logPersistence.js';
 import { connectDB } from './config/database.js';
+import { initStorage, checkTierConfig } from './config/storage.js';
+import { initEncryption } from './config/encryption.js';
+import { getHashAlgorithm } from './utils/hashUtils.js';
 import fileRoutes from './routes/files.js';
+import uploadRoutes from './routes/uploads.js';
+import policyRoutes from './routes/policies.js';
+import migrationRoutes from './routes/migrations.js';
+import costRoutes from './routes/costs.js';
+import authRoutes from './routes/auth.js';
+import apiKeyRoutes from './routes/apiKeys.js';
+import usageRoutes from './routes/usage.js';
+import scrubRoutes from './routes/scrub.js';
+import { authenticate, acceptSignedDownload, requireAdmin, requireScope, denyApiKeys } from './middleware/auth.js';
 import Agenda from 'agenda';
 import { setupMigrationJob, setupRecoveryJob } from './jobs/migrationJob.js';
+import { setupUploadCleanupJob } from './jobs/uploadCleanupJob.js';
+import { setupCostSnapshotJob } from './jobs/costSnapshotJob.js';
+import { setupBlobGcJob } from './jobs/blobGcJob.js';
+import { setupRehashJob } from './jobs/rehashJob.js';
+import { setupScrubJob } from './jobs/scrubJob.js';
+import { setupKeyRotationJob } from './jobs/keyRotationJob.js';
+import { startAccessTracker, stopAccessTracker } from './services/accessTracker.js';
+import { backfillFileAliases } from './services/fileCatalog.js';
+import { recalculateUsage } from './services/quotaService.js';
 
 // Load environment variables
 dotenv.config();
@@ -22,8 +43,17 @@ app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Routes
-app.use('/api/files', fileRoutes);
+// Routes (files and uploads are scoped to their owner; the rest is admin-only).
+// API keys are limited to their scopes and cannot reach routes no scope covers.
+app.use('/api/auth', authRoutes);
+app.use('/api/keys', authenticate, denyApiKeys, apiKeyRoutes);
+app.use('/api/files', acceptSignedDownload, authenticate, fileRoutes);
+app.use('/api/uploads', authenticate, requireScope('files:write'), uploadRoutes);
+app.use('/api/usage', authenticate, requireScope('files:read'), usageRoutes);
+app.use('/api/policies', authenticate, denyApiKeys, requireAdmin, policyRoutes);
+app.use('/api/migrations', authenticate, denyApiKeys, requireAdmin, migrationRoutes);
+app.use('/api/costs', authenticate, denyApiKeys, requireAdmin, costRoutes);
+app.use('/api/scrub', authenticate, denyApiKeys, requireAdmin, scrubRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -31,7 +61,7 @@ app.get('/health', (req, res) => {
 });
 
 // Admin logs - backend terminal output for Admin logs UI
-app.get('/api/logs', (req, res) => {
+app.get('/api/logs', authenticate, requireAdmin, requireScope('admin:logs'), (req, res) => {
   try {
     const logs = getLogs();
     res.json({ logs });
@@ -55,6 +85,12 @@ const initializeAgenda = async () => {
       // Setup migration jobs
       setupMigrationJob(agenda);
       setupRecoveryJob(agenda);
+      setupUploadCleanupJob(agenda);
+      setupCostSnapshotJob(agenda);
+      setupBlobGcJob(agenda);
+      setupRehashJob(agenda);
+      setupScrubJob(agenda);
+      setupKeyRotationJob(agenda);
       
       // Start agenda
       agenda.start();
@@ -72,14 +108,39 @@ const initializeAgenda = async () => {
 // Start server
 const startServer = async () => {
   try {
+    // Check the checksum algorithm before anything is hashed (an invalid HASH_ALGORITHM stops the server)
+    console.log(`Checksums are calculated with ${getHashAlgorithm()}`);
+
+    // Check each tier's backend and compression (STORAGE_BACKEND_<TIER>, COMPRESSION_<TIER>)
+    checkTierConfig();
+
     // Connect to MongoDB
     await connectDB();
 
+    // Create local storage directories used by the 'fs' backend
+    initStorage();
+
+    // Load the master keys for encryption at rest (a broken keyfile stops the server)
+    initEncryption();
+
     // Load persisted admin logs and enable persistence
     const persisted = await loadRecent();
     hydrate(persisted);
     setPersistence(persistAppend);
 
+    // Redirect per-tier IDs that changed in earlier migrations to the files' stable IDs
+    const aliases = await backfillFileAliases();
+    if (aliases > 0) {
+      console.log(`Created ${aliases} file ID aliases for earlier migrations`);
+    }
+
+    // Correct any drift in the incrementally tracked per-owner usage
+    const owners = await recalculateUsage();
+    console.log(`Recalculated storage usage of ${owners} owners`);
+
+    // Batch file access counters into periodic bulk writes
+    startAccessTracker();
+
     // Initialize Agenda.js
     await initializeAgenda();
 
@@ -100,6 +161,7 @@ process.on('SIGTERM', async () => {
   if (agenda) {
     await agenda.stop();
   }
+  await stopAccessTracker().catch(() => {});
   process.exit(0);
 });
 
@@ -108,6 +170,7 @@ process.on('SIGINT', async () => {
   if (agenda) {
     await agenda.stop();
   }
+  await stopAccessTracker().catch(() => {});
   process.exit(0);
 });
 
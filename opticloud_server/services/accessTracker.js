@@ -0,0 +1,167 @@
+import { getFileModelByTier } from '../models/File.js';
+
+/**
+ * Access Tracker - Per-file access counters and decaying heat scores
+ *
+ * Accesses are counted in memory and flushed to MongoDB in one bulk write per tier
+ * every ACCESS_FLUSH_INTERVAL_SECONDS, so reads never cost a document save.
+ *
+ * Heat is kept as two exponentially decaying counters: heat.day (time constant 1 day)
+ * and heat.week (time constant 7 days). For a steady access rate they approach the
+ * number of accesses in the last day / week; the weekly value is the file's heat score.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const HEAT_WINDOWS = {
+  day: DAY_MS,
+  week: 7 * DAY_MS
+};
+
+const DEFAULT_FLUSH_INTERVAL_SECONDS = 10;
+
+// Pending accesses keyed by "<tier>:<fileId>"
+const pending = new Map();
+let flushTimer = null;
+
+/**
+ * Record an access to a file (buffered until the next flush)
+ * @param {Object} file - File document
+ * @param {string} tier - Tier the document lives in
+ * @param {Object} [options]
+ * @param {boolean} [options.updateLastAccess=false] - Also bump lastAccessDate (downloads)
+ */
+export const recordAccess = (file, tier, { updateLastAccess = false } = {}) => {
+  const key = `${tier}:${file._id}`;
+  const entry = pending.get(key) || { tier, fileId: file._id, count: 0, lastAccessDate: null };
+  
+  entry.count += 1;
+  if (updateLastAccess) {
+    entry.lastAccessDate = new Date();
+  }
+  
+  pending.set(key, entry);
+};
+
+/**
+ * Aggregation expression decaying a stored heat counter from heat.updatedAt to now
+ */
+const decayedHeat = (field, windowMs, now) => ({
+  $multiply: [
+    { $ifNull: [`$heat.${field}`, 0] },
+    {
+      $exp: {
+        $divide: [{ $subtract: [{ $ifNull: ['$heat.updatedAt', now] }, now] }, windowMs]
+      }
+    }
+  ]
+});
+
+/**
+ * Write all pending accesses to MongoDB (one bulk write per tier)
+ * Accesses to files that moved tier before the flush are dropped.
+ * @returns {Promise<number>} - Number of files updated
+ */
+export const flushAccesses = async () => {
+  if (pending.size === 0) return 0;
+  
+  const entries = [...pending.values()];
+  pending.clear();
+  
+  const now = new Date();
+  const opsByTier = {};
+  
+  for (const { tier, fileId, count, lastAccessDate } of entries) {
+    const set = {
+      accessCount: { $add: [{ $ifNull: ['$accessCount', 0] }, count] },
+      'heat.day': { $add: [decayedHeat('day', HEAT_WINDOWS.day, now), count] },
+      'heat.week': { $add: [decayedHeat('week', HEAT_WINDOWS.week, now), count] },
+      'heat.updatedAt': now
+    };
+    if (lastAccessDate) {
+      set.lastAccessDate = { $max: ['$lastAccessDate', lastAccessDate] };
+    }
+    
+    (opsByTier[tier] ||= []).push({
+      updateOne: { filter: { _id: fileId }, update: [{ $set: set }] }
+    });
+  }
+  
+  let updated = 0;
+  for (const [tier, ops] of Object.entries(opsByTier)) {
+    try {
+      const result = await getFileModelByTier(tier).collection.bulkWrite(ops, { ordered: false });
+      updated += result.modifiedCount;
+    } catch (error) {
+      console.error(`[Access] Failed to flush ${ops.length} access records for ${tier} tier:`, error.message);
+    }
+  }
+  
+  return updated;
+};
+
+/**
+ * Current heat of a file, decayed to a reference date
+ * @param {Object} file - File document
+ * @param {Date} [now] - Reference date
+ * @returns {{day: number, week: number}}
+ */
+export const getHeat = (file, now = new Date()) => {
+  const heat = file.heat || {};
+  const elapsed = heat.updatedAt ? Math.max(0, now - new Date(heat.updatedAt)) : 0;
+  
+  return {
+    day: (heat.day || 0) * Math.exp(-elapsed / HEAT_WINDOWS.day),
+    week: (heat.week || 0) * Math.exp(-elapsed / HEAT_WINDOWS.week)
+  };
+};
+
+/**
+ * Heat score of a file (decayed weekly access counter)
+ * @param {Object} file - File document
+ * @param {Date} [now] - Reference date
+ * @returns {number}
+ */
+export const getHeatScore = (file, now) => getHeat(file, now).week;
+
+/**
+ * Access statistics for API responses
+ * @param {Object} file - File document
+ * @returns {{accessCount: number, heat: {day: number, week: number}, heatScore: number}}
+ */
+export const formatAccessStats = (file) => {
+  const heat = getHeat(file);
+  const round = (value) => Math.round(value * 100) / 100;
+  
+  return {
+    accessCount: file.accessCount || 0,
+    heat: { day: round(heat.day), week: round(heat.week) },
+    heatScore: round(heat.week)
+  };
+};
+
+/**
+ * Start periodic flushing (ACCESS_FLUSH_INTERVAL_SECONDS, default 10)
+ */
+export const startAccessTracker = () => {
+  if (flushTimer) return;
+  
+  const seconds = Number(process.env.ACCESS_FLUSH_INTERVAL_SECONDS) || DEFAULT_FLUSH_INTERVAL_SECONDS;
+  flushTimer = setInterval(() => {
+    flushAccesses().catch((error) => console.error('[Access] Flush failed:', error.message));
+  }, seconds * 1000);
+  flushTimer.unref();
+  
+  console.log(`Access tracker flushing every ${seconds} seconds`);
+};
+
+/**
+ * Stop periodic flushing and write out anything pending
+ */
+export const stopAccessTracker = async () => {
+  if (flushTimer) {
+    clearInterval(flushTimer);
+    flushTimer = null;
+  }
+  await flushAccesses();
+};
@@ -0,0 +1,104 @@
+import mongoose from 'mongoose';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { GRIDFS_BUCKETS } from '../../config/storage.js';
+
+/**
+ * GridFS storage adapter
+ * Stores each object as a chunked GridFS file in a per-tier bucket
+ * (hotFiles, warmFiles, coldFiles). The storage key is the GridFS file ID.
+ */
+
+const { GridFSBucket, ObjectId } = mongoose.mongo;
+
+/**
+ * Get the GridFS bucket for a tier
+ * @param {string} tier - 'HOT', 'WARM' or 'COLD'
+ * @returns {GridFSBucket}
+ */
+export const getBucket = (tier) => {
+  const bucketName = GRIDFS_BUCKETS[tier];
+  if (!bucketName) {
+    throw new Error(`No GridFS bucket configured for tier: ${tier}`);
+  }
+  return new GridFSBucket(mongoose.connection.db, { bucketName });
+};
+
+/**
+ * Write an object from a stream (a partially written file is aborted on error)
+ * @param {string} tier - Tier bucket to write to
+ * @param {string} key - Storage key (ObjectId hex string)
+ * @param {import('stream').Readable} source - Object contents
+ */
+const putStream = async (tier, key, source) => {
+  const uploadStream = getBucket(tier).openUploadStreamWithId(new ObjectId(key), key);
+  try {
+    await pipeline(source, uploadStream);
+  } catch (error) {
+    await uploadStream.abort().catch(() => {});
+    throw error;
+  }
+};
+
+/**
+ * Write an object
+ * @param {string} tier - Tier bucket to write to
+ * @param {string} key - Storage key (ObjectId hex string)
+ * @param {Buffer} data - Object contents
+ */
+const put = (tier, key, data) => putStream(tier, key, Readable.from([data]));
+
+/**
+ * Get object metadata
+ * @returns {Promise<{size: number}|null>}
+ */
+const stat = async (tier, key) => {
+  const gridFile = await getBucket(tier).find({ _id: new ObjectId(key) }).next();
+  return gridFile ? { size: gridFile.length } : null;
+};
+
+/**
+ * Open a readable stream over an object
+ * @param {{start: number, end: number}} [range] - Optional inclusive byte range
+ * @returns {import('stream').Readable}
+ */
+const stream = (tier, key, range) => {
+  // GridFS treats end as exclusive
+  const options = range ? { start: range.start, end: range.end + 1 } : undefined;
+  return getBucket(tier).openDownloadStream(new ObjectId(key), options);
+};
+
+/**
+ * Read an object
+ * @returns {Promise<Buffer|null>} - Contents, or null if the object does not exist
+ */
+const get = async (tier, key) => {
+  if (!(await stat(tier, key))) return null;
+  
+  const chunks = [];
+  for await (const chunk of stream(tier, key)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Delete an object (missing objects are ignored)
+ */
+const remove = async (tier, key) => {
+  try {
+    await getBucket(tier).delete(new ObjectId(key));
+  } catch (error) {
+    if (!/not found/i.test(error.message)) throw error;
+  }
+};
+
+export default {
+  name: 'gridfs',
+  put,
+  putStream,
+  get,
+  delete: remove,
+  stat,
+  stream
+};
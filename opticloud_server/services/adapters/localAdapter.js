@@ -0,0 +1,89 @@
+import fs from 'fs';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { getFilePath, getStoragePath } from '../../config/storage.js';
+
+/**
+ * Local filesystem storage adapter
+ * Stores each object as a plain file under STORAGE_DIRS[tier]/<key>
+ */
+
+/**
+ * Write an object from a stream (via a temp file + rename so readers never see partial data)
+ * @param {string} tier - Tier the object belongs to
+ * @param {string} key - Storage key
+ * @param {import('stream').Readable} source - Object contents
+ */
+const putStream = async (tier, key, source) => {
+  await fs.promises.mkdir(getStoragePath(tier), { recursive: true });
+  const filePath = getFilePath(tier, key);
+  const tempPath = `${filePath}.tmp`;
+  try {
+    await pipeline(source, fs.createWriteStream(tempPath));
+    await fs.promises.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.promises.rm(tempPath, { force: true });
+    throw error;
+  }
+};
+
+/**
+ * Write an object
+ * @param {string} tier - Tier the object belongs to
+ * @param {string} key - Storage key
+ * @param {Buffer} data - Object contents
+ */
+const put = (tier, key, data) => putStream(tier, key, Readable.from([data]));
+
+/**
+ * Read an object
+ * @returns {Promise<Buffer|null>} - Contents, or null if the object does not exist
+ */
+const get = async (tier, key) => {
+  try {
+    return await fs.promises.readFile(getFilePath(tier, key));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+/**
+ * Delete an object (missing objects are ignored)
+ */
+const remove = async (tier, key) => {
+  await fs.promises.rm(getFilePath(tier, key), { force: true });
+};
+
+/**
+ * Get object metadata
+ * @returns {Promise<{size: number}|null>}
+ */
+const stat = async (tier, key) => {
+  try {
+    const stats = await fs.promises.stat(getFilePath(tier, key));
+    return { size: stats.size };
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+/**
+ * Open a readable stream over an object
+ * @param {{start: number, end: number}} [range] - Optional inclusive byte range
+ * @returns {import('stream').Readable}
+ */
+const stream = (tier, key, range) => {
+  return fs.createReadStream(getFilePath(tier, key), range ? { start: range.start, end: range.end } : undefined);
+};
+
+export default {
+  name: 'fs',
+  put,
+  putStream,
+  get,
+  delete: remove,
+  stat,
+  stream
+};
@@ -0,0 +1,71 @@
+import { Readable } from 'stream';
+import { getFileModelByTier } from '../../models/File.js';
+
+/**
+ * Legacy MongoDB storage adapter
+ * Reads the Base64 string kept in the fileData field of the tier's File document, as
+ * stored before chunked backends existed. The storage key is the File document ID.
+ * New data is never written inline (16MB document limit, 33% Base64 overhead);
+ * scripts/convertBase64ToGridFS.js moves existing documents to GridFS.
+ */
+
+/**
+ * Writing is not supported for inline data
+ */
+const put = async (tier, key) => {
+  throw new Error(`The mongo storage backend is read-only (file ${key} in ${tier} tier)`);
+};
+const putStream = put;
+
+/**
+ * Read an object from the File document
+ * @returns {Promise<Buffer|null>} - Contents, or null if there is no data
+ */
+const get = async (tier, key) => {
+  const Model = getFileModelByTier(tier);
+  const file = await Model.findById(key).select('+fileData');
+  if (!file || !file.fileData) return null;
+  return Buffer.from(file.fileData, 'base64');
+};
+
+/**
+ * Remove the object data from the File document (the document itself is left to the caller)
+ */
+const remove = async (tier, key) => {
+  const Model = getFileModelByTier(tier);
+  await Model.updateOne({ _id: key }, { $unset: { fileData: 1 } });
+};
+
+/**
+ * Get object metadata
+ * @returns {Promise<{size: number}|null>}
+ */
+const stat = async (tier, key) => {
+  const data = await get(tier, key);
+  return data ? { size: data.length } : null;
+};
+
+/**
+ * Open a readable stream over an object (data is loaded into memory first)
+ * @param {{start: number, end: number}} [range] - Optional inclusive byte range
+ * @returns {import('stream').Readable}
+ */
+const stream = (tier, key, range) => {
+  return Readable.from((async function* () {
+    const data = await get(tier, key);
+    if (!data) {
+      throw new Error(`File data not found: ${key} in ${tier} tier`);
+    }
+    yield range ? data.subarray(range.start, range.end + 1) : data;
+  })());
+};
+
+export default {
+  name: 'mongo',
+  put,
+  putStream,
+  get,
+  delete: remove,
+  stat,
+  stream
+};
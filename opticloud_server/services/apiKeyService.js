@@ -0,0 +1,76 @@
+import crypto from 'crypto';
+import ApiKey from '../models/ApiKey.js';
+
+/**
+ * API Key Service - Issue, look up and track API keys
+ *
+ * Keys look like "ock_<48 hex chars>". They carry 192 random bits, so a plain SHA-256
+ * hash is enough to store them (no salt or slow hash needed, unlike passwords).
+ */
+
+export const API_KEY_PREFIX = 'ock_';
+
+// lastUsedAt is written at most this often per key, not on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} key
+ * @returns {string} - SHA-256 (hex)
+ */
+export const hashApiKey = (key) => {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+/**
+ * Check whether a bearer credential is an API key (rather than an access token)
+ * @param {string} credential
+ * @returns {boolean}
+ */
+export const isApiKey = (credential) => {
+  return typeof credential === 'string' && credential.startsWith(API_KEY_PREFIX);
+};
+
+/**
+ * Issue a new API key
+ * @param {Object} params - { name, owner, scopes, expiresAt }
+ * @returns {Promise<{apiKey: Object, key: string}>} - Saved ApiKey document and the key (only returned here)
+ */
+export const issueApiKey = async ({ name, owner, scopes, expiresAt = null }) => {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  const apiKey = await ApiKey.create({
+    name,
+    owner,
+    scopes: [...new Set(scopes)],
+    expiresAt,
+    prefix: key.slice(0, API_KEY_PREFIX.length + 8),
+    keyHash: hashApiKey(key)
+  });
+  
+  return { apiKey, key };
+};
+
+/**
+ * Find the active (not revoked, not expired) API key for a presented key
+ * @param {string} key
+ * @returns {Promise<Object|null>} - ApiKey document
+ */
+export const findActiveApiKey = async (key) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashApiKey(key), revokedAt: null });
+  if (!apiKey || (apiKey.expiresAt && apiKey.expiresAt <= new Date())) return null;
+  return apiKey;
+};
+
+/**
+ * Record that a key was used. Never throws; writes are throttled per key.
+ * @param {Object} apiKey - ApiKey document
+ * @param {string} ip - Client address
+ */
+export const touchApiKey = (apiKey, ip) => {
+  const now = new Date();
+  if (apiKey.lastUsedAt && now - apiKey.lastUsedAt < LAST_USED_RESOLUTION_MS) return;
+  
+  ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: now, lastUsedIp: ip || null }).catch((error) => {
+    console.error(`[Auth] Failed to record use of API key ${apiKey.prefix}:`, error.message);
+  });
+};
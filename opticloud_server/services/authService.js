@@ -0,0 +1,113 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+/**
+ * Auth Service - Password hashing and access tokens
+ *
+ * Passwords are hashed with scrypt and a per-user salt. Access tokens are HS256 JWTs
+ * signed with JWT_SECRET and valid for JWT_EXPIRES_IN_HOURS (default 12).
+ */
+
+const scrypt = promisify(crypto.scrypt);
+
+const SCRYPT_KEY_LENGTH = 64;
+const DEFAULT_TOKEN_HOURS = 12;
+export const MIN_PASSWORD_LENGTH = 8;
+
+let fallbackSecret = null;
+
+/**
+ * Secret access tokens are signed with. Without JWT_SECRET a random secret is used,
+ * so tokens stop working when the server restarts.
+ * @returns {string}
+ */
+const getTokenSecret = () => {
+  if (process.env.JWT_SECRET) {
+    return process.env.JWT_SECRET;
+  }
+  
+  if (!fallbackSecret) {
+    console.warn('[Auth] JWT_SECRET is not set; using a random secret (tokens are invalidated on restart)');
+    fallbackSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return fallbackSecret;
+};
+
+/**
+ * Hash a password for storage
+ * @param {string} password
+ * @returns {Promise<string>} - "scrypt$<salt>$<hash>" (hex)
+ */
+export const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+};
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password
+ * @param {string} storedHash - Value produced by hashPassword
+ * @returns {Promise<boolean>}
+ */
+export const verifyPassword = async (password, storedHash) => {
+  const [scheme, salt, expected] = String(storedHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !expected) return false;
+  
+  const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+  const expectedBuffer = Buffer.from(expected, 'hex');
+  return expectedBuffer.length === hash.length && crypto.timingSafeEqual(hash, expectedBuffer);
+};
+
+/**
+ * Base64url-encode a JSON value
+ */
+const encodeSegment = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+/**
+ * HS256 signature of a token's header and payload
+ */
+const sign = (data) => crypto.createHmac('sha256', getTokenSecret()).update(data).digest('base64url');
+
+/**
+ * Issue an access token for a user
+ * @param {Object} user - User document
+ * @returns {{token: string, expiresAt: Date}}
+ */
+export const issueToken = (user) => {
+  const hours = Number(process.env.JWT_EXPIRES_IN_HOURS) || DEFAULT_TOKEN_HOURS;
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const expiresAt = issuedAt + Math.round(hours * 60 * 60);
+  
+  const data = `${encodeSegment({ alg: 'HS256', typ: 'JWT' })}.${encodeSegment({
+    sub: user._id.toString(),
+    role: user.role,
+    iat: issuedAt,
+    exp: expiresAt
+  })}`;
+  
+  return { token: `${data}.${sign(data)}`, expiresAt: new Date(expiresAt * 1000) };
+};
+
+/**
+ * Verify an access token
+ * @param {string} token
+ * @returns {Object|null} - Token payload ({ sub, role, iat, exp }), or null if invalid or expired
+ */
+export const verifyToken = (token) => {
+  const [header, payload, signature] = String(token || '').split('.');
+  if (!header || !payload || !signature) return null;
+  
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  
+  try {
+    const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString());
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (alg !== 'HS256' || !claims.sub || !claims.exp || claims.exp * 1000 <= Date.now()) return null;
+    return claims;
+  } catch {
+    return null;
+  }
+};
@@ -0,0 +1,329 @@
+import mongoose from 'mongoose';
+import Blob from '../models/Blob.js';
+import PendingRelease from '../models/PendingRelease.js';
+import { TIER_ORDER } from '../models/File.js';
+import { deleteFileData } from './storageService.js';
+import { getTierCompression } from '../config/storage.js';
+import { COLLISION_RESISTANT_HASH_ALGORITHMS } from '../utils/hashUtils.js';
+
+/**
+ * Blob Service - Content-addressed storage of file data
+ *
+ * Identical data in a tier is stored once: files with the same checksum point at the
+ * same blob, which counts their references. Only checksums of a collision-resistant
+ * algorithm are shared by, so data hashed with MD5 is never shared. Dropping the last reference leaves an
+ * orphaned blob that collectOrphanBlobs reclaims. Files stored before deduplication
+ * have no blobId and keep their own data until they next migrate. A release that fails
+ * when a file is deleted is recorded (PendingRelease) and retried by retryPendingReleases.
+ */
+
+const GC_BATCH_SIZE = 500;
+
+/**
+ * Pipeline update adding or removing a file in a blob's refs and recounting them
+ * (pipelines are not cast by mongoose, so the ID is converted here)
+ * @param {string} operator - '$setUnion' or '$setDifference'
+ * @param {string|ObjectId} fileId
+ */
+const refsUpdate = (operator, fileId) => [
+  { $set: { refs: { [operator]: ['$refs', [new mongoose.Types.ObjectId(String(fileId))]] } } },
+  { $set: { refCount: { $size: '$refs' } } }
+];
+
+/**
+ * Find the referenced blob holding a tier's copy of some data (corrupted blobs are not shared)
+ * @param {string} tier - 'HOT', 'WARM' or 'COLD'
+ * @param {string} checksum - Checksum of the data
+ * @param {string} checksumAlgorithm - Algorithm the checksum was calculated with
+ * @param {number} size - Size of the data in bytes
+ * @returns {Promise<Object|null>} - Blob document, or null (always for MD5 checksums)
+ */
+export const findLiveBlob = async (tier, checksum, checksumAlgorithm, size) => {
+  if (!COLLISION_RESISTANT_HASH_ALGORITHMS.includes(checksumAlgorithm)) {
+    return null;
+  }
+  return Blob.findOne({ tier, checksum, checksumAlgorithm, size, refCount: { $gt: 0 }, corruptedAt: null });
+};
+
+/**
+ * Add a file's reference to a blob. Orphaned blobs are never revived, since the
+ * garbage collector may already be deleting their data.
+ * @param {string|ObjectId} blobId
+ * @param {string|ObjectId} fileId
+ * @returns {Promise<Object|null>} - Updated blob, or null if it is orphaned or gone
+ */
+export const addBlobRef = async (blobId, fileId) => {
+  return Blob.findOneAndUpdate(
+    { _id: blobId, refCount: { $gt: 0 } },
+    refsUpdate('$setUnion', fileId),
+    { new: true }
+  );
+};
+
+/**
+ * Drop a file's reference to a blob (repeating it is harmless)
+ * @param {string|ObjectId} blobId
+ * @param {string|ObjectId} fileId
+ * @returns {Promise<Object|null>} - Updated blob, or null if there is no such blob
+ */
+export const releaseBlobRef = async (blobId, fileId) => {
+  return Blob.findOneAndUpdate({ _id: blobId }, refsUpdate('$setDifference', fileId), { new: true });
+};
+
+/**
+ * Register data already written to storage as a new blob referenced by one file
+ * @param {Object} params - { _id (optional), tier, checksum, checksumAlgorithm, size, storageBackend, storageKey, fileId,
+ *   storedChecksum / encryption / compression / storedSize (optional: for data not stored as is),
+ *   verifiedAt (optional: when the data was last read back and matched the checksum) }
+ * @returns {Promise<Object>} - Blob document
+ */
+export const createBlob = async ({
+  _id, tier, checksum, checksumAlgorithm, size, storageBackend, storageKey, fileId,
+  storedChecksum = null, encryption = null, compression = null, storedSize = null, verifiedAt = null
+}) => {
+  return Blob.create({
+    _id,
+    tier,
+    checksum,
+    checksumAlgorithm,
+    size,
+    storageBackend,
+    storageKey,
+    storedChecksum,
+    encryption,
+    compression,
+    storedSize,
+    refs: [fileId],
+    refCount: 1,
+    lastVerifiedAt: verifiedAt,
+    lastScrubbedAt: verifiedAt
+  });
+};
+
+/**
+ * Store freshly written data content-addressed: if the tier already holds a blob with the
+ * same checksum, the file references it and the new copy is deleted again; otherwise the
+ * new copy becomes a blob. Concurrent uploads of the same data may each create a blob,
+ * which only costs the space deduplication would have saved.
+ * @param {string} tier - Tier the data was written to
+ * @param {Object} stored - { id, checksum, checksumAlgorithm, size, storageBackend, storageKey, storedChecksum, encryption,
+ *   compression, storedSize }
+ * @returns {Promise<Object>} - Blob the file now references
+ */
+export const storeBlob = async (tier, stored) => {
+  const existing = await findLiveBlob(tier, stored.checksum, stored.checksumAlgorithm, stored.size);
+  const linked = existing && await addBlobRef(existing._id, stored.id);
+  
+  if (linked) {
+    await deleteFileData({ _id: stored.id, storageBackend: stored.storageBackend, storageKey: stored.storageKey }, tier).catch((error) => {
+      console.error(`[Dedup] Failed to delete duplicate data of ${stored.id} from ${tier} storage:`, error.message);
+    });
+    console.log(`[Dedup] ${stored.id} shares blob ${linked._id} in ${tier} (${linked.refCount} references)`);
+    return linked;
+  }
+  
+  return createBlob({
+    tier,
+    checksum: stored.checksum,
+    checksumAlgorithm: stored.checksumAlgorithm,
+    size: stored.size,
+    storageBackend: stored.storageBackend,
+    storageKey: stored.storageKey,
+    storedChecksum: stored.storedChecksum,
+    encryption: stored.encryption,
+    compression: stored.compression,
+    storedSize: stored.storedSize,
+    fileId: stored.id
+  });
+};
+
+/**
+ * Release a deleted file's data: drop its blob reference (the data is reclaimed with
+ * the last one) or, for files stored before deduplication, delete the data directly
+ * @param {Object} file - File document
+ * @param {string} tier - Tier the document lived in
+ */
+export const releaseFileData = async (file, tier) => {
+  if (file.blobId) {
+    await releaseBlobRef(file.blobId, file._id);
+  } else {
+    await deleteFileData(file, tier);
+  }
+};
+
+/**
+ * Release a deleted file's data, or record it for retryPendingReleases if that fails
+ * (the File document is gone, so nothing else would ever release it)
+ * @param {Object} file - File document
+ * @param {string} tier - Tier the document lived in
+ * @returns {Promise<boolean>} - true if released now, false if left pending
+ */
+export const releaseOrDefer = async (file, tier) => {
+  try {
+    await releaseFileData(file, tier);
+    return true;
+  } catch (error) {
+    await PendingRelease.updateOne(
+      { fileId: file._id, tier },
+      {
+        $set: {
+          blobId: file.blobId || null,
+          storageBackend: file.storageBackend || null,
+          storageKey: file.storageKey || null,
+          lastError: error.message
+        },
+        $inc: { attempts: 1 }
+      },
+      { upsert: true }
+    ).then(() => {
+      console.error(`[Dedup] Failed to release data of ${file._id} in ${tier}, retried by blob garbage collection:`, error.message);
+    }, (recordError) => {
+      console.error(`[Dedup] Failed to release data of ${file._id} in ${tier} (${error.message}) and to record it for a retry:`, recordError.message);
+    });
+    return false;
+  }
+};
+
+/**
+ * Retry releases recorded by releaseOrDefer
+ * @returns {Promise<{released: number, failed: number}>}
+ */
+export const retryPendingReleases = async () => {
+  const pending = await PendingRelease.find().sort({ updatedAt: 1 }).limit(GC_BATCH_SIZE);
+  const result = { released: 0, failed: 0 };
+  
+  for (const release of pending) {
+    const file = {
+      _id: release.fileId,
+      blobId: release.blobId,
+      storageBackend: release.storageBackend,
+      storageKey: release.storageKey
+    };
+    try {
+      await releaseFileData(file, release.tier);
+      await PendingRelease.deleteOne({ _id: release._id });
+      result.released++;
+    } catch (error) {
+      result.failed++;
+      await PendingRelease.updateOne({ _id: release._id }, { $inc: { attempts: 1 }, lastError: error.message });
+      console.error(`[Dedup] Failed again to release data of ${release.fileId} in ${release.tier} (attempt ${release.attempts + 1}):`, error.message);
+    }
+  }
+  
+  return result;
+};
+
+/**
+ * Delete orphaned blobs (no references left) together with their data.
+ * The data goes first and the document only while it is still orphaned, so a crash in
+ * between is finished on the next run.
+ * @returns {Promise<{blobs: number, bytes: number}>} - Blobs and bytes reclaimed
+ */
+export const collectOrphanBlobs = async () => {
+  const orphans = await Blob.find({ refCount: 0 }).limit(GC_BATCH_SIZE);
+  const reclaimed = { blobs: 0, bytes: 0 };
+  
+  for (const blob of orphans) {
+    try {
+      await deleteFileData(blob, blob.tier);
+      const { deletedCount } = await Blob.deleteOne({ _id: blob._id, refCount: 0 });
+      if (deletedCount > 0) {
+        reclaimed.blobs += 1;
+        reclaimed.bytes += blob.size;
+      }
+    } catch (error) {
+      console.error(`[Dedup] Failed to reclaim blob ${blob._id} in ${blob.tier}:`, error.message);
+    }
+  }
+  
+  return reclaimed;
+};
+
+/**
+ * Space saved by deduplication, overall and per tier.
+ * logicalBytes is what the referencing files would occupy as separate copies,
+ * storedBytes what their blobs actually occupy.
+ * @returns {Promise<Object>} - { blobs, references, logicalBytes, storedBytes, savedBytes, ratio, orphans, byTier }
+ */
+export const getDedupStats = async () => {
+  const rows = await Blob.aggregate([
+    {
+      $group: {
+        _id: '$tier',
+        blobs: { $sum: { $cond: [{ $gt: ['$refCount', 0] }, 1, 0] } },
+        references: { $sum: '$refCount' },
+        logicalBytes: { $sum: { $multiply: ['$size', '$refCount'] } },
+        storedBytes: { $sum: { $cond: [{ $gt: ['$refCount', 0] }, '$size', 0] } },
+        orphanBlobs: { $sum: { $cond: [{ $gt: ['$refCount', 0] }, 0, 1] } },
+        orphanBytes: { $sum: { $cond: [{ $gt: ['$refCount', 0] }, 0, '$size'] } }
+      }
+    }
+  ]);
+  
+  const summarize = (totals) => ({
+    blobs: totals.blobs,
+    references: totals.references,
+    logicalBytes: totals.logicalBytes,
+    storedBytes: totals.storedBytes,
+    savedBytes: totals.logicalBytes - totals.storedBytes,
+    ratio: totals.storedBytes > 0 ? Math.round((totals.logicalBytes / totals.storedBytes) * 100) / 100 : 1,
+    orphans: { blobs: totals.orphanBlobs, bytes: totals.orphanBytes }
+  });
+  const empty = { blobs: 0, references: 0, logicalBytes: 0, storedBytes: 0, orphanBlobs: 0, orphanBytes: 0 };
+  
+  const overall = { ...empty };
+  const byTier = {};
+  for (const tier of TIER_ORDER) {
+    const row = rows.find(({ _id }) => _id === tier) || empty;
+    for (const field of Object.keys(empty)) {
+      overall[field] += row[field];
+    }
+    byTier[tier] = summarize(row);
+  }
+  
+  return { ...summarize(overall), byTier };
+};
+
+/**
+ * Space saved by compression, overall and per tier with the tier's current policy.
+ * Only blobs are counted: data is compressed by migrations, which always store blobs.
+ * logicalBytes is the size of the content, storedBytes what it occupies as stored.
+ * @returns {Promise<Object>} - { blobs, compressedBlobs, logicalBytes, storedBytes, savedBytes, ratio, byTier }
+ */
+export const getCompressionStats = async () => {
+  const rows = await Blob.aggregate([
+    { $match: { refCount: { $gt: 0 } } },
+    {
+      $group: {
+        _id: '$tier',
+        blobs: { $sum: 1 },
+        compressedBlobs: { $sum: { $cond: [{ $ifNull: ['$compression', false] }, 1, 0] } },
+        logicalBytes: { $sum: '$size' },
+        storedBytes: { $sum: { $ifNull: ['$storedSize', '$size'] } }
+      }
+    }
+  ]);
+  
+  const summarize = (totals) => ({
+    blobs: totals.blobs,
+    compressedBlobs: totals.compressedBlobs,
+    logicalBytes: totals.logicalBytes,
+    storedBytes: totals.storedBytes,
+    savedBytes: totals.logicalBytes - totals.storedBytes,
+    ratio: totals.storedBytes > 0 ? Math.round((totals.logicalBytes / totals.storedBytes) * 100) / 100 : 1
+  });
+  const empty = { blobs: 0, compressedBlobs: 0, logicalBytes: 0, storedBytes: 0 };
+  
+  const overall = { ...empty };
+  const byTier = {};
+  for (const tier of TIER_ORDER) {
+    const row = rows.find(({ _id }) => _id === tier) || empty;
+    for (const field of Object.keys(empty)) {
+      overall[field] += row[field];
+    }
+    const policy = getTierCompression(tier);
+    byTier[tier] = { policy: policy ? `${policy.algorithm}:${policy.level}` : 'none', ...summarize(row) };
+  }
+  
+  return { ...summarize(overall), byTier };
+};
@@ -0,0 +1,247 @@
+import { getAllFileModels, TIER_ORDER } from '../models/File.js';
+import CostSnapshot from '../models/CostSnapshot.js';
+import CostCharge from '../models/CostCharge.js';
+import {
+  getPricing,
+  getMigrationFee,
+  calculateDailyStorageCost,
+  calculateRetrievalCost,
+  calculateEarlyDeletionCharge
+} from '../config/pricing.js';
+
+/**
+ * Cost Service - Authoritative cost accounting
+ *
+ * Storage is billed from daily snapshots of the bytes stored per tier and owner.
+ * Retrievals, migrations (per-transition fee) and early deletions (data leaving a tier
+ * before its minimum storage duration) are recorded as charges when they happen.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const COST_GROUPINGS = ['day', 'month'];
+
+/**
+ * Round a USD amount to 1/100 of a cent (daily costs of small files are fractions of a cent)
+ */
+const roundCost = (amount) => Math.round(amount * 10000) / 10000;
+
+/**
+ * UTC midnight of the day a date falls on
+ * @param {Date} date
+ * @returns {Date}
+ */
+export const startOfUtcDay = (date) => {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+/**
+ * Days a file has been in its current tier
+ * @param {Object} file - File document
+ * @param {Date} [now]
+ * @returns {number}
+ */
+export const getDaysInTier = (file, now = new Date()) => {
+  const enteredAt = file.lastMigrationDate || file.uploadDate || now;
+  return Math.max(0, (now - new Date(enteredAt)) / DAY_MS);
+};
+
+/**
+ * Add a charge to the day's total for its type, tier, target tier and owner
+ * @param {Object} charge - { type, tier, toTier, owner, bytes, amount, date }
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session] - Transaction the charge belongs to
+ */
+const recordCharge = async ({ type, tier, toTier = null, owner = null, bytes, amount, date = new Date() }, { session } = {}) => {
+  const filter = { date: startOfUtcDay(date), type, tier, toTier, owner: owner || null };
+  const update = { $inc: { count: 1, bytes, amount } };
+  
+  try {
+    await CostCharge.updateOne(filter, update, { upsert: true, session });
+  } catch (error) {
+    // Two upserts racing to create the same day's document: the loser retries as an update.
+    // A transaction is already aborted by then, so the caller has to run it again.
+    if (error.code !== 11000 || session) throw error;
+    await CostCharge.updateOne(filter, update);
+  }
+};
+
+/**
+ * Record the retrieval charge for bytes downloaded from a tier
+ * @param {Object} file - File document
+ * @param {string} tier - Tier the data was read from
+ * @param {number} bytes - Bytes sent
+ */
+export const chargeRetrieval = async (file, tier, bytes) => {
+  await recordCharge({
+    type: 'retrieval',
+    tier,
+    owner: file.owner,
+    bytes,
+    amount: calculateRetrievalCost(bytes, tier)
+  });
+};
+
+/**
+ * Record the charges for moving a file between tiers: the transition fee, plus an
+ * early-deletion charge if it leaves the source tier before its minimum storage duration
+ * @param {Object} move - { fromTier, toTier, owner, bytes, enteredAt (when the file entered fromTier) }
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session] - Transaction the charges belong to
+ */
+export const chargeMigration = async ({ fromTier, toTier, owner, bytes, enteredAt }, { session } = {}) => {
+  await recordCharge({
+    type: 'transition',
+    tier: fromTier,
+    toTier,
+    owner,
+    bytes,
+    amount: getMigrationFee(fromTier, toTier)
+  }, { session });
+  
+  await chargeEarlyDeletion({ tier: fromTier, owner, bytes, enteredAt }, { session });
+};
+
+/**
+ * Record an early-deletion charge if data leaves a tier before its minimum storage duration
+ * @param {Object} removal - { tier, owner, bytes, enteredAt }
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session] - Transaction the charge belongs to
+ * @returns {Promise<number>} - Amount charged (0 if the minimum was met)
+ */
+export const chargeEarlyDeletion = async ({ tier, owner, bytes, enteredAt }, { session } = {}) => {
+  const daysStored = getDaysInTier({ lastMigrationDate: enteredAt });
+  const amount = calculateEarlyDeletionCharge(bytes, tier, daysStored);
+  if (amount <= 0) return 0;
+  
+  await recordCharge({ type: 'early_deletion', tier, owner, bytes, amount }, { session });
+  return amount;
+};
+
+/**
+ * Snapshot today's stored bytes and storage cost per tier and owner.
+ * Re-running on the same day replaces that day's snapshot.
+ * @param {Date} [now]
+ * @returns {Promise<number>} - Number of snapshot rows written
+ */
+export const takeCostSnapshot = async (now = new Date()) => {
+  const date = startOfUtcDay(now);
+  const allModels = getAllFileModels();
+  let written = 0;
+  
+  for (let i = 0; i < allModels.length; i++) {
+    const tier = TIER_ORDER[i];
+    const usage = await allModels[i].aggregate([
+      { $group: { _id: { $ifNull: ['$owner', null] }, files: { $sum: 1 }, bytes: { $sum: '$size' } } }
+    ]);
+    
+    if (usage.length > 0) {
+      await CostSnapshot.bulkWrite(usage.map(({ _id: owner, files, bytes }) => ({
+        updateOne: {
+          filter: { date, tier, owner },
+          update: { $set: { files, bytes, storageCost: calculateDailyStorageCost(bytes, tier) } },
+          upsert: true
+        }
+      })), { ordered: false });
+    }
+    
+    // Owners whose files all left the tier since the last run today
+    await CostSnapshot.deleteMany({ date, tier, owner: { $nin: usage.map(({ _id }) => _id) } });
+    written += usage.length;
+  }
+  
+  return written;
+};
+
+/**
+ * Empty cost breakdown
+ */
+const emptyCosts = () => ({ storage: 0, retrieval: 0, transition: 0, earlyDeletion: 0, total: 0 });
+
+const CHARGE_FIELDS = {
+  retrieval: 'retrieval',
+  transition: 'transition',
+  early_deletion: 'earlyDeletion'
+};
+
+/**
+ * Add an amount to a cost breakdown
+ */
+const addCost = (costs, field, amount) => {
+  costs[field] += amount;
+  costs.total += amount;
+};
+
+/**
+ * Round every amount of a cost breakdown
+ */
+const roundCosts = (costs) => Object.fromEntries(
+  Object.entries(costs).map(([field, amount]) => [field, roundCost(amount)])
+);
+
+/**
+ * Cost report for a date range
+ * @param {Object} options
+ * @param {Date} options.from - First day (inclusive)
+ * @param {Date} options.to - Last day (inclusive)
+ * @param {string} [options.groupBy='day'] - 'day' or 'month'
+ * @returns {Promise<Object>} - Totals, per period, per tier, per transition and per owner
+ */
+export const getCostReport = async ({ from, to, groupBy = 'day' }) => {
+  const dateRange = { $gte: startOfUtcDay(from), $lte: startOfUtcDay(to) };
+  const [snapshots, charges] = await Promise.all([
+    CostSnapshot.find({ date: dateRange }).lean(),
+    CostCharge.find({ date: dateRange }).lean()
+  ]);
+  
+  const periodOf = (date) => date.toISOString().slice(0, groupBy === 'month' ? 7 : 10);
+  const totals = emptyCosts();
+  const periods = {};
+  const byTier = Object.fromEntries(TIER_ORDER.map((tier) => [tier, emptyCosts()]));
+  const byOwner = {};
+  const byTransition = {};
+  
+  const add = (row, field, amount) => {
+    const period = periodOf(row.date);
+    const owner = row.owner ? row.owner.toString() : null;
+    periods[period] = periods[period] || emptyCosts();
+    byOwner[owner] = byOwner[owner] || emptyCosts();
+    
+    addCost(totals, field, amount);
+    addCost(periods[period], field, amount);
+    addCost(byTier[row.tier], field, amount);
+    addCost(byOwner[owner], field, amount);
+  };
+  
+  for (const snapshot of snapshots) {
+    add(snapshot, 'storage', snapshot.storageCost);
+  }
+  
+  for (const charge of charges) {
+    add(charge, CHARGE_FIELDS[charge.type], charge.amount);
+    
+    if (charge.type === 'transition') {
+      const key = `${charge.tier}->${charge.toTier}`;
+      byTransition[key] = byTransition[key] || { from: charge.tier, to: charge.toTier, migrations: 0, bytes: 0, amount: 0 };
+      byTransition[key].migrations += charge.count;
+      byTransition[key].bytes += charge.bytes;
+      byTransition[key].amount += charge.amount;
+    }
+  }
+  
+  return {
+    from: startOfUtcDay(from),
+    to: startOfUtcDay(to),
+    groupBy,
+    currency: 'USD',
+    pricing: getPricing(),
+    totals: roundCosts(totals),
+    periods: Object.keys(periods).sort().map((period) => ({ period, ...roundCosts(periods[period]) })),
+    byTier: Object.fromEntries(Object.entries(byTier).map(([tier, costs]) => [tier, roundCosts(costs)])),
+    byTransition: Object.values(byTransition).map((transition) => ({ ...transition, amount: roundCost(transition.amount) })),
+    byOwner: Object.entries(byOwner).map(([owner, costs]) => ({
+      owner: owner === 'null' ? null : owner,
+      ...roundCosts(costs)
+    }))
+  };
+};
@@ -1,8 +1,39 @@
+import TieringRule from '../models/TieringRule.js';
+import { matchesGlob } from '../utils/globUtils.js';
+import { getHeat, getHeatScore, HEAT_WINDOWS } from './accessTracker.js';
+import { getDaysInTier } from './costService.js';
+import {
+  BYTES_PER_GB,
+  DAYS_PER_MONTH,
+  getStoragePricing,
+  getRetrievalPricing,
+  getMigrationFee,
+  calculateEarlyDeletionCharge
+} from '../config/pricing.js';
+
 /**
  * Decision Engine - Determines which tier a file should be in
- * based on access patterns and metadata
+ * based on configurable tiering rules, access patterns and metadata
+ *
+ * Two decision modes (TIERING_DECISION_MODE):
+ * - 'threshold' (default): migrate as soon as the rules pick another tier
+ * - 'cost': only migrate when the move pays off over a horizon, after a minimum
+ *   residency in the current tier and with a hysteresis margin against ping-ponging
  */
 
+export const DECISION_MODES = ['threshold', 'cost'];
+
+const DEFAULT_COST_HORIZON_DAYS = 90;
+const DEFAULT_COST_HYSTERESIS = 0.25;
+
+// Days a file stays in a tier before cost mode considers moving it again
+const DEFAULT_MIN_RESIDENCY_DAYS = {
+  HOT: 1,
+  WARM: 7,
+  COLD: 30
+};
+
+// Built-in rules, applied to files that no configured tiering rule matches
 const TIER_RULES = {
   HOT: {
     maxDaysSinceAccess: 30
@@ -16,27 +47,91 @@ const TIER_RULES = {
   }
 };
 
+// How long loaded tiering rules are reused before re-reading them from MongoDB
+const RULE_CACHE_TTL_MS = 30 * 1000;
+
+let ruleCache = null;
+
 /**
- * Calculate days since last access
- * @param {Date} lastAccessDate 
+ * Calculate days elapsed since a date
+ * @param {Date} date 
+ * @param {Date} now - Reference date
  * @returns {number}
  */
-const getDaysSinceAccess = (lastAccessDate) => {
-  if (!lastAccessDate) return Infinity;
-  const now = new Date();
-  const diffTime = Math.abs(now - new Date(lastAccessDate));
+const getDaysSince = (date, now = new Date()) => {
+  if (!date) return Infinity;
+  const diffTime = Math.abs(now - new Date(date));
   const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
   return diffDays;
 };
 
 /**
- * Determine the appropriate tier for a file based on last access date
- * @param {Object} file - File document with lastAccessDate
- * @returns {string} - 'HOT', 'WARM', or 'COLD'
+ * Load enabled tiering rules, highest priority first (cached for RULE_CACHE_TTL_MS)
+ * @returns {Promise<Array>} - Plain rule objects
+ */
+export const getActiveRules = async () => {
+  if (ruleCache && Date.now() - ruleCache.loadedAt < RULE_CACHE_TTL_MS) {
+    return ruleCache.rules;
+  }
+  
+  const rules = await TieringRule.find({ enabled: true })
+    .sort({ priority: -1, createdAt: 1 })
+    .lean();
+  ruleCache = { rules, loadedAt: Date.now() };
+  return rules;
+};
+
+/**
+ * Drop cached rules (call after rules are created, updated or deleted)
+ */
+export const invalidateRuleCache = () => {
+  ruleCache = null;
+};
+
+/**
+ * Check a value against optional inclusive bounds
+ */
+const inRange = (value, min, max) => {
+  return (min == null || value >= min) && (max == null || value <= max);
+};
+
+/**
+ * Check whether all conditions of a tiering rule match a file
+ * @param {Object} rule - Tiering rule
+ * @param {Object} file - File document
+ * @param {Date} now - Reference date
+ * @returns {boolean}
  */
-export const evaluateTier = (file) => {
-  const daysSinceAccess = getDaysSinceAccess(file.lastAccessDate);
+export const ruleMatches = (rule, file, now = new Date()) => {
+  const match = rule.match || {};
   
+  if (!inRange(file.size, match.minSize, match.maxSize)) return false;
+  if (match.contentTypes?.length && !match.contentTypes.some((pattern) => matchesGlob(file.contentType, pattern))) {
+    return false;
+  }
+  if (match.fileNamePattern && !matchesGlob(file.fileName, match.fileNamePattern)) return false;
+  if (!inRange(getDaysSince(file.uploadDate, now), match.minAgeDays, match.maxAgeDays)) return false;
+  if (!inRange(getDaysSince(file.lastAccessDate, now), match.minDaysSinceAccess, match.maxDaysSinceAccess)) {
+    return false;
+  }
+  if (!inRange(file.accessCount || 0, match.minAccessCount, match.maxAccessCount)) return false;
+  if (
+    (match.minHeatScore != null || match.maxHeatScore != null) &&
+    !inRange(getHeatScore(file, now), match.minHeatScore, match.maxHeatScore)
+  ) {
+    return false;
+  }
+  if (match.tags?.length && !match.tags.every((tag) => (file.tags || []).includes(tag))) return false;
+  
+  return true;
+};
+
+/**
+ * Built-in tier based on last access date only
+ * @param {number} daysSinceAccess
+ * @returns {string} - 'HOT', 'WARM', or 'COLD'
+ */
+const evaluateDefaultTier = (daysSinceAccess) => {
   if (daysSinceAccess <= TIER_RULES.HOT.maxDaysSinceAccess) {
     return 'HOT';
   } else if (
@@ -50,18 +145,169 @@ export const evaluateTier = (file) => {
 };
 
 /**
- * Check if a file should be migrated to a different tier
+ * Determine the appropriate tier for a file and the rule that decided it
  * @param {Object} file - File document
- * @returns {Object|null} - { shouldMigrate: boolean, targetTier: string } or null
+ * @param {Object} [options]
+ * @param {Array} [options.rules] - Enabled tiering rules, highest priority first (default: built-in rules only)
+ * @param {Date} [options.now] - Reference date (default: current time)
+ * @returns {{tier: string, rule: Object|null}} - rule is null when the built-in rules decided
+ */
+export const evaluateTierDecision = (file, { rules = [], now = new Date() } = {}) => {
+  const rule = rules.find((candidate) => ruleMatches(candidate, file, now));
+  
+  if (rule) {
+    return { tier: rule.targetTier, rule };
+  }
+  
+  return { tier: evaluateDefaultTier(getDaysSince(file.lastAccessDate, now)), rule: null };
+};
+
+/**
+ * Determine the appropriate tier for a file
+ * @param {Object} file - File document
+ * @param {Object} [options] - See evaluateTierDecision
+ * @returns {string} - 'HOT', 'WARM', or 'COLD'
+ */
+export const evaluateTier = (file, options) => {
+  return evaluateTierDecision(file, options).tier;
+};
+
+/**
+ * Read a non-negative number from the environment
+ */
+const readSetting = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== '' && Number.isFinite(value) && value >= 0
+    ? value
+    : fallback;
+};
+
+/**
+ * Decision mode used when none is passed explicitly
+ * @returns {string} - TIERING_DECISION_MODE, default 'threshold'
+ */
+export const getDecisionMode = () => {
+  const mode = process.env.TIERING_DECISION_MODE;
+  return DECISION_MODES.includes(mode) ? mode : 'threshold';
+};
+
+/**
+ * Cost mode settings
+ * @returns {{horizonDays: number, hysteresis: number, minResidencyDays: Object}}
+ *   COST_HORIZON_DAYS (default 90), COST_HYSTERESIS (default 0.25), MIN_RESIDENCY_DAYS_<TIER>
+ */
+export const getCostModeSettings = () => ({
+  horizonDays: readSetting('COST_HORIZON_DAYS', DEFAULT_COST_HORIZON_DAYS),
+  hysteresis: readSetting('COST_HYSTERESIS', DEFAULT_COST_HYSTERESIS),
+  minResidencyDays: Object.fromEntries(
+    Object.entries(DEFAULT_MIN_RESIDENCY_DAYS).map(([tier, days]) => [tier, readSetting(`MIN_RESIDENCY_DAYS_${tier}`, days)])
+  )
+});
+
+/**
+ * Format a USD amount for decision reasons
+ */
+const formatUsd = (amount) => `$${amount.toFixed(4)}`;
+
+/**
+ * Estimate what keeping a file in its tier and moving it would cost over a horizon.
+ * Expected downloads per day come from the decaying weekly heat counter.
+ * @param {Object} file - File document with currentTier
+ * @param {string} targetTier
+ * @param {Object} options - { now, horizonDays }
+ * @returns {{stay: number, move: number, moveCost: number, savings: number, readsPerDay: number}} - USD
+ */
+export const estimateMigrationCosts = (file, targetTier, { now = new Date(), horizonDays }) => {
+  const gigabytes = (file.size || 0) / BYTES_PER_GB;
+  const readsPerDay = getHeat(file, now).week / (HEAT_WINDOWS.week / (24 * 60 * 60 * 1000));
+  const storagePricing = getStoragePricing();
+  const retrievalPricing = getRetrievalPricing();
+  
+  const costOver = (tier) => (
+    gigabytes * (storagePricing[tier] / DAYS_PER_MONTH) * horizonDays +
+    gigabytes * readsPerDay * horizonDays * retrievalPricing[tier]
+  );
+  
+  const moveCost = getMigrationFee(file.currentTier, targetTier) +
+    calculateEarlyDeletionCharge(file.size || 0, file.currentTier, getDaysInTier(file, now));
+  const stay = costOver(file.currentTier);
+  const move = moveCost + costOver(targetTier);
+  
+  return { stay, move, moveCost, savings: stay - move, readsPerDay };
+};
+
+/**
+ * Cost mode: gate the tier picked by the rules on residency and expected savings
+ * @param {Object} file - File document with currentTier
+ * @param {string} targetTier - Tier picked by the rules
+ * @param {string} ruleReason - Why the rules picked it
+ * @param {Object} options - See shouldMigrate
+ * @returns {Object} - { shouldMigrate, targetTier, reason, cost }
  */
-export const shouldMigrate = (file) => {
-  const targetTier = evaluateTier(file);
+const decideByCost = (file, targetTier, ruleReason, options) => {
+  const now = options.now || new Date();
+  const { horizonDays, hysteresis, minResidencyDays } = getCostModeSettings();
+  const stay = { shouldMigrate: false, targetTier: file.currentTier };
+  
+  const residencyDays = getDaysInTier(file, now);
+  const minResidency = minResidencyDays[file.currentTier];
+  if (residencyDays < minResidency) {
+    return {
+      ...stay,
+      reason: `${ruleReason}, but kept in ${file.currentTier}: ${residencyDays.toFixed(1)} of ${minResidency} minimum residency days`
+    };
+  }
+  
+  const estimate = estimateMigrationCosts(file, targetTier, { now, horizonDays });
+  const required = estimate.moveCost * hysteresis;
+  const cost = {
+    horizonDays,
+    stay: estimate.stay,
+    move: estimate.move,
+    savings: estimate.savings,
+    readsPerDay: estimate.readsPerDay
+  };
+  const comparison = `over ${horizonDays} days staying costs ${formatUsd(estimate.stay)}, moving costs ${formatUsd(estimate.move)} including ${formatUsd(estimate.moveCost)} to move`;
+  
+  if (estimate.savings <= required) {
+    return {
+      ...stay,
+      cost,
+      reason: `${ruleReason}, but kept in ${file.currentTier}: ${comparison}; savings of ${formatUsd(estimate.savings)} do not exceed the ${formatUsd(required)} hysteresis margin`
+    };
+  }
+  
+  return {
+    shouldMigrate: true,
+    targetTier,
+    cost,
+    reason: `${ruleReason}; moving to ${targetTier} saves ${formatUsd(estimate.savings)}: ${comparison}`
+  };
+};
+
+/**
+ * Check if a file should be migrated to a different tier
+ * @param {Object} file - File document with currentTier
+ * @param {Object} [options] - See evaluateTierDecision
+ * @param {string} [options.mode] - 'threshold' or 'cost' (default: TIERING_DECISION_MODE)
+ * @returns {Object|null} - { shouldMigrate: boolean, targetTier: string, reason?: string, cost?: Object }
+ */
+export const shouldMigrate = (file, options = {}) => {
+  const { tier: targetTier, rule } = evaluateTierDecision(file, options);
   
   if (targetTier !== file.currentTier) {
+    const reason = rule
+      ? `Matched tiering rule "${rule.name}"`
+      : `File accessed ${getDaysSince(file.lastAccessDate, options.now)} days ago`;
+    
+    if ((options.mode || getDecisionMode()) === 'cost') {
+      return decideByCost(file, targetTier, reason, options);
+    }
+    
     return {
       shouldMigrate: true,
       targetTier,
-      reason: `File accessed ${getDaysSinceAccess(file.lastAccessDate)} days ago`
+      reason
     };
   }
   
@@ -74,11 +320,16 @@ export const shouldMigrate = (file) => {
 /**
  * Get all files that need migration from all tier collections
  * @param {Array} FileModels - Array of Mongoose File models (HotTierFile, WarmTierFile, ColdTierFile)
+ * @param {Object} [options] - See evaluateTierDecision; rules default to the active tiering rules
  * @returns {Promise<Array>} - Array of files that need migration with tier info
  */
-export const getFilesForMigration = async (FileModels) => {
+export const getFilesForMigration = async (FileModels, options = {}) => {
   const allFilesToMigrate = [];
   const tierNames = ['HOT', 'WARM', 'COLD'];
+  const decisionOptions = {
+    ...options,
+    rules: options.rules || await getActiveRules()
+  };
   
   for (let i = 0; i < FileModels.length; i++) {
     const Model = FileModels[i];
@@ -92,13 +343,14 @@ export const getFilesForMigration = async (FileModels) => {
     // Add tier to each file and check if migration is needed
     for (const file of files) {
       const fileWithTier = { ...file.toObject(), currentTier: tier };
-      const decision = shouldMigrate(fileWithTier);
+      const decision = shouldMigrate(fileWithTier, decisionOptions);
       
       if (decision.shouldMigrate) {
         allFilesToMigrate.push({
           file: file,
           currentTier: tier,
           targetTier: decision.targetTier,
+          reason: decision.reason,
           model: Model
         });
       }
@@ -0,0 +1,116 @@
+import mongoose from 'mongoose';
+import { getAllFileModels, getFileModelByTier, TIER_ORDER } from '../models/File.js';
+import FileCatalog from '../models/FileCatalog.js';
+import FileAlias from '../models/FileAlias.js';
+import MigrationIntent from '../models/MigrationIntent.js';
+
+/**
+ * File Catalog - Resolves stable file IDs to the tier collection holding the file
+ *
+ * A file keeps its _id when it migrates, and the catalog records which tier it is in,
+ * so a lookup is one catalog read plus one findById instead of probing every tier.
+ * Files missing from the catalog (created before it existed) are found by probing
+ * and added on first access.
+ */
+
+const DEFAULT_ALIAS_TTL_DAYS = 90;
+
+// Longest chain of old IDs followed (a file migrated several times before IDs were stable)
+const MAX_ALIAS_HOPS = 5;
+
+/**
+ * Record the tier a file lives in
+ * @param {string|ObjectId} fileId - Stable file ID
+ * @param {string} tier - 'HOT', 'WARM' or 'COLD'
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session] - Transaction the update belongs to
+ */
+export const setFileTier = async (fileId, tier, { session } = {}) => {
+  await FileCatalog.updateOne({ _id: fileId }, { tier }, { upsert: true, session });
+};
+
+/**
+ * Remove a deleted file from the catalog
+ * @param {string|ObjectId} fileId - Stable file ID
+ */
+export const removeFromCatalog = async (fileId) => {
+  await FileCatalog.deleteOne({ _id: fileId });
+};
+
+/**
+ * Find a file by its stable ID
+ * @param {string} fileId - Stable file ID
+ * @returns {Promise<{file: Object, tier: string, model: Model} | null>}
+ */
+export const resolveFile = async (fileId) => {
+  if (!mongoose.isValidObjectId(fileId)) return null;
+  
+  const entry = await FileCatalog.findById(fileId);
+  if (entry) {
+    const model = getFileModelByTier(entry.tier);
+    const file = await model.findById(fileId);
+    if (file) {
+      return { file, tier: entry.tier, model };
+    }
+  }
+  
+  // Not catalogued yet, or the entry is stale: probe the tiers and fix the catalog
+  const allModels = getAllFileModels();
+  for (let i = 0; i < allModels.length; i++) {
+    const file = await allModels[i].findById(fileId);
+    if (file) {
+      await setFileTier(fileId, TIER_ORDER[i]);
+      return { file, tier: TIER_ORDER[i], model: allModels[i] };
+    }
+  }
+  
+  if (entry) {
+    await removeFromCatalog(fileId);
+  }
+  return null;
+};
+
+/**
+ * Map an old per-tier document ID to the file's current ID
+ * @param {string} oldId - ID that no longer resolves
+ * @returns {Promise<string|null>} - Current file ID, or null if the ID is unknown
+ */
+export const resolveAlias = async (oldId) => {
+  if (!mongoose.isValidObjectId(oldId)) return null;
+  
+  let currentId = null;
+  let alias = await FileAlias.findById(oldId);
+  for (let hops = 0; alias && hops < MAX_ALIAS_HOPS; hops++) {
+    currentId = alias.fileId.toString();
+    alias = await FileAlias.findById(alias.fileId);
+  }
+  
+  return currentId;
+};
+
+/**
+ * Create aliases for files whose ID changed in migrations recorded before IDs became stable.
+ * Idempotent; existing aliases keep their expiry. FILE_ALIAS_TTL_DAYS (default 90) sets the
+ * transition period.
+ * @returns {Promise<number>} - Number of aliases created
+ */
+export const backfillFileAliases = async () => {
+  const ttlDays = Number(process.env.FILE_ALIAS_TTL_DAYS) || DEFAULT_ALIAS_TTL_DAYS;
+  const expiresAt = new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000);
+  
+  const intents = await MigrationIntent.find(
+    { phase: 'COMPLETED', $expr: { $ne: ['$sourceId', '$targetId'] } },
+    { sourceId: 1, targetId: 1 }
+  ).lean();
+  if (intents.length === 0) return 0;
+  
+  const result = await FileAlias.bulkWrite(intents.map(({ sourceId, targetId }) => ({
+    updateOne: {
+      filter: { _id: sourceId },
+      update: { $setOnInsert: { fileId: targetId, expiresAt } },
+      upsert: true
+    }
+  })), { ordered: false });
+  
+  return result.upsertedCount;
+};
@@ -0,0 +1,263 @@
+import mongoose from 'mongoose';
+import { getFileModelByTier, TIER_ORDER } from '../models/File.js';
+import { globToRegExp } from '../utils/globUtils.js';
+
+/**
+ * File Query - Search, filter, sort and page files across the tier collections
+ *
+ * Filters and sort order are pushed down to each tier collection, and pages use keyset
+ * (cursor) pagination on (sort field, _id): every collection returns at most one page of
+ * documents past the cursor, and the pages are merged in sort order. Nothing is loaded
+ * beyond limit * number of tiers documents. Paging is opt-in: without limit or cursor
+ * every matching file is returned.
+ */
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Sort keys accepted by ?sort= and the document field behind each ('tier' is the collection)
+export const FILE_SORT_FIELDS = {
+  name: 'fileName',
+  size: 'size',
+  uploadDate: 'uploadDate',
+  lastAccessDate: 'lastAccessDate',
+  contentType: 'contentType',
+  migrationStatus: 'migrationStatus',
+  tier: 'tier'
+};
+
+const DATE_FIELDS = ['uploadDate', 'lastAccessDate'];
+
+// Longest ?contentType= accepted (a MIME type has at most 127 characters on each side of the "/")
+const MAX_CONTENT_TYPE_LENGTH = 255;
+
+const MIGRATION_STATUSES = ['IDLE', 'PROCESSING', 'VERIFYING', 'FAILED', 'CORRUPTED'];
+
+/**
+ * Helper function to escape a string for use in a RegExp
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+/**
+ * Helper function to parse a comma-separated list of allowed values
+ * @returns {Array|null} - null if any value is not allowed
+ */
+const parseList = (value, allowed) => {
+  const list = String(value).split(',').map((item) => item.trim().toUpperCase()).filter(Boolean);
+  return list.length > 0 && list.every((item) => allowed.includes(item)) ? [...new Set(list)] : null;
+};
+
+/**
+ * Build the per-collection filter and tier selection from request query parameters
+ * @param {Object} query - tier, status, name, namePrefix, contentType, minSize, maxSize,
+ *   uploadedAfter, uploadedBefore, accessedAfter, accessedBefore, locked
+ * @param {Object} [scope] - Filter every query must include (e.g. the owner)
+ * @returns {{filter?: Object, tiers?: Array, error?: string}}
+ */
+export const buildFileFilter = (query = {}, scope = {}) => {
+  const filter = { ...scope };
+  let tiers = TIER_ORDER;
+  
+  if (query.tier) {
+    tiers = parseList(query.tier, TIER_ORDER);
+    if (!tiers) return { error: `Invalid tier. Must be one or more of: ${TIER_ORDER.join(', ')}` };
+    tiers = TIER_ORDER.filter((tier) => tiers.includes(tier));
+  }
+  
+  if (query.status) {
+    const statuses = parseList(query.status, MIGRATION_STATUSES);
+    if (!statuses) return { error: `Invalid status. Must be one or more of: ${MIGRATION_STATUSES.join(', ')}` };
+    filter.migrationStatus = { $in: statuses };
+  }
+  
+  // Prefix matches are case-sensitive so they can use the fileName index
+  if (query.namePrefix) {
+    filter.fileName = { $regex: `^${escapeRegExp(String(query.namePrefix))}` };
+  }
+  if (query.name) {
+    const contains = { $regex: escapeRegExp(String(query.name)), $options: 'i' };
+    if (filter.fileName) {
+      filter.$and = [{ fileName: filter.fileName }, { fileName: contains }];
+      delete filter.fileName;
+    } else {
+      filter.fileName = contains;
+    }
+  }
+  
+  if (query.contentType) {
+    if (String(query.contentType).length > MAX_CONTENT_TYPE_LENGTH) {
+      return { error: `contentType must be at most ${MAX_CONTENT_TYPE_LENGTH} characters` };
+    }
+    filter.contentType = String(query.contentType).includes('*')
+      ? { $regex: globToRegExp(String(query.contentType)) }
+      : String(query.contentType).toLowerCase();
+  }
+  
+  for (const [param, operator] of [['minSize', '$gte'], ['maxSize', '$lte']]) {
+    if (query[param] !== undefined) {
+      const size = Number(query[param]);
+      if (!Number.isFinite(size) || size < 0) return { error: `${param} must be a non-negative number` };
+      filter.size = { ...filter.size, [operator]: size };
+    }
+  }
+  
+  const dateRanges = [
+    ['uploadedAfter', 'uploadDate', '$gte'],
+    ['uploadedBefore', 'uploadDate', '$lte'],
+    ['accessedAfter', 'lastAccessDate', '$gte'],
+    ['accessedBefore', 'lastAccessDate', '$lte']
+  ];
+  for (const [param, field, operator] of dateRanges) {
+    if (query[param]) {
+      const date = new Date(query[param]);
+      if (Number.isNaN(date.getTime())) return { error: `Invalid ${param} date` };
+      filter[field] = { ...filter[field], [operator]: date };
+    }
+  }
+  
+  if (query.locked !== undefined) {
+    if (!['true', 'false'].includes(String(query.locked))) return { error: 'locked must be true or false' };
+    filter.isLocked = String(query.locked) === 'true';
+  }
+  
+  return { filter, tiers };
+};
+
+/**
+ * Parse sort, order and limit query parameters
+ * @param {Object} query - sort (see FILE_SORT_FIELDS, default uploadDate), order (asc|desc,
+ *   default desc), limit (default 50 once paging, at most 200), cursor
+ * @returns {{sort?: string, direction?: number, limit?: number|null, error?: string}} - limit is
+ *   null when neither limit nor cursor asks for paging
+ */
+export const parseFileSort = (query = {}) => {
+  const sortKey = query.sort || 'uploadDate';
+  if (!FILE_SORT_FIELDS[sortKey]) {
+    return { error: `Invalid sort. Must be one of: ${Object.keys(FILE_SORT_FIELDS).join(', ')}` };
+  }
+  
+  const order = query.order || 'desc';
+  if (!['asc', 'desc'].includes(order)) return { error: 'order must be asc or desc' };
+  
+  return {
+    sort: FILE_SORT_FIELDS[sortKey],
+    direction: order === 'asc' ? 1 : -1,
+    limit: query.limit === undefined && query.cursor === undefined
+      ? null
+      : Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE)
+  };
+};
+
+/**
+ * Encode the position after a document as an opaque cursor
+ */
+const encodeCursor = (sort, direction, file) => Buffer.from(JSON.stringify({
+  s: sort,
+  d: direction,
+  v: file[sort] ?? null,
+  id: file._id.toString()
+})).toString('base64url');
+
+/**
+ * Decode a cursor; it must have been issued for the same sort and order
+ * @returns {{value: *, id: ObjectId}|null}
+ */
+const decodeCursor = (cursor, sort, direction) => {
+  try {
+    const { s, d, v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (s !== sort || d !== direction || !mongoose.isValidObjectId(id)) return null;
+    return {
+      value: DATE_FIELDS.includes(sort) && v !== null ? new Date(v) : v,
+      id: new mongoose.Types.ObjectId(id)
+    };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Compare two sort values the way MongoDB orders them (null first, tiers in TIER_ORDER)
+ */
+const compareValues = (sort, a, b) => {
+  if (sort === 'tier') return TIER_ORDER.indexOf(a) - TIER_ORDER.indexOf(b);
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+  if (a instanceof Date || b instanceof Date) return new Date(a) - new Date(b);
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+/**
+ * Keyset condition selecting a collection's documents after the cursor
+ * @returns {Object|null} - Filter to add, {} for the whole collection, null to skip the collection
+ */
+const afterCursor = (sort, direction, cursor, tier) => {
+  if (!cursor) return {};
+  const idAfter = { _id: { [direction === 1 ? '$gt' : '$lt']: cursor.id } };
+  
+  // Every document of a tier collection has the same tier, so only _id orders within it
+  if (sort === 'tier') {
+    const position = compareValues('tier', tier, cursor.value) * direction;
+    if (position < 0) return null;
+    return position === 0 ? idAfter : {};
+  }
+  
+  // Missing values sort as null: first when ascending, last when descending. $gt/$lt never
+  // match across null, so the values on the other side of it are selected explicitly.
+  const tie = { [sort]: cursor.value, ...idAfter };
+  if (cursor.value === null) {
+    return direction === 1 ? { $or: [{ [sort]: { $ne: null } }, tie] } : tie;
+  }
+  
+  const beyond = [{ [sort]: { [direction === 1 ? '$gt' : '$lt']: cursor.value } }];
+  if (direction === -1) beyond.push({ [sort]: null });
+  return { $or: [...beyond, tie] };
+};
+
+/**
+ * Query one page of files across tiers
+ * @param {Object} params
+ * @param {Object} params.filter - Per-collection filter (see buildFileFilter)
+ * @param {Array} params.tiers - Tiers to search
+ * @param {string} params.sort - Document field (see FILE_SORT_FIELDS)
+ * @param {number} params.direction - 1 ascending, -1 descending
+ * @param {number|null} params.limit - Page size (null: every matching file)
+ * @param {string} [params.cursor] - nextCursor of the previous page
+ * @returns {Promise<{files?: Array, pagination?: Object, error?: string}>} - files carry their tier
+ */
+export const queryFiles = async ({ filter, tiers, sort, direction, limit, cursor }) => {
+  const position = cursor ? decodeCursor(cursor, sort, direction) : null;
+  if (cursor && !position) return { error: 'Invalid cursor (it must come from a query with the same sort and order)' };
+  
+  const mongoSort = sort === 'tier' ? { _id: direction } : { [sort]: direction, _id: direction };
+  
+  const pages = await Promise.all(tiers.map(async (tier) => {
+    const after = afterCursor(sort, direction, position, tier);
+    if (!after) return [];
+    
+    let query = getFileModelByTier(tier)
+      .find({ $and: [filter, after] })
+      .sort(mongoSort);
+    if (limit !== null) query = query.limit(limit + 1);
+    const files = await query.lean();
+    return files.map((file) => ({ ...file, tier }));
+  }));
+  
+  const totals = await Promise.all(tiers.map((tier) => getFileModelByTier(tier).countDocuments(filter)));
+  
+  const merged = pages.flat().sort((a, b) => (
+    (compareValues(sort, a[sort], b[sort]) || compareValues('_id', a._id.toString(), b._id.toString())) * direction
+  ));
+  const files = limit === null ? merged : merged.slice(0, limit);
+  const hasMore = limit !== null && merged.length > limit;
+  
+  return {
+    files,
+    pagination: {
+      limit,
+      total: totals.reduce((sum, count) => sum + count, 0),
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(sort, direction, files[files.length - 1]) : null
+    }
+  };
+};
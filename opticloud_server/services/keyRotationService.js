@@ -0,0 +1,149 @@
+import Blob from '../models/Blob.js';
+import { getFileModelByTier, TIER_ORDER } from '../models/File.js';
+import { getKeyring, getCurrentMasterKey, getMasterKey, isEncryptionEnabled } from '../config/encryption.js';
+import { wrapDataKey, unwrapDataKey } from '../utils/encryptionUtils.js';
+
+/**
+ * Key Rotation Service - Rewraps data keys under the current master key
+ *
+ * Content is never re-encrypted: the data key stored with a blob or file is unwrapped
+ * with the master key that wrapped it and wrapped again with the current one. Every
+ * document carries its own wrapped copy of the data key, so blobs and the files that
+ * share them are rewrapped independently. Once nothing is left under an old master key
+ * (see getKeyRotationStatus), that key can be removed from the keyring.
+ */
+
+const DEFAULT_BATCH_SIZE = 500;
+
+// Last document each key holder's previous batch reached (by label): the next run goes on
+// from there, so documents that keep failing are retried once per pass instead of filling
+// every batch
+const resumeAfter = new Map();
+
+/**
+ * Documents rewrapped per run
+ * @returns {number} - KEY_ROTATION_BATCH_SIZE, default 500
+ */
+export const getKeyRotationBatchSize = () => {
+  return Number(process.env.KEY_ROTATION_BATCH_SIZE) || DEFAULT_BATCH_SIZE;
+};
+
+/**
+ * Collections holding wrapped data keys: blobs (live ones only) and the tier collections
+ * @returns {Array<{label: string, model: Model, filter: Object}>}
+ */
+const getKeyHolders = () => [
+  { label: 'blob', model: Blob, filter: { refCount: { $gt: 0 } } },
+  ...TIER_ORDER.map((tier) => ({ label: `${tier} file`, model: getFileModelByTier(tier), filter: {} }))
+];
+
+/**
+ * Rewrap one document's data key, unless it changed meanwhile
+ * @returns {Promise<boolean>} - true if rewrapped
+ */
+const rewrapDocument = async (model, doc, current) => {
+  const { keyId, wrappedKey } = doc.encryption;
+  const dataKey = unwrapDataKey(wrappedKey, getMasterKey(keyId));
+  
+  const { modifiedCount } = await model.updateOne(
+    { _id: doc._id, 'encryption.wrappedKey': wrappedKey },
+    { 'encryption.keyId': current.id, 'encryption.wrappedKey': wrapDataKey(dataKey, current.key) }
+  );
+  return modifiedCount > 0;
+};
+
+/**
+ * Rewrap one batch of data keys wrapped with an older configured master key.
+ * Keys wrapped with a master key that is no longer configured cannot be rewrapped and
+ * are only reported (getKeyRotationStatus). Batches go through each collection in _id
+ * order and continue where the previous one stopped, past documents that failed.
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Documents to rewrap (default KEY_ROTATION_BATCH_SIZE)
+ * @returns {Promise<{keyId: string|null, rewrapped: number, failed: number}>}
+ */
+export const rewrapDataKeys = async ({ limit = getKeyRotationBatchSize() } = {}) => {
+  if (!isEncryptionEnabled()) {
+    return { keyId: null, rewrapped: 0, failed: 0 };
+  }
+  
+  const current = getCurrentMasterKey();
+  const previousKeyIds = [...getKeyring().keys.keys()].filter((keyId) => keyId !== current.id);
+  const result = { keyId: current.id, rewrapped: 0, failed: 0 };
+  let budget = limit;
+  
+  for (const { label, model, filter } of getKeyHolders()) {
+    if (budget <= 0 || previousKeyIds.length === 0) break;
+    
+    const after = resumeAfter.get(label);
+    const docs = await model.find({
+      ...filter,
+      'encryption.keyId': { $in: previousKeyIds },
+      ...(after ? { _id: { $gt: after } } : {})
+    }, { encryption: 1 }).sort({ _id: 1 }).limit(budget);
+    
+    // A short batch reached the end; the next pass starts from the beginning again
+    if (docs.length < budget) {
+      resumeAfter.delete(label);
+    } else {
+      resumeAfter.set(label, docs[docs.length - 1]._id);
+    }
+    
+    for (const doc of docs) {
+      budget--;
+      try {
+        if (await rewrapDocument(model, doc, current)) result.rewrapped++;
+      } catch (error) {
+        result.failed++;
+        console.error(`[Encryption] Failed to rewrap the data key of ${label} ${doc._id}:`, error.message);
+      }
+    }
+  }
+  
+  return result;
+};
+
+/**
+ * Wrapped data keys per master key
+ * @returns {Promise<{enabled: boolean, currentKeyId: string|null, keys: Array, pending: Object, unencrypted: Object}>} -
+ *   keys lists every master key that is configured or still wraps data keys ({ keyId,
+ *   current, configured, blobs, files }); pending counts what is left to rewrap
+ */
+export const getKeyRotationStatus = async () => {
+  const { current, keys } = getKeyring();
+  const counts = new Map();
+  const count = (keyId) => {
+    if (!counts.has(keyId)) counts.set(keyId, { blobs: 0, files: 0 });
+    return counts.get(keyId);
+  };
+  
+  for (const { model, filter } of getKeyHolders()) {
+    const rows = await model.aggregate([
+      { $match: filter },
+      { $group: { _id: { $ifNull: ['$encryption.keyId', null] }, count: { $sum: 1 } } }
+    ]);
+    for (const row of rows) {
+      count(row._id)[model === Blob ? 'blobs' : 'files'] += row.count;
+    }
+  }
+  
+  const keyIds = [...new Set([...keys.keys(), ...counts.keys()])].filter((keyId) => keyId !== null);
+  const pending = { blobs: 0, files: 0 };
+  for (const keyId of keyIds) {
+    if (current && keyId === current.id) continue;
+    pending.blobs += count(keyId).blobs;
+    pending.files += count(keyId).files;
+  }
+  
+  return {
+    enabled: Boolean(current),
+    currentKeyId: current ? current.id : null,
+    keys: keyIds.map((keyId) => ({
+      keyId,
+      current: Boolean(current) && keyId === current.id,
+      configured: keys.has(keyId),
+      ...count(keyId)
+    })),
+    pending,
+    unencrypted: count(null)
+  };
+};
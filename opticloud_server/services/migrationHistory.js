@@ -0,0 +1,122 @@
+import mongoose from 'mongoose';
+import MigrationEvent, { MIGRATION_TRIGGERS, MIGRATION_OUTCOMES } from '../models/MigrationEvent.js';
+import { TIER_ORDER } from '../models/File.js';
+
+/**
+ * Migration History - Audit trail of migrations (MigrationEvent collection)
+ */
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Measures how long each phase of a migration takes
+ * @returns {{end: function(string): void, timings: Object}} - end(phase) closes the phase that just ran
+ */
+export const createPhaseTimer = () => {
+  const timings = {};
+  let phaseStart = Date.now();
+  
+  return {
+    timings,
+    end: (phase) => {
+      const now = Date.now();
+      timings[phase] = now - phaseStart;
+      phaseStart = now;
+    }
+  };
+};
+
+/**
+ * Write a migration event. Never throws: a failed audit write is logged and must not
+ * change the outcome of the migration it describes.
+ * @param {Object} event - MigrationEvent fields (startedAt required; finishedAt defaults to now)
+ */
+export const recordMigrationEvent = async (event) => {
+  const finishedAt = event.finishedAt || new Date();
+  
+  try {
+    await MigrationEvent.create({
+      ...event,
+      finishedAt,
+      durationMs: finishedAt.getTime() - event.startedAt.getTime()
+    });
+  } catch (error) {
+    console.error(`Failed to record migration event for ${event.fileName}:`, error.message);
+  }
+};
+
+/**
+ * Build a MigrationEvent filter from request query parameters
+ * @param {Object} query - { fileId, fromTier, toTier, trigger, outcome, from, to }
+ * @returns {{filter?: Object, error?: string}}
+ */
+export const buildHistoryFilter = (query = {}) => {
+  const filter = {};
+  
+  if (query.fileId) {
+    if (!mongoose.isValidObjectId(query.fileId)) return { error: 'Invalid fileId' };
+    filter.fileId = query.fileId;
+  }
+  
+  for (const field of ['fromTier', 'toTier']) {
+    if (query[field]) {
+      const tier = String(query[field]).toUpperCase();
+      if (!TIER_ORDER.includes(tier)) return { error: `Invalid ${field}. Must be one of: ${TIER_ORDER.join(', ')}` };
+      filter[field] = tier;
+    }
+  }
+  
+  if (query.trigger) {
+    if (!MIGRATION_TRIGGERS.includes(query.trigger)) return { error: `Invalid trigger. Must be one of: ${MIGRATION_TRIGGERS.join(', ')}` };
+    filter.trigger = query.trigger;
+  }
+  
+  if (query.outcome) {
+    const outcome = String(query.outcome).toUpperCase();
+    if (!MIGRATION_OUTCOMES.includes(outcome)) return { error: `Invalid outcome. Must be one of: ${MIGRATION_OUTCOMES.join(', ')}` };
+    filter.outcome = outcome;
+  }
+  
+  for (const [param, operator] of [['from', '$gte'], ['to', '$lte']]) {
+    if (query[param]) {
+      const date = new Date(query[param]);
+      if (Number.isNaN(date.getTime())) return { error: `Invalid ${param} date` };
+      filter.startedAt = { ...filter.startedAt, [operator]: date };
+    }
+  }
+  
+  return { filter };
+};
+
+/**
+ * Query migration events, newest first
+ * @param {Object} filter - MigrationEvent filter
+ * @param {Object} [options]
+ * @param {number|string} [options.page=1]
+ * @param {number|string} [options.limit=50] - At most 200
+ * @returns {Promise<{events: Array, pagination: Object}>}
+ */
+export const queryMigrationEvents = async (filter, { page, limit } = {}) => {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  
+  const [events, total] = await Promise.all([
+    MigrationEvent.find(filter)
+      .sort({ startedAt: -1, _id: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .lean(),
+    MigrationEvent.countDocuments(filter)
+  ]);
+  
+  return {
+    events: events.map(({ _id, __v, ...event }) => ({ id: _id, ...event })),
+    pagination: {
+      page: pageNumber,
+      limit: pageSize,
+      total,
+      pages: Math.ceil(total / pageSize)
+    }
+  };
+};
@@ -0,0 +1,173 @@
+import { getMigrationDirection } from '../models/File.js';
+
+/**
+ * Migration Queue - One Agenda job per file migration
+ * The tiering sweep, access-triggered promotions and retries all go through
+ * 'migrate file' jobs, so a slow or failing file only holds up its own job.
+ */
+
+export const MIGRATE_FILE_JOB = 'migrate file';
+
+export const JOB_STATES = ['queued', 'running', 'failed', 'completed'];
+
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_RETRY_DELAY_SECONDS = 60;
+const DEFAULT_JOB_RETENTION_HOURS = 24;
+
+// Jobs that are waiting (including scheduled retries) or running.
+// Agenda clears nextRunAt when a one-off job starts and only a retry sets it again.
+const ACTIVE_JOB_QUERY = {
+  $or: [{ nextRunAt: { $ne: null } }, { lockedAt: { $ne: null } }]
+};
+
+const STATE_QUERIES = {
+  queued: { lockedAt: null, nextRunAt: { $ne: null } },
+  running: { lockedAt: { $ne: null } },
+  // fail() stamps failedAt and lastFinishedAt with the same date
+  failed: { lockedAt: null, nextRunAt: null, failedAt: { $ne: null }, $expr: { $eq: ['$failedAt', '$lastFinishedAt'] } },
+  completed: { lockedAt: null, nextRunAt: null, lastFinishedAt: { $ne: null }, $expr: { $ne: ['$failedAt', '$lastFinishedAt'] } }
+};
+
+let queue = null;
+
+/**
+ * Set the Agenda instance migrations are queued on
+ * @param {Agenda} agenda
+ */
+export const setMigrationQueue = (agenda) => {
+  queue = agenda;
+};
+
+/**
+ * Get the Agenda instance migrations are queued on
+ * @returns {Agenda|null}
+ */
+export const getMigrationQueue = () => queue;
+
+/**
+ * Number of 'migrate file' jobs one worker runs at once
+ * @returns {number} - MIGRATION_CONCURRENCY, default 2
+ */
+export const getMigrationConcurrency = () => {
+  return Number(process.env.MIGRATION_CONCURRENCY) || DEFAULT_CONCURRENCY;
+};
+
+/**
+ * Exponential backoff before retrying a failed migration
+ * @param {number} retryAttempts - Failed attempts so far (1 for the first retry)
+ * @returns {number} - Milliseconds (MIGRATION_RETRY_DELAY_SECONDS * 2^(attempts - 1), default base 60s)
+ */
+export const getRetryDelayMs = (retryAttempts) => {
+  const baseSeconds = Number(process.env.MIGRATION_RETRY_DELAY_SECONDS) || DEFAULT_RETRY_DELAY_SECONDS;
+  return baseSeconds * 1000 * 2 ** Math.max(retryAttempts - 1, 0);
+};
+
+/**
+ * Queue a migration for one file. A file has at most one active job, so repeated sweeps
+ * or accesses return the job that is already waiting instead of adding another one.
+ * @param {Object} params
+ * @param {Object} params.file - File document
+ * @param {string} params.fromTier - Tier the document lives in
+ * @param {string} params.targetTier - Tier to move it to
+ * @param {string} [params.reason] - Why the move was decided
+ * @param {string} [params.trigger='scheduled'] - What caused the move ('scheduled', 'promotion')
+ * @param {string} [params.priority] - Agenda priority (default: high for promotions, normal otherwise)
+ * @returns {Promise<Job>} - The queued (or already active) job
+ */
+export const enqueueMigration = async ({ file, fromTier, targetTier, reason, trigger = 'scheduled', priority }) => {
+  if (!queue) {
+    throw new Error('Migration queue is not ready');
+  }
+  
+  const fileId = file._id.toString();
+  const direction = getMigrationDirection(fromTier, targetTier);
+  
+  const job = queue.create(MIGRATE_FILE_JOB, {
+    fileId,
+    fileName: file.fileName,
+    fromTier,
+    targetTier,
+    reason,
+    trigger
+  });
+  job.unique({ 'data.fileId': fileId, ...ACTIVE_JOB_QUERY }, { insertOnly: true });
+  job.priority(priority || (direction === 'promotion' ? 'high' : 'normal'));
+  job.schedule(new Date());
+  
+  return job.save();
+};
+
+/**
+ * Format an Agenda job for the API
+ */
+const formatJob = (job) => {
+  const { _id, data, priority, nextRunAt, lockedAt, lastRunAt, lastFinishedAt, failedAt, failCount, failReason } = job.attrs;
+  
+  let state = 'completed';
+  if (lockedAt) {
+    state = 'running';
+  } else if (nextRunAt) {
+    state = 'queued';
+  } else if (failedAt && lastFinishedAt && failedAt.getTime() === lastFinishedAt.getTime()) {
+    state = 'failed';
+  }
+  
+  return {
+    id: _id,
+    state,
+    ...data,
+    priority,
+    nextRunAt,
+    lastRunAt,
+    lastFinishedAt,
+    failCount: failCount || 0,
+    failReason: failReason || null
+  };
+};
+
+/**
+ * List 'migrate file' jobs with per-state counts
+ * @param {Object} [options]
+ * @param {string} [options.state] - One of JOB_STATES (default: all)
+ * @param {string} [options.fileId] - Only jobs for this file
+ * @param {number} [options.limit=50]
+ * @returns {Promise<{counts: Object, jobs: Array}>}
+ */
+export const listMigrationJobs = async ({ state, fileId, limit = 50 } = {}) => {
+  if (!queue) {
+    throw new Error('Migration queue is not ready');
+  }
+  
+  const baseQuery = { name: MIGRATE_FILE_JOB };
+  if (fileId) {
+    baseQuery['data.fileId'] = fileId;
+  }
+  
+  const counts = {};
+  for (const jobState of JOB_STATES) {
+    counts[jobState] = await queue._collection.countDocuments({ ...baseQuery, ...STATE_QUERIES[jobState] });
+  }
+  
+  const query = state ? { ...baseQuery, ...STATE_QUERIES[state] } : baseQuery;
+  const jobs = await queue.jobs(query, { _id: -1 }, limit);
+  
+  return { counts, jobs: jobs.map(formatJob) };
+};
+
+/**
+ * Remove finished 'migrate file' jobs older than the retention period
+ * @returns {Promise<number>} - Number of jobs removed
+ */
+export const purgeFinishedMigrationJobs = async () => {
+  if (!queue) return 0;
+  
+  const hours = Number(process.env.MIGRATION_JOB_RETENTION_HOURS) || DEFAULT_JOB_RETENTION_HOURS;
+  const cutoff = new Date(Date.now() - hours * 60 * 60 * 1000);
+  
+  return queue.cancel({
+    name: MIGRATE_FILE_JOB,
+    nextRunAt: null,
+    lockedAt: null,
+    lastFinishedAt: { $lt: cutoff }
+  });
+};
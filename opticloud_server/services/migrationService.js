@@ -1,51 +1,81 @@
-import { getFileModelByTier, getAllFileModels } from '../models/File.js';
+import mongoose from 'mongoose';
+import { getFileModelByTier, getAllFileModels, getMigrationDirection, TIER_ORDER } from '../models/File.js';
 import { incrementMigrationCount } from '../models/MigrationStats.js';
-import { calculateBufferHash } from '../utils/hashUtils.js';
+import MigrationIntent, { OPEN_INTENT_PHASES } from '../models/MigrationIntent.js';
+import { getTierBackend, getTierCompression } from '../config/storage.js';
+import { supportsTransactions } from '../config/database.js';
+import { setFileTier } from './fileCatalog.js';
+import { createPhaseTimer, recordMigrationEvent } from './migrationHistory.js';
+import { chargeMigration } from './costService.js';
+import { moveUsage, checkQuota } from './quotaService.js';
+import {
+  streamFileData,
+  openFileData,
+  writeFileStream,
+  statFileData,
+  hashFileData,
+  hashFileContentWith,
+  deleteFileData,
+  getStoredChecksum,
+  getStorageFormat
+} from './storageService.js';
+import { isEncryptionEnabled } from '../config/encryption.js';
+import { getChecksumAlgorithm } from '../utils/hashUtils.js';
+import { isCompressibleType } from '../utils/compressionUtils.js';
+import { findLiveBlob, addBlobRef, releaseBlobRef, createBlob, releaseFileData } from './blobService.js';
 
 /**
  * Migration Service - Handles Copy-Verify-Delete process
- * Migrates files between tier collections in MongoDB
+ * Migrates file documents between tier collections and their data between
+ * the storage backends configured for each tier.
+ *
+ * Data is content-addressed (see blobService): a file moves into the target tier's blob
+ * for its checksum when there is one instead of copying, and leaves its source blob by
+ * dropping its reference, so data shared with other files stays in place until the last
+ * of them has moved or been deleted. migrateBlobFiles moves the files sharing a blob
+ * together, so shared data changes tier as a whole.
+ *
+ * Encrypted data is copied as stored and verified against its storedChecksum, so it is
+ * never decrypted on the way. Data stored unencrypted is encrypted while it is copied
+ * when a master key is configured.
+ *
+ * Data is compressed following the target tier's policy (see getTierCompression), except
+ * for content types that are compressed already. When the compression changes, the
+ * content is decoded and written anew, and the copy is checked against the content
+ * checksum as well as its stored one. Data that does not get smaller is written again
+ * uncompressed.
  */
 
-const MAX_RETRY_ATTEMPTS = 3;
+// Failed attempts after which a file is marked FAILED and no longer retried
+export const MAX_RETRY_ATTEMPTS = 3;
 
-/**
- * Find file across all tier collections
- * @param {string} fileId - File document ID
- * @returns {Promise<{file: Object, tier: string, model: Model} | null>}
- */
-const findFileAcrossTiers = async (fileId) => {
-  const allModels = getAllFileModels();
-  const tierNames = ['HOT', 'WARM', 'COLD'];
-  
-  for (let i = 0; i < allModels.length; i++) {
-    const Model = allModels[i];
-    const file = await Model.findById(fileId).select('+fileData');
-    if (file) {
-      return { file, tier: tierNames[i], model: Model };
-    }
-  }
-  return null;
-};
+// Open intents and locks untouched for this long belong to a crashed migration (the 'migrate file' job lock lifetime)
+const STALE_MIGRATION_MS = 10 * 60 * 1000;
+
+// How often a running migration touches its intent, so a long hash or copy never looks stale
+const INTENT_HEARTBEAT_MS = 60 * 1000;
 
 /**
- * Lock a file for migration
+ * Lock a file for migration (files flagged as corrupted by the scrub job are refused)
  * @param {string} fileId - File document ID
  * @param {string} currentTier - Current tier of the file
  * @returns {Promise<{file: Object, tier: string, model: Model}>} - Locked file document
  */
 export const lockFile = async (fileId, currentTier) => {
   const Model = getFileModelByTier(currentTier);
-  const file = await Model.findByIdAndUpdate(
-    fileId,
+  const file = await Model.findOneAndUpdate(
+    { _id: fileId, migrationStatus: { $ne: 'CORRUPTED' } },
     {
       isLocked: true,
       migrationStatus: 'PROCESSING'
     },
     { new: true }
-  ).select('+fileData');
+  );
   
   if (!file) {
+    if (await Model.exists({ _id: fileId })) {
+      throw new Error(`File data is corrupted: ${fileId} in ${currentTier} tier cannot be migrated`);
+    }
     throw new Error(`File not found: ${fileId} in ${currentTier} tier`);
   }
   
@@ -67,43 +97,261 @@ export const unlockFile = async (fileId, tier, status = 'IDLE') => {
 };
 
 /**
- * Verify file integrity by recalculating hash
- * @param {Object} file - File document with fileData (Base64 string)
- * @returns {Promise<string>} - Calculated hash
+ * Verify file integrity by recalculating the hash of the data as stored (streamed from
+ * storage) with the algorithm the file's checksum was stored with.
+ * Compressed data is decompressed in the same pass and must match the content checksum.
+ * @param {Object} file - File document
+ * @param {string} tier - Tier the document lives in
+ * @returns {Promise<string>} - Calculated hash of the data as stored
  */
-const verifyFileIntegrity = async (file) => {
-  if (!file.fileData) {
+const verifyFileIntegrity = async (file, tier) => {
+  if (!(await statFileData(file, tier))) {
     throw new Error('File data is missing');
   }
   
-  // Convert Base64 string to Buffer
-  const buffer = Buffer.from(file.fileData, 'base64');
-  const calculatedHash = calculateBufferHash(buffer);
+  if (!file.compression) {
+    return hashFileData(file, tier);
+  }
   
-  return calculatedHash;
+  const algorithm = getChecksumAlgorithm(file);
+  const { content, stored } = await hashFileContentWith(file, tier, [algorithm]);
+  if (file.checksum && content[algorithm] !== file.checksum) {
+    throw new Error(`Decompressed content does not match its checksum: expected ${file.checksum}, got ${content[algorithm]}`);
+  }
+  return stored[algorithm];
+};
+
+/**
+ * Compression a file's data gets in a tier: the tier's policy, unless the content type
+ * is compressed already
+ * @param {Object} file - File document
+ * @param {string} tier - Target tier
+ * @returns {{algorithm: string, level: number}|null}
+ */
+const getTargetCompression = (file, tier) => {
+  const compression = getTierCompression(tier);
+  return compression && isCompressibleType(file.contentType) ? compression : null;
+};
+
+/**
+ * Remove the target document of a migration together with its data.
+ * The document goes first: once it is gone the copy is unreachable, and a failure
+ * to release the data only leaves an orphaned object behind (logged, not thrown).
+ * A shared blob only loses the file's reference; a copy that never became a blob
+ * is deleted directly.
+ * @param {Object} intent - MigrationIntent document
+ */
+const removeTargetCopy = async (intent) => {
+  await getFileModelByTier(intent.targetTier).findByIdAndDelete(intent.targetId);
+  try {
+    const blob = intent.targetBlobId && await releaseBlobRef(intent.targetBlobId, intent.targetId);
+    if (!blob && !intent.targetLinked) {
+      await deleteFileData(intentTarget(intent), intent.targetTier);
+    }
+  } catch (error) {
+    console.error(`Failed to delete data of ${intent.targetId} from ${intent.targetTier} storage:`, error.message);
+  }
+};
+
+/**
+ * Advance a migration intent to its next phase
+ * @param {Object} intent - MigrationIntent document
+ * @param {string} phase - New phase
+ * @param {Object} [fields] - Other intent fields to set
+ */
+const setIntentPhase = async (intent, phase, fields = {}) => {
+  Object.assign(intent, fields, { phase });
+  await MigrationIntent.updateOne({ _id: intent._id }, { ...fields, phase });
+};
+
+/**
+ * Keep a running migration's intent fresh until it finishes, so recoverStuckMigrations
+ * does not take a copy that outlasts STALE_MIGRATION_MS for a crashed one
+ * @param {Object} intent - MigrationIntent document
+ * @returns {Function} - Stops the heartbeat
+ */
+const startIntentHeartbeat = (intent) => {
+  const timer = setInterval(() => {
+    MigrationIntent.updateOne({ _id: intent._id }, { $set: { updatedAt: new Date() } }, { timestamps: false }).catch((error) => {
+      console.error(`Failed to touch the migration intent of ${intent.fileName}:`, error.message);
+    });
+  }, INTENT_HEARTBEAT_MS);
+  timer.unref();
+  return () => clearInterval(timer);
+};
+
+/**
+ * Source and target documents of an intent, as far as needed to reach their data
+ */
+const intentSource = (intent) => ({
+  _id: intent.sourceId,
+  storageBackend: intent.sourceBackend,
+  storageKey: intent.sourceKey,
+  blobId: intent.sourceBlobId
+});
+const intentTarget = (intent) => ({
+  _id: intent.targetId,
+  storageBackend: intent.targetBackend,
+  storageKey: intent.targetKey || intent.targetId.toString()
+});
+
+/**
+ * Commit step: unlock the verified target, remove the source document, point the catalog
+ * at the target tier, count the migration, record its charges, move the bytes in the
+ * owner's usage and mark the intent COMMITTED. On a replica set this is one transaction.
+ * On a standalone server the writes run in order behind a COMMITTING intent, and recovery
+ * re-runs this function to roll an interrupted commit forward; a crash right after the
+ * count is incremented can then count the migration twice.
+ * @param {Object} intent - MigrationIntent document (target copy verified)
+ */
+const commitMigration = async (intent) => {
+  const sourceModel = getFileModelByTier(intent.sourceTier);
+  const targetModel = getFileModelByTier(intent.targetTier);
+  const direction = getMigrationDirection(intent.sourceTier, intent.targetTier);
+  const migrationCharge = {
+    fromTier: intent.sourceTier,
+    toTier: intent.targetTier,
+    owner: intent.owner,
+    bytes: intent.size,
+    enteredAt: intent.sourceEnteredAt
+  };
+  const targetUpdate = {
+    migrationStatus: 'IDLE',
+    isLocked: false,
+    sourceChecksumBeforeMigration: intent.sourceChecksum,
+    targetChecksumAfterMigration: intent.targetChecksum
+  };
+  
+  if (await supportsTransactions()) {
+    const session = await mongoose.startSession();
+    try {
+      for (let attempt = 1; ; attempt++) {
+        try {
+          await session.withTransaction(async () => {
+            await targetModel.updateOne({ _id: intent.targetId }, targetUpdate, { session });
+            await sourceModel.deleteOne({ _id: intent.sourceId }, { session });
+            await setFileTier(intent.targetId, intent.targetTier, { session });
+            await incrementMigrationCount(direction, { session });
+            await chargeMigration(migrationCharge, { session });
+            await moveUsage(intent.owner, intent.sourceTier, intent.targetTier, intent.size, { session });
+            await MigrationIntent.updateOne({ _id: intent._id }, { phase: 'COMMITTED', transactional: true }, { session });
+          });
+          break;
+        } catch (error) {
+          // An upsert lost the race to create a usage or charge document (duplicate key),
+          // which aborts the transaction; run it once more, now that the document exists
+          if (error.code !== 11000 || attempt > 1) throw error;
+        }
+      }
+    } finally {
+      await session.endSession();
+    }
+    intent.phase = 'COMMITTED';
+    intent.transactional = true;
+    return;
+  }
+  
+  if (intent.phase !== 'COMMITTING') {
+    await setIntentPhase(intent, 'COMMITTING');
+  }
+  await targetModel.updateOne({ _id: intent.targetId }, targetUpdate);
+  await setFileTier(intent.targetId, intent.targetTier);
+  await incrementMigrationCount(direction);
+  await chargeMigration(migrationCharge);
+  await moveUsage(intent.owner, intent.sourceTier, intent.targetTier, intent.size);
+  await setIntentPhase(intent, 'COMMITTED');
+  await sourceModel.deleteOne({ _id: intent.sourceId });
+};
+
+/**
+ * Final step after commit: release the source data and close the intent.
+ * The source document is already gone, so a failure here only leaves orphaned data
+ * (logged, retried by recovery while the intent stays COMMITTED; dropping a blob
+ * reference twice is harmless).
+ * @param {Object} intent - MigrationIntent document in phase COMMITTED
+ */
+const completeMigration = async (intent) => {
+  await getFileModelByTier(intent.sourceTier).deleteOne({ _id: intent.sourceId });
+  await releaseFileData(intentSource(intent), intent.sourceTier);
+  await setIntentPhase(intent, 'COMPLETED', { completedAt: new Date() });
+};
+
+/**
+ * Undo an uncommitted migration: remove the target copy and unlock the source
+ * @param {Object} intent - MigrationIntent document before COMMITTING
+ * @param {string} [status='IDLE'] - Migration status to leave the source in
+ * @param {string} [reason] - Error that caused the rollback
+ */
+const rollBackMigration = async (intent, status = 'IDLE', reason = null) => {
+  await removeTargetCopy(intent);
+  await unlockFile(intent.sourceId, intent.sourceTier, status);
+  await setIntentPhase(intent, 'ROLLED_BACK', { error: reason, completedAt: new Date() });
+};
+
+/**
+ * Get the unfinished migration of a file, if any
+ * @param {string} fileId - Source file document ID
+ * @returns {Promise<Object|null>} - MigrationIntent document
+ */
+export const findOpenIntent = async (fileId) => {
+  return MigrationIntent.findOne({ sourceId: fileId, phase: { $in: OPEN_INTENT_PHASES } }).sort({ createdAt: -1 });
 };
 
 /**
  * Main migration function - Copy-Verify-Delete process
- * Moves file document from source tier collection to target tier collection
+ * Moves file document from source tier collection to target tier collection, keeping its _id.
+ * Each step is recorded on a MigrationIntent first, so a crash at any point can be
+ * rolled back or forward by recoverStuckMigrations.
+ * Checksums compared here are of the data as stored (getStoredChecksum); the content
+ * checksum is carried over unchanged.
  * @param {string} fileId - File document ID
  * @param {string} currentTier - Current tier
  * @param {string} targetTier - Target tier
+ * @param {Object} [options]
+ * @param {string} [options.trigger='scheduled'] - What caused the move ('scheduled', 'manual', 'promotion', 'quota')
  * @returns {Promise<Object>} - New file document in target collection
  */
-export const migrateFile = async (fileId, currentTier, targetTier) => {
+export const migrateFile = async (fileId, currentTier, targetTier, { trigger = 'scheduled' } = {}) => {
   let fileInfo;
-  let newFileDoc = null;
+  let intent = null;
+  let stopHeartbeat = null;
+  let sourceHashBefore = null;
+  let targetHashAfter = null;
+  const direction = getMigrationDirection(currentTier, targetTier);
+  const label = direction === 'promotion' ? '[Promotion]' : '[Demotion]';
+  const startedAt = new Date();
+  const timer = createPhaseTimer();
   
   try {
     // Step 1: Lock the file
     fileInfo = await lockFile(fileId, currentTier);
     const { file, model: sourceModel } = fileInfo;
+    const checksumAlgorithm = getChecksumAlgorithm(file);
+    timer.end('lock');
+    
+    console.log(`${label} Starting migration of ${file.fileName} from ${currentTier} to ${targetTier} (trigger: ${trigger})`);
     
-    console.log(`Starting migration of ${file.fileName} from ${currentTier} to ${targetTier}`);
+    // Step 2: Record the intent before anything is copied
+    intent = await MigrationIntent.create({
+      sourceId: file._id,
+      sourceBackend: file.storageBackend || 'mongo',
+      sourceKey: file.storageKey || file._id.toString(),
+      sourceBlobId: file.blobId || null,
+      targetId: file._id, // The file keeps its ID in the target tier
+      targetBackend: getTierBackend(targetTier),
+      fileName: file.fileName,
+      size: file.size,
+      owner: file.owner || null,
+      sourceEnteredAt: file.lastMigrationDate || file.uploadDate,
+      sourceTier: currentTier,
+      targetTier,
+      trigger,
+      checksumAlgorithm
+    });
+    stopHeartbeat = startIntentHeartbeat(intent);
     
-    // Step 2: Calculate checksum BEFORE migration (source file)
-    const sourceHashBefore = await verifyFileIntegrity(file);
+    // Step 3: Calculate checksum BEFORE migration (source file)
+    sourceHashBefore = await verifyFileIntegrity(file, currentTier);
     console.log(`Source file checksum (before migration): ${sourceHashBefore}`);
     
     // Save source checksum in source file for display
@@ -111,85 +359,223 @@ export const migrateFile = async (fileId, currentTier, targetTier) => {
       migrationStatus: 'VERIFYING',
       sourceChecksumBeforeMigration: sourceHashBefore
     });
+    await setIntentPhase(intent, 'COPYING', { sourceChecksum: sourceHashBefore });
+    timer.end('hashSource');
     
-    // Step 3: Compare with stored checksum (if exists)
-    if (file.checksum && sourceHashBefore !== file.checksum) {
-      await unlockFile(fileId, currentTier, 'FAILED');
-      throw new Error(`Source file integrity check failed: stored checksum (${file.checksum}) does not match calculated (${sourceHashBefore})`);
+    // Step 4: Compare with stored checksum (if exists)
+    const expectedSourceHash = getStoredChecksum(file);
+    if (expectedSourceHash && sourceHashBefore !== expectedSourceHash) {
+      throw new Error(`Source file integrity check failed: stored checksum (${expectedSourceHash}) does not match calculated (${sourceHashBefore})`);
     }
     
-    // Step 4: Copy to target collection
+    // Checksum of the content, which blobs are shared by (the data as stored differs once
+    // encrypted or compressed)
+    const checksum = file.checksum || sourceHashBefore;
+    
+    // Step 5: Copy to target collection and target storage backend, or share the
+    // target tier's blob for this checksum if it already holds the data
     const targetModel = getFileModelByTier(targetTier);
+    const sharedBlob = await findLiveBlob(targetTier, checksum, checksumAlgorithm, file.size);
+    // A change of compression means decoding the content and writing it anew (encrypted
+    // again if it was); otherwise the data is copied as stored
+    const compression = getTargetCompression(file, targetTier);
+    const recode = !sharedBlob && (compression ? compression.algorithm : null) !== (file.compression || null);
+    const encrypt = !sharedBlob && (recode || !file.encryption) && isEncryptionEnabled();
     
-    // Create new document in target collection
-    newFileDoc = new targetModel({
+    const newBlobId = new mongoose.Types.ObjectId();
+    
+    // Recorded before any reference is taken or data written, so a rollback finds them.
+    // A copy is keyed by its new blob ID: an orphaned blob of the same file may still
+    // hold the key that is the file's ID until it is garbage-collected.
+    await setIntentPhase(intent, 'COPYING', sharedBlob
+      ? {
+          targetBlobId: sharedBlob._id,
+          targetLinked: true,
+          targetBackend: sharedBlob.storageBackend,
+          targetKey: sharedBlob.storageKey
+        }
+      : {
+          targetBlobId: newBlobId,
+          targetKey: newBlobId.toString()
+        });
+    
+    // Create new document in target collection under the file's stable ID
+    const newFileDoc = new targetModel({
+      _id: intent.targetId,
       fileName: file.fileName,
       originalFileName: file.originalFileName,
-      fileData: file.fileData, // Copy Base64 data
+      storageBackend: intent.targetBackend,
+      storageKey: intent.targetKey,
+      blobId: intent.targetBlobId,
       size: file.size,
-      checksum: sourceHashBefore, // Use the verified hash
+      checksum, // Use the verified hash
+      checksumAlgorithm, // Kept as is; the rehash job moves files to the configured algorithm
+      ...getStorageFormat(sharedBlob || file), // Set after the copy if it encrypts or recodes
       sourceChecksumBeforeMigration: sourceHashBefore, // Save source checksum for display
       contentType: file.contentType,
+      tags: file.tags,
+      owner: file.owner,
+      accessCount: file.accessCount,
+      heat: file.heat,
       lastAccessDate: file.lastAccessDate,
       uploadDate: file.uploadDate,
       lastMigrationDate: new Date(),
+      lastVerifiedAt: startedAt, // Only committed once the copy has been read back and verified
+      lastScrubbedAt: startedAt,
       migrationStatus: 'VERIFYING', // Keep in VERIFYING until we verify the copy
       isLocked: true, // Keep locked until verification is complete
       retryAttempts: 0
     });
     
     await newFileDoc.save();
-    console.log(`File copied to ${targetTier} collection with ID: ${newFileDoc._id}`);
     
-    // Step 5: Verify integrity AFTER migration (target file)
-    // Reload the new file to get fresh data
-    const targetFile = await targetModel.findById(newFileDoc._id).select('+fileData');
-    const targetHashAfter = await verifyFileIntegrity(targetFile);
+    if (intent.targetLinked) {
+      if (!(await addBlobRef(intent.targetBlobId, file._id))) {
+        throw new Error(`Blob ${intent.targetBlobId} in ${targetTier} was released before it could be shared`);
+      }
+      console.log(`File shares blob ${intent.targetBlobId} already stored in ${targetTier}; nothing to copy`);
+    } else {
+      // Stream data from the source backend into the target backend: as stored (encrypted on
+      // the way if it is not yet), or as content to be compressed for the target tier
+      const source = recode ? openFileData(file, currentTier) : streamFileData(file, currentTier);
+      let copied = await writeFileStream(newFileDoc, targetTier, source, {
+        algorithm: checksumAlgorithm,
+        encrypt,
+        compression: recode ? compression : null
+      });
+      // Compression that saves nothing only costs a decode on every read
+      const uncompressible = Boolean(copied.compression) && copied.storedSize >= copied.size;
+      if (uncompressible) {
+        console.log(`${copied.compression} does not shrink ${file.fileName} (${copied.size} -> ${copied.storedSize} bytes); storing it uncompressed`);
+        await deleteFileData(newFileDoc, targetTier);
+        copied = await writeFileStream(newFileDoc, targetTier, openFileData(file, currentTier), {
+          algorithm: checksumAlgorithm,
+          encrypt,
+          compression: null
+        });
+      }
+      const expectedCopyHash = recode ? checksum : sourceHashBefore;
+      if (copied.checksum !== expectedCopyHash) {
+        throw new Error(`Source data changed during copy: expected ${expectedCopyHash}, copied ${copied.checksum}`);
+      }
+      if (recode || encrypt) {
+        // A recoded copy has a format of its own; one encrypted on the way keeps the source's compression
+        newFileDoc.set(recode ? getStorageFormat(copied) : { storedChecksum: copied.storedChecksum, encryption: copied.encryption });
+        await newFileDoc.save();
+      }
+      const format = [
+        `${newFileDoc.storageBackend} backend`,
+        recode && (copied.compression ? `${copied.compression}, ${copied.size} -> ${copied.storedSize} bytes` : (uncompressible ? 'uncompressed' : 'decompressed')),
+        encrypt && 'encrypted'
+      ].filter(Boolean).join(', ');
+      console.log(`File copied to ${targetTier} collection (${format}) with ID: ${newFileDoc._id}`);
+    }
+    await setIntentPhase(intent, 'VERIFYING');
+    timer.end('copy');
+    
+    // Step 6: Verify integrity AFTER migration (target file)
+    // Read the data back from the target backend
+    targetHashAfter = await verifyFileIntegrity(newFileDoc, targetTier);
     console.log(`Target file checksum (after migration): ${targetHashAfter}`);
     
-    // Step 6: Compare source and target checksums
-    if (sourceHashBefore !== targetHashAfter) {
-      // Rollback: Delete target file
-      await targetModel.findByIdAndDelete(newFileDoc._id);
-      await unlockFile(fileId, currentTier, 'FAILED');
-      throw new Error(`Checksum mismatch after migration: source (${sourceHashBefore}) !== target (${targetHashAfter}). Migration aborted, source file preserved.`);
+    // Step 7: Compare with the target's stored checksum (the source's, unless the target
+    // shares another blob or was encrypted or recompressed); the target copy is rolled back below
+    const expectedTargetHash = getStoredChecksum(newFileDoc);
+    if (expectedTargetHash !== targetHashAfter) {
+      throw new Error(`Checksum mismatch after migration: expected (${expectedTargetHash}) !== target (${targetHashAfter}). Migration aborted, source file preserved.`);
     }
     
-    console.log(`Checksum verification passed: ${sourceHashBefore} === ${targetHashAfter}`);
-    
-    // Step 7: Commit - Update target file status and save checksums for display
-    await targetModel.findByIdAndUpdate(newFileDoc._id, {
-      migrationStatus: 'IDLE',
-      isLocked: false,
-      sourceChecksumBeforeMigration: sourceHashBefore,
-      targetChecksumAfterMigration: targetHashAfter
-    });
+    console.log(`Checksum verification passed: ${expectedTargetHash} === ${targetHashAfter}`);
     
     // Also save target checksum in source file before deletion (for display during migration)
     await sourceModel.findByIdAndUpdate(fileId, {
       targetChecksumAfterMigration: targetHashAfter
     });
+    intent.targetChecksum = targetHashAfter;
+    await MigrationIntent.updateOne({ _id: intent._id }, { targetChecksum: targetHashAfter });
     
-    // Delete from source collection only after successful verification
-    await sourceModel.findByIdAndDelete(fileId);
-    console.log(`File deleted from ${currentTier} collection: ${fileId}`);
-
-    // Record migration for fines ($0.10 per migration)
-    await incrementMigrationCount();
+    // A verified copy becomes the target tier's blob for this checksum
+    if (!intent.targetLinked) {
+      await createBlob({
+        _id: intent.targetBlobId,
+        tier: targetTier,
+        checksum,
+        checksumAlgorithm,
+        size: file.size,
+        storageBackend: intent.targetBackend,
+        storageKey: intent.targetKey,
+        ...getStorageFormat(newFileDoc),
+        fileId: intent.targetId,
+        verifiedAt: new Date()
+      });
+    }
+    timer.end('verify');
+    
+    // Step 8: Commit - unlock target, delete source document, count the migration and record its charges
+    await commitMigration(intent);
+    timer.end('commit');
+    
+    // Step 9: Delete source data only after the commit
+    try {
+      await completeMigration(intent);
+      console.log(`File deleted from ${currentTier} collection: ${fileId}`);
+    } catch (error) {
+      console.error(`Failed to delete data of ${fileId} from ${currentTier} storage (left to recovery):`, error.message);
+    }
+    timer.end('cleanup');
+    
+    await recordMigrationEvent({
+      fileId: file._id,
+      fileName: file.fileName,
+      fromTier: currentTier,
+      toTier: targetTier,
+      trigger,
+      outcome: 'SUCCEEDED',
+      checksumAlgorithm,
+      sourceChecksum: sourceHashBefore,
+      targetChecksum: targetHashAfter,
+      verified: true,
+      transactional: intent.transactional,
+      intentId: intent._id,
+      phaseTimings: timer.timings,
+      startedAt
+    });
 
-    console.log(`✓ File ${file.fileName} successfully migrated from ${currentTier} to ${targetTier} with verified integrity`);
+    console.log(`${label} ✓ File ${file.fileName} successfully migrated from ${currentTier} to ${targetTier} with verified integrity${intent.transactional ? ' (transactional commit)' : ''}`);
     
     // Reload final file document
-    const finalFile = await targetModel.findById(newFileDoc._id);
+    const finalFile = await targetModel.findById(intent.targetId);
     return finalFile;
     
   } catch (error) {
+    // Once committed the target is the file; leave the rest to recovery
+    if (intent && !['COPYING', 'VERIFYING'].includes(intent.phase)) {
+      throw error;
+    }
+    
+    if (fileInfo && fileInfo.file) {
+      await recordMigrationEvent({
+        fileId: fileInfo.file._id,
+        fileName: fileInfo.file.fileName,
+        fromTier: currentTier,
+        toTier: targetTier,
+        trigger,
+        outcome: 'FAILED',
+        error: error.message,
+        checksumAlgorithm: intent ? intent.checksumAlgorithm : null,
+        sourceChecksum: sourceHashBefore,
+        targetChecksum: targetHashAfter,
+        intentId: intent ? intent._id : null,
+        phaseTimings: timer.timings,
+        startedAt
+      });
+    }
+    
     // Cleanup: If target file was created but verification failed, delete it
-    if (newFileDoc && newFileDoc._id) {
+    if (intent) {
       try {
-        const targetModel = getFileModelByTier(targetTier);
-        await targetModel.findByIdAndDelete(newFileDoc._id);
-        console.log(`Cleaned up target file after error: ${newFileDoc._id}`);
+        await rollBackMigration(intent, 'IDLE', error.message);
+        console.log(`Cleaned up target file after error: ${intent.targetId}`);
       } catch (cleanupError) {
         console.error('Error cleaning up target file:', cleanupError);
       }
@@ -198,122 +584,166 @@ export const migrateFile = async (fileId, currentTier, targetTier) => {
     // Handle errors and update retry attempts
     if (fileInfo && fileInfo.file) {
       const { file, model } = fileInfo;
-      file.retryAttempts += 1;
+      const retryAttempts = (file.retryAttempts || 0) + 1;
       
-      if (file.retryAttempts >= MAX_RETRY_ATTEMPTS) {
+      if (retryAttempts >= MAX_RETRY_ATTEMPTS) {
         await model.findByIdAndUpdate(fileInfo.file._id, {
           migrationStatus: 'FAILED',
-          isLocked: false
+          isLocked: false,
+          retryAttempts
         });
         throw new Error(`Migration failed after ${MAX_RETRY_ATTEMPTS} attempts: ${error.message}`);
       } else {
-        await unlockFile(fileId, currentTier, 'IDLE');
-        throw error; // Will be retried by Agenda.js
+        await model.findByIdAndUpdate(fileInfo.file._id, {
+          migrationStatus: 'IDLE',
+          isLocked: false,
+          retryAttempts
+        });
+        throw error; // The 'migrate file' job reschedules itself with backoff
       }
     } else {
       throw error;
     }
+  } finally {
+    if (stopHeartbeat) stopHeartbeat();
+  }
+};
+
+/**
+ * Move a file together with the other files referencing its source blob: the first move
+ * copies the data into the target tier, the others share that copy, and the source blob
+ * is released once the last of them has left. Files that are locked, not IDLE, or (for
+ * promotions) do not fit their owner's HOT quota stay behind and keep the source blob.
+ * A failure to move one of the others is logged and leaves the file's own move in place.
+ * @param {string} fileId - File document ID
+ * @param {string} currentTier - Current tier
+ * @param {string} targetTier - Target tier
+ * @param {Object} [options] - Passed to migrateFile for every file moved
+ * @returns {Promise<{file: Object, shared: {moved: number, skipped: number, failed: number}}>} -
+ *   New file document in the target collection, and what happened to the files sharing its blob
+ */
+export const migrateBlobFiles = async (fileId, currentTier, targetTier, options = {}) => {
+  const sourceModel = getFileModelByTier(currentTier);
+  const source = await sourceModel.findById(fileId, { blobId: 1 }).lean();
+  const file = await migrateFile(fileId, currentTier, targetTier, options);
+  const shared = { moved: 0, skipped: 0, failed: 0 };
+  
+  if (!source || !source.blobId) {
+    return { file, shared };
+  }
+  
+  const others = await sourceModel.find({ blobId: source.blobId, _id: { $ne: file._id } });
+  for (const other of others) {
+    const refused = targetTier === 'HOT' && await checkQuota(other.owner, 'HOT', other.size, { newFile: false });
+    if (other.isLocked || other.migrationStatus !== 'IDLE' || refused) {
+      shared.skipped++;
+      continue;
+    }
+    
+    try {
+      await migrateFile(other._id.toString(), currentTier, targetTier, options);
+      shared.moved++;
+    } catch (error) {
+      shared.failed++;
+      console.error(`[Dedup] Failed to move ${other.fileName}, which shares blob ${source.blobId}, to ${targetTier}:`, error.message);
+    }
   }
+  
+  if (others.length > 0) {
+    console.log(`[Dedup] Moved ${shared.moved} of ${others.length} files sharing blob ${source.blobId} to ${targetTier} along with ${file.fileName} (${shared.skipped} skipped, ${shared.failed} failed)`);
+  }
+  return { file, shared };
 };
 
 /**
- * Recover stuck migrations (files in PROCESSING or VERIFYING state)
- * Handles duplicate files that may exist in both source and target tiers
- * @returns {Promise<Array>} - Array of recovered files
+ * Recover stuck migrations from the intent log.
+ * Open intents untouched for longer than a migration job's lock lifetime are finished
+ * deterministically (a running migration touches its intent every minute): uncommitted ones are rolled back (target removed, source unlocked),
+ * committed ones are rolled forward (source removed, target unlocked).
+ * Files still locked without any open intent (left over from before the intent log)
+ * are reset to IDLE.
+ * @returns {Promise<Array>} - Array of recovered migrations ({ fileId, fileName, action })
  */
 export const recoverStuckMigrations = async () => {
-  const allModels = getAllFileModels();
-  const tierNames = ['HOT', 'WARM', 'COLD'];
-  const allStuckFiles = [];
+  const staleBefore = new Date(Date.now() - STALE_MIGRATION_MS);
+  const recovered = [];
   
-  for (let i = 0; i < allModels.length; i++) {
-    const sourceModel = allModels[i];
-    const sourceTier = tierNames[i];
+  const intents = await MigrationIntent.find({
+    phase: { $in: OPEN_INTENT_PHASES },
+    updatedAt: { $lt: staleBefore }
+  }).sort({ createdAt: 1 });
+  
+  for (const intent of intents) {
+    const wasPhase = intent.phase;
+    const startedAt = new Date();
+    const event = {
+      fileId: intent.sourceId,
+      fileName: intent.fileName,
+      fromTier: intent.sourceTier,
+      toTier: intent.targetTier,
+      trigger: 'recovery',
+      checksumAlgorithm: intent.checksumAlgorithm,
+      sourceChecksum: intent.sourceChecksum,
+      targetChecksum: intent.targetChecksum,
+      intentId: intent._id,
+      startedAt
+    };
+    console.log(`[Recovery] Found stuck migration of ${intent.fileName} from ${intent.sourceTier} to ${intent.targetTier} (phase ${wasPhase})`);
     
-    const stuckFiles = await sourceModel.find({
+    try {
+      if (wasPhase === 'COPYING' || wasPhase === 'VERIFYING') {
+        // The target copy was never verified; keep the source
+        await rollBackMigration(intent, 'IDLE', `Recovered after crash in phase ${wasPhase}`);
+        console.log(`[Recovery] Migration had crashed; recovered file "${intent.fileName}" (was ${wasPhase}). Removed target copy, reset source in ${intent.sourceTier} to IDLE.`);
+        recovered.push({ fileId: intent.sourceId, fileName: intent.fileName, action: 'rolled_back' });
+        await recordMigrationEvent({ ...event, outcome: 'ROLLED_BACK', error: `Crashed in phase ${wasPhase}` });
+        continue;
+      }
+      
+      if (wasPhase === 'COMMITTING') {
+        await commitMigration(intent);
+      }
+      await completeMigration(intent);
+      console.log(`[Recovery] Migration had crashed; recovered file "${intent.fileName}" (was ${wasPhase}). Kept target in ${intent.targetTier}.`);
+      recovered.push({ fileId: intent.targetId, fileName: intent.fileName, action: 'rolled_forward' });
+      await recordMigrationEvent({
+        ...event,
+        outcome: 'ROLLED_FORWARD',
+        error: `Crashed in phase ${wasPhase}`,
+        verified: Boolean(intent.targetChecksum), // Only recorded once the target matched its checksum
+        transactional: intent.transactional
+      });
+    } catch (error) {
+      console.error(`[Recovery] Failed to recover migration of ${intent.fileName}:`, error.message);
+      await recordMigrationEvent({ ...event, outcome: 'FAILED', error: error.message });
+    }
+  }
+  
+  const allModels = getAllFileModels();
+  for (let i = 0; i < allModels.length; i++) {
+    const stuckFiles = await allModels[i].find({
       migrationStatus: { $in: ['PROCESSING', 'VERIFYING'] },
-      isLocked: true
+      isLocked: true,
+      updatedAt: { $lt: staleBefore }
     });
     
     for (const file of stuckFiles) {
-      console.log(`[Recovery] Found stuck file: ${file.fileName} in ${sourceTier} tier`);
+      if (await findOpenIntent(file._id)) continue;
       
-      // If file is in VERIFYING state, it means it was copied to target but verification didn't complete
-      // Check if duplicate exists in other tiers
-      if (file.migrationStatus === 'VERIFYING') {
-        let duplicateFound = false;
-        
-        // Search in all other tiers for duplicate file
-        for (let j = 0; j < allModels.length; j++) {
-          if (i === j) continue; // Skip current tier
-          
-          const targetModel = allModels[j];
-          const targetTier = tierNames[j];
-          
-          // Look for file with same fileName and checksum in target tier
-          // Also check if it was created recently (within last 10 minutes) to ensure it's from the same migration
-          const tenMinutesAgo = new Date(Date.now() - 10 * 60 * 1000);
-          const duplicate = await targetModel.findOne({
-            fileName: file.fileName,
-            $or: [
-              { checksum: file.checksum },
-              { checksum: file.sourceChecksumBeforeMigration },
-              { sourceChecksumBeforeMigration: file.sourceChecksumBeforeMigration }
-            ],
-            createdAt: { $gte: tenMinutesAgo },
-            migrationStatus: { $in: ['PROCESSING', 'VERIFYING', 'IDLE'] }
-          });
-          
-          if (duplicate) {
-            console.log(`[Recovery] Found duplicate of ${file.fileName} in ${targetTier} tier. Deleting source file from ${sourceTier}.`);
-
-            // Migration had crashed; log for Admin Logs (persisted)
-            console.log(`[Recovery] Migration had crashed; recovered file "${file.fileName}" (was VERIFYING). Kept target in ${targetTier}.`);
-
-            // Migration was almost complete - target file exists
-            // Delete source file and unlock target file
-            await sourceModel.findByIdAndDelete(file._id);
-
-            // Record migration for fines ($0.10 per migration)
-            await incrementMigrationCount();
-
-            // Unlock and set target file to IDLE if it's still locked
-            if (duplicate.isLocked || duplicate.migrationStatus !== 'IDLE') {
-              await targetModel.findByIdAndUpdate(duplicate._id, {
-                migrationStatus: 'IDLE',
-                isLocked: false
-              });
-              console.log(`[Recovery] Unlocked target file ${duplicate.fileName} in ${targetTier}`);
-            }
-
-            duplicateFound = true;
-            allStuckFiles.push({ file, action: 'deleted_source', duplicateTier: targetTier });
-            break;
-          }
-        }
-
-        // If no duplicate found, the migration failed before copy completed
-        // Delete any partial target file and reset source
-        if (!duplicateFound) {
-          console.log(`[Recovery] No duplicate found for ${file.fileName}. Resetting source file to IDLE.`);
-          console.log(`[Recovery] Migration had crashed; recovered file "${file.fileName}" (was VERIFYING). Reset to IDLE.`);
-          file.migrationStatus = 'IDLE';
-          file.isLocked = false;
-          await file.save();
-          allStuckFiles.push({ file, action: 'reset_source' });
-        }
-      } else {
-        // File is in PROCESSING state - migration didn't complete copy yet
-        // Just reset to IDLE (no duplicate should exist)
-        console.log(`[Recovery] Resetting ${file.fileName} from PROCESSING to IDLE.`);
-        console.log(`[Recovery] Migration had crashed; recovered file "${file.fileName}" (was PROCESSING). Reset to IDLE.`);
-        file.migrationStatus = 'IDLE';
-        file.isLocked = false;
-        await file.save();
-        allStuckFiles.push({ file, action: 'reset_source' });
-      }
+      console.log(`[Recovery] Migration had crashed; recovered file "${file.fileName}" (was ${file.migrationStatus}, no intent). Reset to IDLE.`);
+      await unlockFile(file._id, TIER_ORDER[i], 'IDLE');
+      recovered.push({ fileId: file._id, fileName: file.fileName, action: 'reset_source' });
+      await recordMigrationEvent({
+        fileId: file._id,
+        fileName: file.fileName,
+        fromTier: TIER_ORDER[i],
+        trigger: 'recovery',
+        outcome: 'RESET',
+        error: `Locked in ${file.migrationStatus} without a migration intent`,
+        startedAt: new Date()
+      });
     }
   }
   
-  return allStuckFiles;
+  return recovered;
 };
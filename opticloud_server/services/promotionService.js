@@ -0,0 +1,96 @@
+import { enqueueMigration } from './migrationQueue.js';
+import { checkQuota } from './quotaService.js';
+
+/**
+ * Promotion Service - Promotes WARM/COLD files back to HOT on repeated access
+ *
+ * When a file outside HOT is downloaded PROMOTE_ON_ACCESS_COUNT times within
+ * PROMOTE_ACCESS_WINDOW_MINUTES, a high-priority 'migrate file' job is queued
+ * immediately instead of waiting for the next tiering sweep. Disabled unless
+ * PROMOTE_ON_ACCESS_COUNT is set.
+ *
+ * Repeated reads never queue repeated jobs: a file with a recently queued promotion
+ * is skipped in-process, and the migration queue keeps one active job per file.
+ * Files whose owner has no room left in the HOT quota are not promoted.
+ */
+
+const DEFAULT_WINDOW_MINUTES = 60;
+
+// Upper bound on files with access timestamps kept in memory before stale ones are pruned
+const MAX_TRACKED_FILES = 10000;
+
+const recentAccesses = new Map();
+const queuedPromotions = new Map();
+
+/**
+ * Read promotion settings from the environment
+ * @returns {{accessCount: number, windowMs: number}} - accessCount 0 means disabled
+ */
+export const getPromotionSettings = () => ({
+  accessCount: Number(process.env.PROMOTE_ON_ACCESS_COUNT) || 0,
+  windowMs: (Number(process.env.PROMOTE_ACCESS_WINDOW_MINUTES) || DEFAULT_WINDOW_MINUTES) * 60 * 1000
+});
+
+/**
+ * Drop access timestamps and queued markers that fell out of the window
+ */
+const pruneRecentAccesses = (now, windowMs) => {
+  for (const [fileId, timestamps] of recentAccesses) {
+    if (now - timestamps[timestamps.length - 1] >= windowMs) {
+      recentAccesses.delete(fileId);
+    }
+  }
+  for (const [fileId, queuedAt] of queuedPromotions) {
+    if (now - queuedAt >= windowMs) {
+      queuedPromotions.delete(fileId);
+    }
+  }
+};
+
+/**
+ * Note a download and queue a promotion to HOT once the threshold is reached
+ * @param {Object} file - File document
+ * @param {string} tier - Tier the document lives in
+ * @returns {Promise<boolean>} - true if a promotion was queued
+ */
+export const notePromotionAccess = async (file, tier) => {
+  const { accessCount, windowMs } = getPromotionSettings();
+  if (!accessCount || tier === 'HOT') return false;
+  
+  const fileId = file._id.toString();
+  const now = Date.now();
+  if (now - (queuedPromotions.get(fileId) || 0) < windowMs) return false;
+  
+  if (recentAccesses.size > MAX_TRACKED_FILES) {
+    pruneRecentAccesses(now, windowMs);
+  }
+  
+  const timestamps = (recentAccesses.get(fileId) || []).filter((timestamp) => now - timestamp < windowMs);
+  timestamps.push(now);
+  
+  if (timestamps.length < accessCount) {
+    recentAccesses.set(fileId, timestamps);
+    return false;
+  }
+  
+  // Accesses are kept while the quota refuses, so the next one checks again
+  if (await checkQuota(file.owner, 'HOT', file.size, { newFile: false })) {
+    recentAccesses.set(fileId, timestamps);
+    console.log(`[Promotion] ${file.fileName} accessed ${timestamps.length} times, but its owner has no room left in the HOT quota`);
+    return false;
+  }
+  
+  await enqueueMigration({
+    file,
+    fromTier: tier,
+    targetTier: 'HOT',
+    reason: `Accessed ${timestamps.length} times within ${windowMs / 60000} minutes`,
+    trigger: 'promotion',
+    priority: 'high'
+  });
+  recentAccesses.delete(fileId);
+  queuedPromotions.set(fileId, now);
+  
+  console.log(`[Promotion] ${file.fileName} accessed ${timestamps.length} times within ${windowMs / 60000} minutes in ${tier}; queued promotion to HOT`);
+  return true;
+};
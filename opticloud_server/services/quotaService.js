@@ -0,0 +1,310 @@
+import { getAllFileModels, getFileModelByTier, TIER_ORDER } from '../models/File.js';
+import OwnerUsage from '../models/OwnerUsage.js';
+import FileCatalog from '../models/FileCatalog.js';
+import User from '../models/User.js';
+
+/**
+ * Quota Service - Per-owner storage quotas
+ *
+ * Owners may be limited in total bytes, bytes per tier and file count. Defaults come from
+ * QUOTA_TOTAL_BYTES, QUOTA_FILES and QUOTA_<TIER>_BYTES (unset = unlimited) and can be
+ * overridden per user. Usage is tracked incrementally in OwnerUsage as files are uploaded,
+ * migrated and deleted. Files without an owner (uploaded before accounts existed) are not
+ * counted.
+ */
+
+// Tier a file over its owner's HOT quota is demoted to
+const QUOTA_DEMOTION_TARGET = 'WARM';
+
+/**
+ * Helper function to read an optional byte/count limit from the environment
+ */
+const readLimit = (name) => {
+  const value = Number(process.env[name]);
+  return process.env[name] && Number.isFinite(value) && value >= 0 ? value : null;
+};
+
+/**
+ * Default quota for owners without overrides
+ * @returns {{totalBytes: number|null, files: number|null, tierBytes: Object}} - null = unlimited
+ */
+export const getDefaultQuota = () => ({
+  totalBytes: readLimit('QUOTA_TOTAL_BYTES'),
+  files: readLimit('QUOTA_FILES'),
+  tierBytes: Object.fromEntries(TIER_ORDER.map((tier) => [tier, readLimit(`QUOTA_${tier}_BYTES`)]))
+});
+
+/**
+ * Effective quota of an owner: the user's overrides on top of the defaults
+ * @param {Object|null} user - User document (with quota), or null for the defaults
+ * @returns {{totalBytes: number|null, files: number|null, tierBytes: Object}}
+ */
+export const resolveQuota = (user) => {
+  const defaults = getDefaultQuota();
+  const overrides = user?.quota || {};
+  const pick = (override, fallback) => (override ?? fallback);
+  
+  return {
+    totalBytes: pick(overrides.totalBytes, defaults.totalBytes),
+    files: pick(overrides.files, defaults.files),
+    tierBytes: Object.fromEntries(TIER_ORDER.map((tier) => [tier, pick(overrides.tierBytes?.[tier], defaults.tierBytes[tier])]))
+  };
+};
+
+/**
+ * Empty usage record
+ */
+const emptyUsage = () => ({
+  files: 0,
+  bytes: 0,
+  tiers: Object.fromEntries(TIER_ORDER.map((tier) => [tier, { files: 0, bytes: 0 }]))
+});
+
+/**
+ * Current usage of an owner
+ * @param {string|ObjectId} owner
+ * @returns {Promise<{files: number, bytes: number, tiers: Object}>}
+ */
+export const getOwnerUsage = async (owner) => {
+  const usage = await OwnerUsage.findById(owner).lean();
+  if (!usage) return emptyUsage();
+  
+  const { files, bytes, tiers } = usage;
+  return { files, bytes, tiers: { ...emptyUsage().tiers, ...tiers } };
+};
+
+/**
+ * Apply a usage change with an upsert, retrying once if two upserts race to create the document.
+ * Inside a transaction the error is passed on instead: the server has already aborted the
+ * transaction, so only the caller can run it again.
+ */
+const incrementUsage = async (owner, inc, { session } = {}) => {
+  try {
+    await OwnerUsage.updateOne({ _id: owner }, { $inc: inc }, { upsert: true, session });
+  } catch (error) {
+    if (error.code !== 11000 || session) throw error;
+    await OwnerUsage.updateOne({ _id: owner }, { $inc: inc });
+  }
+};
+
+/**
+ * Add files/bytes to (or, with negative values, remove them from) an owner's usage in a tier
+ * @param {string|ObjectId|null} owner - Ignored when null
+ * @param {string} tier
+ * @param {number} files
+ * @param {number} bytes
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session] - Transaction the update belongs to
+ */
+export const adjustUsage = async (owner, tier, files, bytes, { session } = {}) => {
+  if (!owner) return;
+  await incrementUsage(owner, {
+    files,
+    bytes,
+    [`tiers.${tier}.files`]: files,
+    [`tiers.${tier}.bytes`]: bytes
+  }, { session });
+};
+
+/**
+ * Move a file's bytes from one tier to another in its owner's usage
+ * @param {string|ObjectId|null} owner - Ignored when null
+ * @param {string} fromTier
+ * @param {string} toTier
+ * @param {number} bytes
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session] - Transaction the update belongs to
+ */
+export const moveUsage = async (owner, fromTier, toTier, bytes, { session } = {}) => {
+  if (!owner) return;
+  await incrementUsage(owner, {
+    [`tiers.${fromTier}.files`]: -1,
+    [`tiers.${fromTier}.bytes`]: -bytes,
+    [`tiers.${toTier}.files`]: 1,
+    [`tiers.${toTier}.bytes`]: bytes
+  }, { session });
+};
+
+/**
+ * Rebuild every owner's usage from the tier collections. A file being migrated has a
+ * document in two tiers; it is counted once, in the tier the file catalog has it in.
+ * @returns {Promise<number>} - Number of owners with stored files
+ */
+export const recalculateUsage = async () => {
+  const totals = {};
+  const allModels = getAllFileModels();
+  
+  for (let i = 0; i < allModels.length; i++) {
+    const rows = await allModels[i].aggregate([
+      { $match: { owner: { $ne: null } } },
+      { $lookup: { from: FileCatalog.collection.name, localField: '_id', foreignField: '_id', as: 'catalog' } },
+      { $match: { $or: [{ catalog: { $size: 0 } }, { 'catalog.tier': TIER_ORDER[i] }] } },
+      { $group: { _id: '$owner', files: { $sum: 1 }, bytes: { $sum: '$size' } } }
+    ]);
+    
+    for (const { _id: owner, files, bytes } of rows) {
+      const key = owner.toString();
+      totals[key] = totals[key] || { owner, ...emptyUsage() };
+      totals[key].files += files;
+      totals[key].bytes += bytes;
+      totals[key].tiers[TIER_ORDER[i]] = { files, bytes };
+    }
+  }
+  
+  const rows = Object.values(totals);
+  if (rows.length > 0) {
+    await OwnerUsage.bulkWrite(rows.map(({ owner, files, bytes, tiers }) => ({
+      updateOne: { filter: { _id: owner }, update: { $set: { files, bytes, tiers } }, upsert: true }
+    })), { ordered: false });
+  }
+  await OwnerUsage.deleteMany({ _id: { $nin: rows.map(({ owner }) => owner) } });
+  
+  return rows.length;
+};
+
+/**
+ * Check whether storing one more file of a given size in a tier stays within the owner's quota
+ * @param {string|ObjectId|null} owner - Files without an owner are never limited
+ * @param {string} tier - Tier the file is written to
+ * @param {number} bytes - File size
+ * @param {Object} [options]
+ * @param {boolean} [options.newFile=true] - false for a file moving in from another tier
+ *   (only the tier limit applies, it is already counted in the totals)
+ * @returns {Promise<{status: number, error: string, details: Object}|null>} - null if allowed;
+ *   otherwise 413 if the file alone exceeds a limit, 507 if the owner has no room left for it
+ */
+export const checkQuota = async (owner, tier, bytes, { newFile = true } = {}) => {
+  if (!owner) return null;
+  
+  const [user, usage] = await Promise.all([User.findById(owner).lean(), getOwnerUsage(owner)]);
+  const quota = resolveQuota(user);
+  
+  const limits = [
+    { scope: `tierBytes.${tier}`, limit: quota.tierBytes[tier], used: usage.tiers[tier].bytes, requested: bytes }
+  ];
+  if (newFile) {
+    limits.unshift(
+      { scope: 'files', limit: quota.files, used: usage.files, requested: 1 },
+      { scope: 'totalBytes', limit: quota.totalBytes, used: usage.bytes, requested: bytes }
+    );
+  }
+  
+  for (const { scope, limit, used, requested } of limits) {
+    if (limit === null || used + requested <= limit) continue;
+    
+    const tooLarge = scope !== 'files' && requested > limit;
+    return {
+      status: tooLarge ? 413 : 507,
+      error: tooLarge ? 'File exceeds the storage quota' : 'Storage quota exceeded',
+      details: { quota: scope, limit, used, requested }
+    };
+  }
+  
+  return null;
+};
+
+/**
+ * Usage and quota of one owner
+ * @param {string|ObjectId} owner
+ * @returns {Promise<Object>} - { owner, username, quota, usage, exceeded: [scope, ...] }
+ */
+export const getUsageReport = async (owner) => {
+  const [user, usage] = await Promise.all([User.findById(owner).lean(), getOwnerUsage(owner)]);
+  return formatUsageReport(owner, user, usage);
+};
+
+/**
+ * Build a usage report from an owner's user and usage
+ */
+const formatUsageReport = (owner, user, usage) => {
+  const quota = resolveQuota(user);
+  const exceeded = [];
+  
+  if (quota.files !== null && usage.files > quota.files) exceeded.push('files');
+  if (quota.totalBytes !== null && usage.bytes > quota.totalBytes) exceeded.push('totalBytes');
+  for (const tier of TIER_ORDER) {
+    if (quota.tierBytes[tier] !== null && usage.tiers[tier].bytes > quota.tierBytes[tier]) {
+      exceeded.push(`tierBytes.${tier}`);
+    }
+  }
+  
+  return {
+    owner,
+    username: user?.username || null,
+    quota,
+    usage,
+    exceeded
+  };
+};
+
+/**
+ * Usage and quota of every owner with stored files, largest first
+ * @returns {Promise<Array>}
+ */
+export const listUsageReports = async () => {
+  const usages = await OwnerUsage.find({}).sort({ bytes: -1 }).lean();
+  const users = await User.find({ _id: { $in: usages.map(({ _id }) => _id) } }).lean();
+  const usersById = new Map(users.map((user) => [user._id.toString(), user]));
+  
+  return usages.map(({ _id, files, bytes, tiers }) => formatUsageReport(
+    _id,
+    usersById.get(_id.toString()) || null,
+    { files, bytes, tiers: { ...emptyUsage().tiers, ...tiers } }
+  ));
+};
+
+/**
+ * Remaining room per owner in a tier, for owners with a limit on it
+ * @param {string} tier
+ * @returns {Promise<Map<string, number>>} - owner ID -> bytes left (negative when over quota)
+ */
+export const getTierHeadroom = async (tier) => {
+  const headroom = new Map();
+  const usages = await OwnerUsage.find({}, { [`tiers.${tier}`]: 1 }).lean();
+  const users = await User.find({ _id: { $in: usages.map(({ _id }) => _id) } }).lean();
+  const usersById = new Map(users.map((user) => [user._id.toString(), user]));
+  
+  for (const usage of usages) {
+    const owner = usage._id.toString();
+    const limit = resolveQuota(usersById.get(owner) || null).tierBytes[tier];
+    if (limit !== null) {
+      headroom.set(owner, limit - (usage.tiers?.[tier]?.bytes || 0));
+    }
+  }
+  
+  return headroom;
+};
+
+/**
+ * Files to demote because their owner is over the HOT quota: each such owner's least
+ * recently accessed idle HOT files, until enough bytes leave HOT to get back under the quota
+ * @returns {Promise<Array>} - [{ file, currentTier, targetTier, reason }]
+ */
+export const getQuotaDemotions = async () => {
+  const headroom = await getTierHeadroom('HOT');
+  const HotModel = getFileModelByTier('HOT');
+  const demotions = [];
+  
+  for (const [owner, room] of headroom) {
+    if (room >= 0) continue;
+    
+    const excess = -room;
+    let freed = 0;
+    const files = HotModel.find({ owner, migrationStatus: 'IDLE', isLocked: false })
+      .sort({ lastAccessDate: 1 })
+      .cursor();
+    
+    for await (const file of files) {
+      demotions.push({
+        file,
+        currentTier: 'HOT',
+        targetTier: QUOTA_DEMOTION_TARGET,
+        reason: `Owner is ${excess} bytes over the HOT quota; least recently accessed file`
+      });
+      freed += file.size;
+      if (freed >= excess) break;
+    }
+  }
+  
+  return demotions;
+};
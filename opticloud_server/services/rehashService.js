@@ -0,0 +1,155 @@
+import Blob from '../models/Blob.js';
+import { getAllFileModels, getFileModelByTier, TIER_ORDER } from '../models/File.js';
+import { getHashAlgorithm, getChecksumAlgorithm } from '../utils/hashUtils.js';
+import { hashFileContentWith } from './storageService.js';
+
+/**
+ * Rehash Service - Moves stored checksums to the configured algorithm (HASH_ALGORITHM)
+ *
+ * Data is read once and hashed with both its recorded algorithm and the configured one.
+ * The new checksum only replaces the old one while the old one still matches the data,
+ * so a corrupted object never gets a fresh checksum that would vouch for it. Blobs are
+ * rehashed together with the files referencing them; files without a blob one by one.
+ * Encrypted or compressed data is decoded for this, and its storedChecksum is rehashed as well.
+ */
+
+const DEFAULT_BATCH_SIZE = 50;
+
+/**
+ * Objects rehashed per run
+ * @returns {number} - REHASH_BATCH_SIZE, default 50
+ */
+export const getRehashBatchSize = () => {
+  return Number(process.env.REHASH_BATCH_SIZE) || DEFAULT_BATCH_SIZE;
+};
+
+/**
+ * Hash a File or Blob document's data with its recorded algorithm and the target one
+ * @param {Object} doc - File or Blob document
+ * @param {string} tier - Tier the data lives in
+ * @param {string} algorithm - Target algorithm
+ * @returns {Promise<{checksum?: string, storedChecksum?: string|null, mismatch?: string}>} -
+ *   New checksums, or the recalculated old one if it no longer matches the recorded checksum
+ */
+const rehashData = async (doc, tier, algorithm) => {
+  const previous = getChecksumAlgorithm(doc);
+  const { content, stored } = await hashFileContentWith(doc, tier, [previous, algorithm]);
+  
+  if (doc.checksum && content[previous] !== doc.checksum) {
+    return { mismatch: content[previous] };
+  }
+  return { checksum: content[algorithm], storedChecksum: stored ? stored[algorithm] : null };
+};
+
+/**
+ * Rehash a blob and the unlocked files referencing it
+ * @param {Object} blob - Blob document
+ * @param {string} algorithm - Target algorithm
+ * @returns {Promise<string>} - 'rehashed', 'mismatch' or 'skipped' (changed meanwhile)
+ */
+const rehashBlob = async (blob, algorithm) => {
+  const result = await rehashData(blob, blob.tier, algorithm);
+  if (result.mismatch) {
+    console.error(`[Rehash] Blob ${blob._id} in ${blob.tier} no longer matches its ${getChecksumAlgorithm(blob)} checksum ${blob.checksum} (data hashes to ${result.mismatch}); left as is`);
+    return 'mismatch';
+  }
+  
+  const update = { checksum: result.checksum, checksumAlgorithm: algorithm, storedChecksum: result.storedChecksum };
+  const { modifiedCount } = await Blob.updateOne({ _id: blob._id, checksum: blob.checksum }, update);
+  if (modifiedCount === 0) return 'skipped';
+  
+  // Locked files are mid-migration and keep their checksum; they are picked up on their own later
+  await getFileModelByTier(blob.tier).updateMany({ blobId: blob._id, checksum: blob.checksum, isLocked: false }, update);
+  return 'rehashed';
+};
+
+/**
+ * Rehash a file whose data is not shared through a blob (or whose blob is already done)
+ * @param {Object} file - File document
+ * @param {string} tier - Tier the document lives in
+ * @param {string} algorithm - Target algorithm
+ * @returns {Promise<string>} - 'rehashed', 'mismatch' or 'skipped' (changed meanwhile)
+ */
+const rehashFile = async (file, tier, algorithm) => {
+  const result = await rehashData(file, tier, algorithm);
+  if (result.mismatch) {
+    console.error(`[Rehash] ${file.fileName} (${file._id}) in ${tier} no longer matches its ${getChecksumAlgorithm(file)} checksum ${file.checksum} (data hashes to ${result.mismatch}); left as is`);
+    return 'mismatch';
+  }
+  
+  const { modifiedCount } = await getFileModelByTier(tier).updateOne(
+    { _id: file._id, checksum: file.checksum || null, isLocked: false },
+    { checksum: result.checksum, checksumAlgorithm: algorithm, storedChecksum: result.storedChecksum }
+  );
+  return modifiedCount > 0 ? 'rehashed' : 'skipped';
+};
+
+/**
+ * Rehash one batch of blobs and files whose checksum uses another algorithm than
+ * the configured one
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Objects to hash (default REHASH_BATCH_SIZE)
+ * @returns {Promise<{algorithm: string, blobs: number, files: number, mismatches: number}>}
+ */
+export const rehashChecksums = async ({ limit = getRehashBatchSize() } = {}) => {
+  const algorithm = getHashAlgorithm();
+  const stale = { $ne: algorithm };
+  const result = { algorithm, blobs: 0, files: 0, mismatches: 0 };
+  let budget = limit;
+  
+  // Corrupted blobs keep their checksum until the scrub job has repaired them
+  const blobs = await Blob.find({ checksumAlgorithm: stale, refCount: { $gt: 0 }, corruptedAt: null }).limit(budget);
+  for (const blob of blobs) {
+    budget--;
+    const outcome = await rehashBlob(blob, algorithm).catch((error) => {
+      console.error(`[Rehash] Failed to rehash blob ${blob._id} in ${blob.tier}:`, error.message);
+    });
+    if (outcome === 'rehashed') result.blobs++;
+    if (outcome === 'mismatch') result.mismatches++;
+  }
+  
+  const allModels = getAllFileModels();
+  for (let i = 0; i < allModels.length && budget > 0; i++) {
+    const tier = TIER_ORDER[i];
+    const cursor = allModels[i].find({ checksumAlgorithm: stale, isLocked: false, migrationStatus: 'IDLE' }).cursor();
+    
+    for await (const file of cursor) {
+      // Files sharing a blob that still has the old algorithm are rehashed with it
+      if (file.blobId) {
+        const blob = await Blob.findById(file.blobId, { checksumAlgorithm: 1 });
+        if (blob && getChecksumAlgorithm(blob) !== algorithm) continue;
+      }
+      
+      budget--;
+      const outcome = await rehashFile(file, tier, algorithm).catch((error) => {
+        console.error(`[Rehash] Failed to rehash ${file.fileName} (${file._id}) in ${tier}:`, error.message);
+      });
+      if (outcome === 'rehashed') result.files++;
+      if (outcome === 'mismatch') result.mismatches++;
+      
+      if (budget <= 0) break;
+    }
+    await cursor.close();
+  }
+  
+  return result;
+};
+
+/**
+ * Blobs and files whose checksum still uses another algorithm than the configured one
+ * @returns {Promise<{algorithm: string, pending: {blobs: number, files: number}}>}
+ */
+export const getRehashStatus = async () => {
+  const algorithm = getHashAlgorithm();
+  const stale = { checksumAlgorithm: { $ne: algorithm } };
+  
+  const [blobs, ...files] = await Promise.all([
+    Blob.countDocuments({ ...stale, refCount: { $gt: 0 } }),
+    ...getAllFileModels().map((model) => model.countDocuments(stale))
+  ]);
+  
+  return {
+    algorithm,
+    pending: { blobs, files: files.reduce((sum, count) => sum + count, 0) }
+  };
+};
@@ -0,0 +1,447 @@
+import mongoose from 'mongoose';
+import { pipeline } from 'stream/promises';
+import { Transform, Writable } from 'stream';
+import Blob from '../models/Blob.js';
+import ScrubFinding from '../models/ScrubFinding.js';
+import { getFileModelByTier, TIER_ORDER } from '../models/File.js';
+import { getTierBackend } from '../config/storage.js';
+import { createHashTransform, getChecksumAlgorithm, COLLISION_RESISTANT_HASH_ALGORITHMS } from '../utils/hashUtils.js';
+import { streamFileData, statFileData, writeFileStream, deleteFileData, getStoredChecksum, getStorageFormat } from './storageService.js';
+
+/**
+ * Scrub Service - Periodically reads stored data back and checks it against its checksum
+ *
+ * Every blob (and every file stored before deduplication) is re-verified once per its
+ * tier's interval, oldest scrub first, with reads throttled to a bytes/sec budget.
+ * Encrypted or compressed data is checked as stored (storedChecksum), without decoding it.
+ * Data that is missing or no longer matches is restored from a replica with the same
+ * checksum (another blob, in any tier, or a file holding its own copy). Without one the
+ * data is flagged: its files get migrationStatus CORRUPTED, which keeps them from being
+ * migrated or downloaded until a later scrub finds the data intact again.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_BYTES_PER_SECOND = 5 * 1024 * 1024;
+const DEFAULT_INTERVAL_DAYS = { HOT: 7, WARM: 14, COLD: 30 };
+
+// A run stops starting new objects after this long, well before the next one is due
+const RUN_DURATION_MS = 4 * 60 * 1000;
+
+// Due objects fetched per tier and run
+const BATCH_SIZE = 100;
+
+// Replicas tried before data is flagged as corrupted
+const MAX_REPAIR_SOURCES = 3;
+
+const REPORT_LIST_LIMIT = 100;
+
+/**
+ * Read a non-negative number from the environment
+ */
+const readSetting = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== '' && Number.isFinite(value) && value >= 0
+    ? value
+    : fallback;
+};
+
+/**
+ * Scrub settings
+ * @returns {{bytesPerSecond: number, intervalDays: Object}} - SCRUB_BYTES_PER_SECOND
+ *   (default 5 MiB/s, 0: unthrottled) and SCRUB_INTERVAL_DAYS_<TIER> (default HOT 7,
+ *   WARM 14, COLD 30; 0: tier not scrubbed)
+ */
+export const getScrubSettings = () => ({
+  bytesPerSecond: readSetting('SCRUB_BYTES_PER_SECOND', DEFAULT_BYTES_PER_SECOND),
+  intervalDays: Object.fromEntries(TIER_ORDER.map((tier) => [
+    tier,
+    readSetting(`SCRUB_INTERVAL_DAYS_${tier}`, DEFAULT_INTERVAL_DAYS[tier])
+  ]))
+});
+
+/**
+ * Create the reader of a scrub run: every stream it opens holds chunks back until the
+ * bytes read so far in the run fit the budget
+ * @param {number} bytesPerSecond - 0 for no limit
+ * @returns {{read: Function, getBytes: Function}}
+ */
+const createPacedReader = (bytesPerSecond) => {
+  const startedAt = Date.now();
+  let bytes = 0;
+  
+  const read = (doc, tier) => {
+    const source = streamFileData(doc, tier);
+    const paced = new Transform({
+      transform(chunk, encoding, callback) {
+        bytes += chunk.length;
+        const wait = bytesPerSecond > 0 ? startedAt + (bytes / bytesPerSecond) * 1000 - Date.now() : 0;
+        if (wait > 0) {
+          setTimeout(() => callback(null, chunk), wait);
+        } else {
+          callback(null, chunk);
+        }
+      }
+    });
+    source.on('error', (error) => paced.destroy(error));
+    return source.pipe(paced);
+  };
+  
+  return { read, getBytes: () => bytes };
+};
+
+/**
+ * Check a File or Blob document's data as stored against its checksum
+ * @returns {Promise<{reason: string, actualChecksum: string|null}|null>} - null if intact
+ */
+const checkData = async (doc, tier, reader) => {
+  if (!(await statFileData(doc, tier))) {
+    return { reason: 'missing', actualChecksum: null };
+  }
+  
+  const hasher = createHashTransform(getChecksumAlgorithm(doc));
+  const discard = new Writable({ write: (chunk, encoding, callback) => callback() });
+  await pipeline(reader.read(doc, tier), hasher.stream, discard);
+  
+  const actualChecksum = hasher.getHash();
+  return actualChecksum === getStoredChecksum(doc) ? null : { reason: 'checksum_mismatch', actualChecksum };
+};
+
+/**
+ * Find intact copies of some data: other blobs with the same checksum and size in any
+ * tier, and files stored before deduplication. Like deduplication, this trusts only
+ * collision-resistant checksums: data hashed with MD5 has no replicas.
+ * @param {Object} doc - Blob or File document whose data is damaged
+ * @param {Object} exclude - { blobId } or { fileId } of the damaged copy itself
+ * @returns {Promise<Array<{doc: Object, tier: string, blobId: ObjectId|null, fileId: ObjectId|null}>>}
+ */
+const findReplicas = async (doc, exclude) => {
+  const algorithm = getChecksumAlgorithm(doc);
+  if (!COLLISION_RESISTANT_HASH_ALGORITHMS.includes(algorithm)) {
+    return [];
+  }
+  
+  const blobs = await Blob.find({
+    _id: { $ne: exclude.blobId },
+    checksum: doc.checksum,
+    checksumAlgorithm: algorithm,
+    size: doc.size,
+    refCount: { $gt: 0 },
+    corruptedAt: null
+  }).limit(MAX_REPAIR_SOURCES);
+  const replicas = blobs.map((blob) => ({ doc: blob, tier: blob.tier, blobId: blob._id, fileId: null }));
+  
+  for (const tier of TIER_ORDER) {
+    if (replicas.length >= MAX_REPAIR_SOURCES) break;
+    
+    const files = await getFileModelByTier(tier).find({
+      _id: { $ne: exclude.fileId },
+      blobId: null,
+      checksum: doc.checksum,
+      checksumAlgorithm: algorithm,
+      size: doc.size,
+      corruption: null,
+      isLocked: false
+    }).limit(MAX_REPAIR_SOURCES - replicas.length);
+    replicas.push(...files.map((file) => ({ doc: file, tier, blobId: null, fileId: file._id })));
+  }
+  
+  return replicas;
+};
+
+/**
+ * Copy intact data from a replica to a new key in the damaged copy's tier. The data is
+ * copied as stored, so the damaged copy takes over the replica's storage format
+ * (its own encryption or compression, for instance).
+ * @returns {Promise<{location: Object, replica: Object}|null>} - Where the verified copy
+ *   was written (with its storage format) and where it came from, or null if no replica
+ *   matched the checksum
+ */
+const restoreFromReplica = async (doc, tier, exclude, reader) => {
+  for (const replica of await findReplicas(doc, exclude)) {
+    const location = {
+      _id: doc._id,
+      storageBackend: getTierBackend(tier),
+      storageKey: new mongoose.Types.ObjectId().toString(),
+      ...getStorageFormat(replica.doc)
+    };
+    const expected = getStoredChecksum(replica.doc);
+    
+    try {
+      const copied = await writeFileStream(location, tier, reader.read(replica.doc, replica.tier), { algorithm: getChecksumAlgorithm(doc), encrypt: false });
+      if (copied.checksum === expected) {
+        return { location, replica };
+      }
+      console.error(`[Scrub] Replica ${replica.blobId ? `blob ${replica.blobId}` : `file ${replica.fileId}`} in ${replica.tier} does not match ${expected} either (${copied.checksum})`);
+    } catch (error) {
+      console.error(`[Scrub] Failed to copy replica ${replica.blobId ? `blob ${replica.blobId}` : `file ${replica.fileId}`} from ${replica.tier}:`, error.message);
+    }
+    
+    await deleteFileData(location, tier).catch(() => {});
+  }
+  return null;
+};
+
+/**
+ * Record a scrub finding (failures are only logged)
+ */
+const recordFinding = async (doc, tier, { fileIds, fileName }, problem, restored) => {
+  await ScrubFinding.create({
+    tier,
+    blobId: doc instanceof Blob ? doc._id : null,
+    fileIds,
+    fileName,
+    size: doc.size,
+    checksum: doc.checksum,
+    checksumAlgorithm: getChecksumAlgorithm(doc),
+    actualChecksum: problem.actualChecksum,
+    reason: problem.reason,
+    outcome: restored ? 'REPAIRED' : 'CORRUPTED',
+    repairedFrom: restored
+      ? { tier: restored.replica.tier, blobId: restored.replica.blobId, fileId: restored.replica.fileId }
+      : undefined
+  }).catch((error) => {
+    console.error(`[Scrub] Failed to record finding for ${doc._id} in ${tier}:`, error.message);
+  });
+};
+
+/**
+ * Delete the damaged data a repair replaced (failures are only logged)
+ */
+const deleteReplacedData = async (doc, tier) => {
+  await deleteFileData(doc, tier).catch((error) => {
+    console.error(`[Scrub] Failed to delete replaced data of ${doc._id} in ${tier}:`, error.message);
+  });
+};
+
+/**
+ * Scrub a blob and update the files referencing it
+ * @param {Object} blob - Blob document
+ * @param {Object} reader - Paced reader of the run
+ * @returns {Promise<string>} - 'verified', 'repaired', 'corrupted' or 'skipped' (changed meanwhile)
+ */
+const scrubBlob = async (blob, reader) => {
+  const Model = getFileModelByTier(blob.tier);
+  const problem = await checkData(blob, blob.tier, reader);
+  const now = new Date();
+  
+  // Files of a blob whose data is intact again can be migrated and downloaded
+  const markFilesIntact = async (location = {}) => {
+    await Model.updateMany({ blobId: blob._id }, { ...location, lastVerifiedAt: now, lastScrubbedAt: now, corruption: null });
+    await Model.updateMany({ blobId: blob._id, migrationStatus: 'CORRUPTED' }, { migrationStatus: 'IDLE' });
+  };
+  
+  if (!problem) {
+    await Blob.updateOne({ _id: blob._id }, { lastVerifiedAt: now, lastScrubbedAt: now, corruptedAt: null, corruption: null });
+    await markFilesIntact();
+    return 'verified';
+  }
+  
+  console.error(`[Scrub] Blob ${blob._id} in ${blob.tier} is damaged (${problem.reason}${problem.actualChecksum ? `, data hashes to ${problem.actualChecksum}` : ''})`);
+  const files = await Model.find({ blobId: blob._id }, { fileName: 1 });
+  const affected = { fileIds: files.map((file) => file._id), fileName: files[0]?.fileName || null };
+  
+  const restored = await restoreFromReplica(blob, blob.tier, { blobId: blob._id }, reader);
+  if (restored) {
+    const { _id, ...location } = restored.location; // Backend, key and storage format
+    const { modifiedCount } = await Blob.updateOne(
+      { _id: blob._id, storageKey: blob.storageKey, refCount: { $gt: 0 } },
+      { ...location, lastVerifiedAt: now, lastScrubbedAt: now, corruptedAt: null, corruption: null }
+    );
+    if (modifiedCount === 0) {
+      await deleteFileData(restored.location, blob.tier).catch(() => {});
+      return 'skipped';
+    }
+    
+    await markFilesIntact(location);
+    await deleteReplacedData(blob, blob.tier);
+    await recordFinding(blob, blob.tier, affected, problem, restored);
+    console.log(`[Scrub] Repaired blob ${blob._id} in ${blob.tier} from ${restored.replica.tier} (${affected.fileIds.length} files)`);
+    return 'repaired';
+  }
+  
+  await Blob.updateOne({ _id: blob._id }, { lastScrubbedAt: now, corruptedAt: blob.corruptedAt || now, corruption: problem.reason });
+  await Model.updateMany({ blobId: blob._id }, { lastScrubbedAt: now, corruption: problem.reason });
+  // Files being migrated keep their status; the migration fails verification on its own
+  await Model.updateMany({ blobId: blob._id, isLocked: false }, { migrationStatus: 'CORRUPTED' });
+  if (!blob.corruptedAt) {
+    await recordFinding(blob, blob.tier, affected, problem, null);
+  }
+  console.error(`[Scrub] No intact replica of blob ${blob._id} in ${blob.tier}; ${affected.fileIds.length} files flagged as corrupted`);
+  return 'corrupted';
+};
+
+/**
+ * Scrub a file stored before deduplication (holding its own copy of the data)
+ * @param {Object} file - File document
+ * @param {string} tier - Tier the document lives in
+ * @param {Object} reader - Paced reader of the run
+ * @returns {Promise<string>} - 'verified', 'repaired', 'corrupted' or 'skipped' (changed meanwhile)
+ */
+const scrubFile = async (file, tier, reader) => {
+  const Model = getFileModelByTier(tier);
+  const problem = await checkData(file, tier, reader);
+  const now = new Date();
+  const unchanged = { _id: file._id, checksum: file.checksum, isLocked: false };
+  const intact = { lastVerifiedAt: now, lastScrubbedAt: now, corruption: null };
+  const status = file.migrationStatus === 'CORRUPTED' ? { migrationStatus: 'IDLE' } : {};
+  
+  if (!problem) {
+    await Model.updateOne(unchanged, { ...intact, ...status });
+    return 'verified';
+  }
+  
+  console.error(`[Scrub] ${file.fileName} (${file._id}) in ${tier} is damaged (${problem.reason}${problem.actualChecksum ? `, data hashes to ${problem.actualChecksum}` : ''})`);
+  const affected = { fileIds: [file._id], fileName: file.fileName };
+  
+  const restored = await restoreFromReplica(file, tier, { fileId: file._id }, reader);
+  if (restored) {
+    const { _id, ...location } = restored.location; // Backend, key and storage format
+    const { modifiedCount } = await Model.updateOne(unchanged, { ...location, ...intact, ...status });
+    if (modifiedCount === 0) {
+      await deleteFileData(restored.location, tier).catch(() => {});
+      return 'skipped';
+    }
+    
+    await deleteReplacedData(file, tier);
+    await recordFinding(file, tier, affected, problem, restored);
+    console.log(`[Scrub] Repaired ${file.fileName} (${file._id}) in ${tier} from ${restored.replica.tier}`);
+    return 'repaired';
+  }
+  
+  await Model.updateOne(unchanged, { lastScrubbedAt: now, corruption: problem.reason, migrationStatus: 'CORRUPTED' });
+  if (!file.corruption) {
+    await recordFinding(file, tier, affected, problem, null);
+  }
+  console.error(`[Scrub] No intact replica of ${file.fileName} (${file._id}) in ${tier}; flagged as corrupted`);
+  return 'corrupted';
+};
+
+/**
+ * Scrub the objects that are due, alternating between tiers so each gets its share of
+ * the run. Objects whose scrub fails (e.g. a storage error) are retried next run.
+ * @param {Object} [options]
+ * @param {number} [options.durationMs] - Stop starting new objects after this long
+ * @returns {Promise<{verified: number, repaired: number, corrupted: number, failed: number, bytes: number}>}
+ */
+export const scrubStoredData = async ({ durationMs = RUN_DURATION_MS } = {}) => {
+  const deadline = Date.now() + durationMs;
+  const { bytesPerSecond, intervalDays } = getScrubSettings();
+  const reader = createPacedReader(bytesPerSecond);
+  const result = { verified: 0, repaired: 0, corrupted: 0, failed: 0, bytes: 0 };
+  
+  const queues = [];
+  for (const tier of TIER_ORDER) {
+    if (intervalDays[tier] <= 0) continue;
+    
+    // Never scrubbed (null) or not within the interval
+    const due = { $not: { $gte: new Date(Date.now() - intervalDays[tier] * DAY_MS) } };
+    const [blobs, files] = await Promise.all([
+      Blob.find({ tier, refCount: { $gt: 0 }, lastScrubbedAt: due }).sort({ lastScrubbedAt: 1 }).limit(BATCH_SIZE),
+      getFileModelByTier(tier).find({ blobId: null, checksum: { $ne: null }, isLocked: false, lastScrubbedAt: due })
+        .sort({ lastScrubbedAt: 1 }).limit(BATCH_SIZE)
+    ]);
+    
+    queues.push([
+      ...blobs.map((blob) => ({ label: `blob ${blob._id} in ${tier}`, scrub: () => scrubBlob(blob, reader) })),
+      ...files.map((file) => ({ label: `${file.fileName} (${file._id}) in ${tier}`, scrub: () => scrubFile(file, tier, reader) }))
+    ]);
+  }
+  
+  const rounds = Math.max(0, ...queues.map((queue) => queue.length));
+  for (let round = 0; round < rounds && Date.now() < deadline; round++) {
+    for (const queue of queues) {
+      if (round >= queue.length || Date.now() >= deadline) continue;
+      
+      const { label, scrub } = queue[round];
+      const outcome = await scrub().catch((error) => {
+        console.error(`[Scrub] Failed to scrub ${label}:`, error.message);
+        return 'failed';
+      });
+      if (outcome in result) result[outcome]++;
+    }
+  }
+  
+  result.bytes = reader.getBytes();
+  return result;
+};
+
+/**
+ * $group stage summarizing scrubbed objects against an interval cutoff
+ * @param {string} corruptedField - Field set while an object is corrupted
+ * @param {Date} cutoff - Scrubs before this are overdue
+ */
+const summaryGroup = (corruptedField, cutoff) => {
+  const field = (name) => ({ $ifNull: [`$${name}`, null] });
+  const count = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+  
+  return {
+    $group: {
+      _id: null,
+      objects: { $sum: 1 },
+      bytes: { $sum: '$size' },
+      verified: count({ $gte: [field('lastVerifiedAt'), cutoff] }),
+      neverScrubbed: count({ $eq: [field('lastScrubbedAt'), null] }),
+      overdue: count({ $and: [{ $ne: [field('lastScrubbedAt'), null] }, { $lt: [field('lastScrubbedAt'), cutoff] }] }),
+      corrupted: count({ $ne: [field(corruptedField), null] }),
+      oldestScrubAt: { $min: '$lastScrubbedAt' }
+    }
+  };
+};
+
+/**
+ * Scrub report: coverage per tier (blobs and files stored before deduplication), the
+ * files currently flagged as corrupted and the most recent findings
+ * @returns {Promise<Object>} - { settings, totals, byTier, corruptedFiles, findings }
+ */
+export const getScrubReport = async () => {
+  const settings = getScrubSettings();
+  const counters = ['objects', 'bytes', 'verified', 'neverScrubbed', 'overdue', 'corrupted'];
+  const totals = Object.fromEntries(counters.map((counter) => [counter, 0]));
+  const byTier = {};
+  const corruptedFiles = { total: 0, files: [] };
+  
+  for (const tier of TIER_ORDER) {
+    const Model = getFileModelByTier(tier);
+    const cutoff = new Date(Date.now() - settings.intervalDays[tier] * DAY_MS);
+    
+    const [blobRows, fileRows, corruptedCount, corrupted] = await Promise.all([
+      Blob.aggregate([{ $match: { tier, refCount: { $gt: 0 } } }, summaryGroup('corruptedAt', cutoff)]),
+      Model.aggregate([{ $match: { blobId: null, checksum: { $ne: null } } }, summaryGroup('corruption', cutoff)]),
+      Model.countDocuments({ corruption: { $ne: null } }),
+      Model.find({ corruption: { $ne: null } })
+        .select('fileName size owner blobId checksum checksumAlgorithm corruption migrationStatus lastScrubbedAt lastVerifiedAt')
+        .limit(REPORT_LIST_LIMIT)
+    ]);
+    
+    const rows = [...blobRows, ...fileRows];
+    const summary = { intervalDays: settings.intervalDays[tier] };
+    for (const counter of counters) {
+      summary[counter] = rows.reduce((sum, row) => sum + row[counter], 0);
+      totals[counter] += summary[counter];
+    }
+    const oldest = rows.map((row) => row.oldestScrubAt).filter(Boolean).sort((a, b) => a - b)[0];
+    summary.oldestScrubAt = oldest || null;
+    byTier[tier] = summary;
+    
+    corruptedFiles.total += corruptedCount;
+    corruptedFiles.files.push(...corrupted.map((file) => ({
+      id: file._id,
+      fileName: file.fileName,
+      tier,
+      size: file.size,
+      owner: file.owner,
+      blobId: file.blobId,
+      checksum: file.checksum,
+      checksumAlgorithm: getChecksumAlgorithm(file),
+      corruption: file.corruption,
+      migrationStatus: file.migrationStatus,
+      lastScrubbedAt: file.lastScrubbedAt,
+      lastVerifiedAt: file.lastVerifiedAt
+    })));
+  }
+  corruptedFiles.files = corruptedFiles.files.slice(0, REPORT_LIST_LIMIT);
+  
+  const findings = await ScrubFinding.find().sort({ createdAt: -1 }).limit(REPORT_LIST_LIMIT);
+  
+  return { settings, totals, byTier, corruptedFiles, findings };
+};
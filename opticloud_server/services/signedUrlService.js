@@ -0,0 +1,151 @@
+import crypto from 'crypto';
+import SignedUrlUse from '../models/SignedUrlUse.js';
+
+/**
+ * Signed URL Service - Time-limited download links that need no credentials
+ *
+ * A signed URL carries its grant in the query string (file, expiry, disposition, optional
+ * client IP and single-use nonce, issuing user) plus an HMAC-SHA256 of those values keyed
+ * with SIGNED_URL_SECRET. Verifying it needs no database lookup; only single-use URLs
+ * record their nonce when consumed.
+ */
+
+export const SIGNED_URL_DISPOSITIONS = ['attachment', 'inline'];
+
+const DEFAULT_TTL_SECONDS = 15 * 60;
+const DEFAULT_MAX_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+let fallbackSecret = null;
+
+/**
+ * Secret URLs are signed with. Without SIGNED_URL_SECRET a random secret is used,
+ * so issued URLs stop working when the server restarts.
+ * @returns {string}
+ */
+const getSigningSecret = () => {
+  if (process.env.SIGNED_URL_SECRET) {
+    return process.env.SIGNED_URL_SECRET;
+  }
+  
+  if (!fallbackSecret) {
+    console.warn('[SignedURL] SIGNED_URL_SECRET is not set; using a random secret (signed URLs are invalidated on restart)');
+    fallbackSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return fallbackSecret;
+};
+
+/**
+ * Lifetime settings for signed URLs
+ * @returns {{defaultSeconds: number, maxSeconds: number}} - SIGNED_URL_TTL_SECONDS (default 900),
+ *   SIGNED_URL_MAX_TTL_SECONDS (default 7 days)
+ */
+export const getSignedUrlTtl = () => ({
+  defaultSeconds: Number(process.env.SIGNED_URL_TTL_SECONDS) || DEFAULT_TTL_SECONDS,
+  maxSeconds: Number(process.env.SIGNED_URL_MAX_TTL_SECONDS) || DEFAULT_MAX_TTL_SECONDS
+});
+
+/**
+ * HMAC of a grant's values, in a fixed order
+ */
+const signGrant = ({ fileId, expires, disposition, ip, nonce, issuedBy }) => {
+  const payload = [fileId, expires, disposition, ip || '', nonce || '', issuedBy || ''].join('\n');
+  return crypto.createHmac('sha256', getSigningSecret()).update(payload).digest('base64url');
+};
+
+/**
+ * Create the query string of a signed download URL
+ * @param {Object} grant
+ * @param {string} grant.fileId - Stable file ID
+ * @param {number} grant.expiresIn - Lifetime in seconds
+ * @param {string} [grant.disposition='attachment'] - 'attachment' or 'inline'
+ * @param {string} [grant.ip] - Only this client address may use the URL
+ * @param {boolean} [grant.singleUse=false] - The URL works for one download only
+ * @param {string} [grant.issuedBy] - User who issued the URL (for the audit log)
+ * @returns {{query: string, expiresAt: Date}}
+ */
+export const signDownload = ({ fileId, expiresIn, disposition = 'attachment', ip = null, singleUse = false, issuedBy = null }) => {
+  const grant = {
+    fileId: fileId.toString(),
+    expires: Math.floor(Date.now() / 1000) + Math.round(expiresIn),
+    disposition,
+    ip,
+    nonce: singleUse ? crypto.randomBytes(16).toString('hex') : null,
+    issuedBy: issuedBy ? issuedBy.toString() : null
+  };
+  
+  const params = new URLSearchParams({ expires: grant.expires, disposition });
+  if (grant.ip) params.set('ip', grant.ip);
+  if (grant.nonce) params.set('nonce', grant.nonce);
+  if (grant.issuedBy) params.set('by', grant.issuedBy);
+  params.set('signature', signGrant(grant));
+  
+  return { query: params.toString(), expiresAt: new Date(grant.expires * 1000) };
+};
+
+/**
+ * Check whether a request carries a signed URL
+ * @param {Object} query - req.query
+ * @returns {boolean}
+ */
+export const hasSignature = (query) => typeof query.signature === 'string';
+
+/**
+ * Verify a signed download URL
+ * @param {string} fileId - File ID from the URL path
+ * @param {Object} query - req.query
+ * @param {string} clientIp - req.ip
+ * @returns {{grant?: Object, error?: string}} - The verified grant, or why it was refused
+ */
+export const verifyDownloadSignature = (fileId, query, clientIp) => {
+  const grant = {
+    fileId,
+    expires: Number(query.expires),
+    disposition: query.disposition,
+    ip: query.ip || null,
+    nonce: query.nonce || null,
+    issuedBy: query.by || null
+  };
+  
+  if (!Number.isInteger(grant.expires) || !SIGNED_URL_DISPOSITIONS.includes(grant.disposition)) {
+    return { error: 'Malformed signed URL' };
+  }
+  
+  const expected = Buffer.from(signGrant(grant));
+  const actual = Buffer.from(String(query.signature));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { error: 'Invalid signature' };
+  }
+  
+  if (grant.expires * 1000 <= Date.now()) {
+    return { error: 'Signed URL has expired' };
+  }
+  if (grant.ip && grant.ip !== clientIp) {
+    return { error: 'Signed URL is bound to another client address' };
+  }
+  
+  return { grant };
+};
+
+/**
+ * Consume a signed URL: single-use URLs are marked used and refused afterwards
+ * @param {Object} grant - Verified grant
+ * @param {string} clientIp - Address downloading the file
+ * @returns {Promise<boolean>} - false if the single-use URL was already used
+ */
+export const consumeSignedDownload = async (grant, clientIp) => {
+  if (!grant.nonce) return true;
+  
+  try {
+    await SignedUrlUse.create({
+      _id: grant.nonce,
+      fileId: grant.fileId,
+      issuedBy: grant.issuedBy,
+      ip: clientIp || null,
+      expiresAt: new Date(grant.expires * 1000)
+    });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
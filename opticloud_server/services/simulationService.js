@@ -0,0 +1,121 @@
+import { getAllFileModels } from '../models/File.js';
+import { calculateMonthlyStorageCost, getMigrationFee } from '../config/pricing.js';
+import { getFilesForMigration, getActiveRules, getDecisionMode } from './decisionEngine.js';
+
+/**
+ * Simulation Service - "What-if" runs of the decision engine
+ * Evaluates a rule set against the current file set without modifying any document.
+ */
+
+const TIER_NAMES = ['HOT', 'WARM', 'COLD'];
+
+// Maximum number of individual moves listed in a simulation result
+const MAX_LISTED_MOVES = 100;
+
+/**
+ * Round a USD amount to cents
+ */
+const roundCost = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Sum file count and bytes currently stored in each tier
+ * @returns {Promise<Object>} - { HOT: { files, bytes }, WARM: ..., COLD: ... }
+ */
+const getTierUsage = async () => {
+  const allModels = getAllFileModels();
+  const usage = {};
+  
+  for (let i = 0; i < allModels.length; i++) {
+    const [totals] = await allModels[i].aggregate([
+      { $group: { _id: null, files: { $sum: 1 }, bytes: { $sum: '$size' } } }
+    ]);
+    usage[TIER_NAMES[i]] = { files: totals ? totals.files : 0, bytes: totals ? totals.bytes : 0 };
+  }
+  
+  return usage;
+};
+
+/**
+ * Monthly storage cost for each tier plus total
+ * @param {Object} usage - Output of getTierUsage
+ * @returns {Object} - { HOT, WARM, COLD, total } in USD
+ */
+const getStorageCosts = (usage) => {
+  const costs = {};
+  let total = 0;
+  
+  for (const tier of TIER_NAMES) {
+    costs[tier] = calculateMonthlyStorageCost(usage[tier].bytes, tier);
+    total += costs[tier];
+  }
+  
+  return {
+    ...Object.fromEntries(TIER_NAMES.map((tier) => [tier, roundCost(costs[tier])])),
+    total: roundCost(total)
+  };
+};
+
+/**
+ * Simulate a tiering pass
+ * @param {Object} [options]
+ * @param {Array} [options.rules] - Proposed enabled rules (default: the active rules)
+ * @param {Date} [options.now] - Simulated current date (default: now)
+ * @param {string} [options.mode] - Decision mode, 'threshold' or 'cost' (default: TIERING_DECISION_MODE)
+ * @returns {Promise<Object>} - Transitions, projected fines and storage costs
+ */
+export const simulateTiering = async ({ rules, now = new Date(), mode = getDecisionMode() } = {}) => {
+  const effectiveRules = rules || await getActiveRules();
+  const candidates = await getFilesForMigration(getAllFileModels(), { rules: effectiveRules, now, mode });
+  
+  // Aggregate moves per tier pair
+  const transitions = {};
+  for (const { file, currentTier, targetTier } of candidates) {
+    const key = `${currentTier}->${targetTier}`;
+    if (!transitions[key]) {
+      transitions[key] = { from: currentTier, to: targetTier, files: 0, bytes: 0, fees: 0 };
+    }
+    transitions[key].files += 1;
+    transitions[key].bytes += file.size;
+    transitions[key].fees += getMigrationFee(currentTier, targetTier);
+  }
+  
+  // Project tier usage after all moves
+  const currentUsage = await getTierUsage();
+  const projectedUsage = JSON.parse(JSON.stringify(currentUsage));
+  for (const { from, to, files, bytes } of Object.values(transitions)) {
+    projectedUsage[from].files -= files;
+    projectedUsage[from].bytes -= bytes;
+    projectedUsage[to].files += files;
+    projectedUsage[to].bytes += bytes;
+  }
+  
+  const currentCost = getStorageCosts(currentUsage);
+  const projectedCost = getStorageCosts(projectedUsage);
+  
+  return {
+    now,
+    mode,
+    rulesEvaluated: effectiveRules.length,
+    migrations: candidates.length,
+    bytesMoved: candidates.reduce((total, { file }) => total + file.size, 0),
+    projectedFines: roundCost(Object.values(transitions).reduce((total, { fees }) => total + fees, 0)),
+    transitions: Object.values(transitions).map((transition) => ({ ...transition, fees: roundCost(transition.fees) })),
+    usage: {
+      current: currentUsage,
+      projected: projectedUsage
+    },
+    monthlyStorageCost: {
+      current: currentCost,
+      projected: projectedCost,
+      change: roundCost(projectedCost.total - currentCost.total)
+    },
+    moves: candidates.slice(0, MAX_LISTED_MOVES).map(({ file, currentTier, targetTier, reason }) => ({
+      id: file._id,
+      fileName: file.fileName,
+      size: file.size,
+      from: currentTier,
+      to: targetTier,
+      reason
+    }))
+  };
+};
@@ -0,0 +1,336 @@
+import { pipeline } from 'stream/promises';
+import { Writable } from 'stream';
+import { getTierBackend } from '../config/storage.js';
+import { isEncryptionEnabled, getCurrentMasterKey, getMasterKey } from '../config/encryption.js';
+import { calculateStreamHash, calculateStreamHashes, createHashTransform, getHashAlgorithm, getChecksumAlgorithm } from '../utils/hashUtils.js';
+import {
+  CONTENT_CIPHER,
+  generateDataKey,
+  wrapDataKey,
+  unwrapDataKey,
+  getEncryptionInfo,
+  createEncryptTransform,
+  createDecryptTransform,
+  alignRange
+} from '../utils/encryptionUtils.js';
+import { createCompressTransform, createDecompressTransform } from '../utils/compressionUtils.js';
+import { createRangeTransform } from '../utils/rangeUtils.js';
+import localAdapter from './adapters/localAdapter.js';
+import gridfsAdapter from './adapters/gridfsAdapter.js';
+import mongoAdapter from './adapters/mongoAdapter.js';
+
+/**
+ * Storage Service - Routes file data to the storage adapter configured for each tier
+ *
+ * Every adapter implements the same interface:
+ *   put(tier, key, buffer), putStream(tier, key, readable), get(tier, key),
+ *   delete(tier, key), stat(tier, key), stream(tier, key, [range])
+ *
+ * File documents record which backend holds their data (storageBackend) and under which
+ * key (storageKey), so changing a tier's configured backend only affects new writes.
+ *
+ * New data is encrypted when a master key is configured (see config/encryption.js):
+ * each object under its own data key, stored wrapped with the document (encryption).
+ * Migrations may also compress data (compression, storedSize) following the target
+ * tier's policy (see getTierCompression); data is compressed before it is encrypted.
+ * streamFileData, hashFileData and statFileData work on the bytes as stored, which is
+ * all copies and integrity checks need (storedChecksum); openFileData decrypts and
+ * decompresses.
+ */
+
+const adapters = {
+  [localAdapter.name]: localAdapter,
+  [gridfsAdapter.name]: gridfsAdapter,
+  [mongoAdapter.name]: mongoAdapter
+};
+
+/**
+ * Get an adapter by backend name
+ * @param {string} backend - Backend name ('gridfs', 'fs', 'mongo')
+ * @returns {Object} - Storage adapter
+ */
+export const getAdapter = (backend) => {
+  const adapter = adapters[backend];
+  if (!adapter) {
+    throw new Error(`Unknown storage backend: ${backend}`);
+  }
+  return adapter;
+};
+
+/**
+ * Get the adapter that new data for a tier should be written to
+ * @param {string} tier - 'HOT', 'WARM' or 'COLD'
+ * @returns {Object} - Storage adapter
+ */
+export const getTierAdapter = (tier) => getAdapter(getTierBackend(tier));
+
+/**
+ * Resolve where a File document's data lives.
+ * Documents created before storage adapters existed have no storageBackend/storageKey
+ * and keep their data inline (legacy Mongo adapter, keyed by document ID).
+ * @param {Object} file - File document
+ * @returns {{adapter: Object, key: string}}
+ */
+const resolveLocation = (file) => ({
+  adapter: getAdapter(file.storageBackend || mongoAdapter.name),
+  key: file.storageKey || file._id.toString()
+});
+
+/**
+ * Checksum of a File or Blob document's data as stored (its checksum unless encrypted or
+ * compressed)
+ * @param {Object} doc - File or Blob document
+ * @returns {string|null}
+ */
+export const getStoredChecksum = (doc) => doc.storedChecksum || doc.checksum || null;
+
+/**
+ * How a File or Blob document's data is stored, to be copied along with the data or
+ * the location of shared data
+ * @param {Object} doc - File or Blob document
+ * @returns {{storedChecksum: string|null, encryption: Object|null, compression: string|null, storedSize: number|null}}
+ */
+export const getStorageFormat = (doc) => ({
+  storedChecksum: doc.storedChecksum || null,
+  encryption: getEncryptionInfo(doc),
+  compression: doc.compression || null,
+  storedSize: doc.compression ? doc.storedSize : null
+});
+
+/**
+ * Stream file data for a File document into storage, hashing it on the way through.
+ * The content may be compressed and then encrypted under a new data key on the way; the
+ * bytes as stored are hashed as well then.
+ * @param {Object} file - File document (storageBackend/storageKey already set)
+ * @param {string} tier - Tier the document lives in
+ * @param {import('stream').Readable} source - File contents
+ * @param {Object} [options]
+ * @param {string} [options.algorithm] - Checksum algorithm (default: the configured one)
+ * @param {Array<string>} [options.alsoHash] - Further algorithms to calculate in the same pass
+ * @param {boolean} [options.encrypt] - Encrypt the data (default: when a master key is
+ *   configured); pass false to copy data that is already stored as is
+ * @param {{algorithm: string, level: number}|null} [options.compression] - Compress the
+ *   data (see getTierCompression); default: stored uncompressed
+ * @returns {Promise<{size: number, checksum: string, checksumAlgorithm: string, digests: Object,
+ *   storedChecksum: string|null, encryption: Object|null, compression: string|null,
+ *   storedSize: number|null}>} - Bytes read, their checksum, the hash of every algorithm
+ *   calculated, and how the data is stored: checksum of the stored bytes, encryption
+ *   parameters, compression algorithm and compressed size (null when not applied)
+ */
+export const writeFileStream = async (file, tier, source, {
+  algorithm = getHashAlgorithm(), alsoHash = [], encrypt = isEncryptionEnabled(), compression = null
+} = {}) => {
+  const { adapter, key } = resolveLocation(file);
+  const hasher = createHashTransform([algorithm, ...alsoHash]);
+  
+  if (!encrypt && !compression) {
+    await Promise.all([
+      pipeline(source, hasher.stream),
+      adapter.putStream(tier, key, hasher.stream)
+    ]);
+    return {
+      size: hasher.getSize(),
+      checksum: hasher.getHash(),
+      checksumAlgorithm: algorithm,
+      digests: hasher.getHashes(),
+      storedChecksum: null,
+      encryption: null,
+      compression: null,
+      storedSize: null
+    };
+  }
+  
+  const masterKey = encrypt ? getCurrentMasterKey() : null;
+  const dataKey = encrypt ? generateDataKey() : null;
+  const cipher = encrypt ? createEncryptTransform(dataKey) : null;
+  const storedHasher = createHashTransform(algorithm);
+  await Promise.all([
+    pipeline(
+      source,
+      hasher.stream,
+      ...(compression ? [createCompressTransform(compression)] : []),
+      ...(cipher ? [cipher.stream] : []),
+      storedHasher.stream
+    ),
+    adapter.putStream(tier, key, storedHasher.stream)
+  ]);
+  return {
+    size: hasher.getSize(),
+    checksum: hasher.getHash(),
+    checksumAlgorithm: algorithm,
+    digests: hasher.getHashes(),
+    storedChecksum: storedHasher.getHash(),
+    encryption: encrypt ? {
+      algorithm: CONTENT_CIPHER,
+      keyId: masterKey.id,
+      wrappedKey: wrapDataKey(dataKey, masterKey.key),
+      ...cipher.getParams()
+    } : null,
+    compression: compression ? compression.algorithm : null,
+    storedSize: compression ? storedHasher.getSize() : null
+  };
+};
+
+/**
+ * Calculate the hash of a File document's data without loading it into memory
+ * @param {Object} file - File document
+ * @param {string} tier - Tier the document lives in
+ * @param {string} [algorithm] - Default: the algorithm the file's checksum was stored with
+ * @returns {Promise<string>} - Hash in hex format
+ */
+export const hashFileData = async (file, tier, algorithm = getChecksumAlgorithm(file)) => {
+  return calculateStreamHash(streamFileData(file, tier), algorithm);
+};
+
+/**
+ * Calculate several hashes of a File document's data in one pass
+ * @param {Object} file - File document
+ * @param {string} tier - Tier the document lives in
+ * @param {Array<string>} algorithms - Algorithms to calculate
+ * @returns {Promise<Object>} - Algorithm to hash in hex format
+ */
+export const hashFileDataWith = async (file, tier, algorithms) => {
+  return calculateStreamHashes(streamFileData(file, tier), algorithms);
+};
+
+/**
+ * Calculate several hashes of a File or Blob document's content, and of its data as
+ * stored if that differs (encrypted or compressed), in one pass
+ * @param {Object} doc - File or Blob document
+ * @param {string} tier - Tier the document lives in
+ * @param {Array<string>} algorithms - Algorithms to calculate
+ * @returns {Promise<{content: Object, stored: Object|null}>} - Algorithm to hash in hex format
+ */
+export const hashFileContentWith = async (doc, tier, algorithms) => {
+  const decoders = createDecodeStreams(doc);
+  if (decoders.length === 0) {
+    return { content: await hashFileDataWith(doc, tier, algorithms), stored: null };
+  }
+  
+  const storedHasher = createHashTransform(algorithms);
+  const contentHasher = createHashTransform(algorithms);
+  const discard = new Writable({ write: (chunk, encoding, callback) => callback() });
+  await pipeline(streamFileData(doc, tier), storedHasher.stream, ...decoders, contentHasher.stream, discard);
+  return { content: contentHasher.getHashes(), stored: storedHasher.getHashes() };
+};
+
+/**
+ * Read file data for a File document
+ * @param {Object} file - File document
+ * @param {string} tier - Tier the document lives in
+ * @returns {Promise<Buffer|null>} - File contents, or null if missing
+ */
+export const readFileData = async (file, tier) => {
+  const { adapter, key } = resolveLocation(file);
+  return adapter.get(tier, key);
+};
+
+/**
+ * Open a readable stream over a File document's data
+ * @param {Object} file - File document
+ * @param {string} tier - Tier the document lives in
+ * @param {{start: number, end: number}} [range] - Optional inclusive byte range
+ * @returns {import('stream').Readable}
+ */
+export const streamFileData = (file, tier, range) => {
+  const { adapter, key } = resolveLocation(file);
+  return adapter.stream(tier, key, range);
+};
+
+/**
+ * Create the transform decrypting a document's data
+ * @param {Object} doc - File or Blob document with encryption parameters
+ * @param {{start: number, end: number}} [range] - Plaintext range being read
+ * @returns {import('stream').Transform}
+ */
+const createDecryptStream = (doc, range) => {
+  const encryption = getEncryptionInfo(doc);
+  const dataKey = unwrapDataKey(encryption.wrappedKey, getMasterKey(encryption.keyId));
+  return createDecryptTransform(dataKey, encryption, range);
+};
+
+/**
+ * Create the transforms turning a whole document's data as stored back into its content
+ * @param {Object} doc - File or Blob document
+ * @param {Object} [options]
+ * @param {boolean} [options.decompress=true] - Decompress as well as decrypt
+ * @returns {Array<import('stream').Transform>} - Empty when the data is stored as is
+ */
+const createDecodeStreams = (doc, { decompress = true } = {}) => [
+  ...(getEncryptionInfo(doc) ? [createDecryptStream(doc)] : []),
+  ...(decompress && doc.compression ? [createDecompressTransform(doc.compression)] : [])
+];
+
+/**
+ * Pipe a stream through transforms, passing errors on to the last one
+ * @param {import('stream').Readable} source
+ * @param {Array<import('stream').Transform>} transforms
+ * @returns {import('stream').Readable}
+ */
+const pipeThrough = (source, transforms) => transforms.reduce((stream, transform) => {
+  stream.on('error', (error) => transform.destroy(error));
+  return stream.pipe(transform);
+}, source);
+
+/**
+ * Open a readable stream over a File document's content, decrypting and decompressing it
+ * if needed. A whole encrypted file is authenticated: the stream fails at the end if the
+ * data was tampered with. Compressed data cannot be read from an offset, so a range of
+ * it is decompressed from the start.
+ * @param {Object} file - File document
+ * @param {string} tier - Tier the document lives in
+ * @param {{start: number, end: number}} [range] - Optional inclusive byte range of the content
+ * @returns {import('stream').Readable}
+ */
+export const openFileData = (file, tier, range) => {
+  if (file.compression) {
+    const source = streamFileData(file, tier);
+    const decoders = createDecodeStreams(file);
+    if (!range) {
+      return pipeThrough(source, decoders);
+    }
+    
+    // Stop reading and decompressing once the end of the range has been passed on
+    const slice = createRangeTransform(range);
+    slice.once('end', () => [source, ...decoders].forEach((stream) => stream.destroy()));
+    return pipeThrough(source, [...decoders, slice]);
+  }
+  
+  if (!getEncryptionInfo(file)) {
+    return streamFileData(file, tier, range);
+  }
+  
+  return pipeThrough(streamFileData(file, tier, range && alignRange(range)), [createDecryptStream(file, range)]);
+};
+
+/**
+ * Open a readable stream over a compressed File document's data as compressed
+ * (decrypted if needed), to be sent with its Content-Encoding
+ * @param {Object} file - File document with compression
+ * @param {string} tier - Tier the document lives in
+ * @returns {import('stream').Readable}
+ */
+export const openCompressedFileData = (file, tier) => {
+  return pipeThrough(streamFileData(file, tier), createDecodeStreams(file, { decompress: false }));
+};
+
+/**
+ * Get stored size of a File document's data
+ * @param {Object} file - File document
+ * @param {string} tier - Tier the document lives in
+ * @returns {Promise<{size: number}|null>}
+ */
+export const statFileData = async (file, tier) => {
+  const { adapter, key } = resolveLocation(file);
+  return adapter.stat(tier, key);
+};
+
+/**
+ * Delete a File document's data
+ * @param {Object} file - File document
+ * @param {string} tier - Tier the document lives in
+ */
+export const deleteFileData = async (file, tier) => {
+  const { adapter, key } = resolveLocation(file);
+  await adapter.delete(tier, key);
+};
@@ -0,0 +1,125 @@
+import mongoose from 'mongoose';
+import { Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { UPLOAD_STAGING_AREA } from '../config/storage.js';
+import UploadSession from '../models/UploadSession.js';
+import { getAdapter } from './storageService.js';
+
+/**
+ * Upload Session Service - Staging of resumable upload chunks
+ * Each PATCH is stored as one part in the upload staging area of the backend the
+ * session was created on; finalize streams the parts back in order.
+ */
+
+const DEFAULT_SESSION_TTL_HOURS = 24;
+const DEFAULT_MAX_RESUMABLE_UPLOAD_SIZE = 10 * 1024 * 1024 * 1024; // 10GB
+
+/**
+ * How long a session may sit idle before it is garbage-collected
+ * @returns {number} - Milliseconds (UPLOAD_SESSION_TTL_HOURS, default 24h)
+ */
+export const getUploadSessionTtlMs = () => {
+  const hours = Number(process.env.UPLOAD_SESSION_TTL_HOURS) || DEFAULT_SESSION_TTL_HOURS;
+  return hours * 60 * 60 * 1000;
+};
+
+/**
+ * Largest file accepted through resumable uploads
+ * @returns {number} - Bytes (MAX_RESUMABLE_UPLOAD_SIZE, default 10GB)
+ */
+export const getMaxResumableUploadSize = () => {
+  return Number(process.env.MAX_RESUMABLE_UPLOAD_SIZE) || DEFAULT_MAX_RESUMABLE_UPLOAD_SIZE;
+};
+
+/**
+ * Stream one chunk into the staging area
+ * @param {Object} session - UploadSession document
+ * @param {import('stream').Readable} source - Chunk body
+ * @param {number} maxBytes - Bytes still allowed for this session
+ * @returns {Promise<{key: string, size: number}>} - Staged part
+ */
+export const stagePart = async (session, source, maxBytes) => {
+  const adapter = getAdapter(session.storageBackend);
+  const key = new mongoose.Types.ObjectId().toString();
+  let size = 0;
+  
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (size > maxBytes) {
+        const error = new Error(`Chunk exceeds the declared upload length by ${size - maxBytes} bytes`);
+        error.code = 'UPLOAD_LENGTH_EXCEEDED';
+        callback(error);
+        return;
+      }
+      callback(null, chunk);
+    }
+  });
+  
+  try {
+    await Promise.all([
+      pipeline(source, limiter),
+      adapter.putStream(UPLOAD_STAGING_AREA, key, limiter)
+    ]);
+  } catch (error) {
+    await adapter.delete(UPLOAD_STAGING_AREA, key).catch(() => {});
+    throw error;
+  }
+  
+  return { key, size };
+};
+
+/**
+ * Delete a staged part
+ * @param {Object} session - UploadSession document
+ * @param {string} key - Storage key of the part
+ */
+export const deletePart = async (session, key) => {
+  await getAdapter(session.storageBackend).delete(UPLOAD_STAGING_AREA, key);
+};
+
+/**
+ * Open a stream over all staged parts of a session, in offset order
+ * @param {Object} session - UploadSession document
+ * @returns {import('stream').Readable}
+ */
+export const openSessionStream = (session) => {
+  const adapter = getAdapter(session.storageBackend);
+  const parts = [...session.parts].sort((a, b) => a.offset - b.offset);
+  
+  return Readable.from((async function* () {
+    for (const part of parts) {
+      yield* adapter.stream(UPLOAD_STAGING_AREA, part.key);
+    }
+  })());
+};
+
+/**
+ * Delete a session together with its staged parts
+ * @param {Object} session - UploadSession document
+ */
+export const deleteUploadSession = async (session) => {
+  for (const part of session.parts) {
+    try {
+      await deletePart(session, part.key);
+    } catch (error) {
+      console.error(`[Uploads] Failed to delete staged part ${part.key} of session ${session._id}:`, error.message);
+    }
+  }
+  await UploadSession.deleteOne({ _id: session._id });
+};
+
+/**
+ * Garbage-collect abandoned sessions (past expiresAt)
+ * @returns {Promise<number>} - Number of sessions removed
+ */
+export const expireUploadSessions = async () => {
+  const expired = await UploadSession.find({ expiresAt: { $lt: new Date() } });
+  
+  for (const session of expired) {
+    console.log(`[Uploads] Removing abandoned upload session ${session._id} (${session.fileName}, ${session.offset}/${session.uploadLength} bytes)`);
+    await deleteUploadSession(session);
+  }
+  
+  return expired.length;
+};
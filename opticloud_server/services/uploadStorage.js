@@ -0,0 +1,124 @@
+import mongoose from 'mongoose';
+import { getTierBackend } from '../config/storage.js';
+import { getFileModelByTier } from '../models/File.js';
+import { writeFileStream, deleteFileData, getStorageFormat } from './storageService.js';
+import { storeBlob, releaseBlobRef } from './blobService.js';
+import { setFileTier } from './fileCatalog.js';
+import { adjustUsage } from './quotaService.js';
+
+/**
+ * Multer storage engine that streams uploaded files straight into a tier's
+ * storage backend, hashing them on the fly. Nothing is buffered in memory.
+ *
+ * The File document ID is generated up front and used as the storage key;
+ * req.file receives { id, storageBackend, storageKey, size, checksum, checksumAlgorithm, digests,
+ * storedChecksum, encryption }
+ * and the route creates the document with that ID once the data is stored. Hashes the
+ * client sent (req.expectedDigests) are calculated in the same pass, into digests.
+ */
+class TierStorage {
+  /**
+   * @param {string} tier - Tier new uploads are written to
+   */
+  constructor(tier) {
+    this.tier = tier;
+  }
+
+  _handleFile(req, file, cb) {
+    const id = new mongoose.Types.ObjectId();
+    const location = {
+      _id: id,
+      storageBackend: getTierBackend(this.tier),
+      storageKey: id.toString()
+    };
+
+    const alsoHash = Object.keys(req.expectedDigests || {});
+    writeFileStream(location, this.tier, file.stream, { alsoHash })
+      .then((written) => cb(null, { id, ...location, ...written }))
+      .catch((error) => {
+        deleteFileData(location, this.tier).catch(() => {});
+        cb(error);
+      });
+  }
+
+  _removeFile(req, file, cb) {
+    deleteFileData(file, this.tier)
+      .then(() => cb(null))
+      .catch(cb);
+  }
+}
+
+/**
+ * Create a storage engine for a tier
+ * @param {string} tier - 'HOT', 'WARM' or 'COLD'
+ * @returns {TierStorage}
+ */
+export const createTierStorage = (tier) => new TierStorage(tier);
+
+/**
+ * Normalize tags sent as an array or a comma-separated string
+ * @param {string|Array<string>|undefined} tags
+ * @returns {Array<string>} - Trimmed, de-duplicated, non-empty tags
+ */
+export const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return [...new Set(list.map((tag) => String(tag).trim()).filter(Boolean))];
+};
+
+/**
+ * Create the File document for data that has already been written to storage.
+ * The data is stored content-addressed first: if the tier already holds the same data,
+ * the document points at that blob and the new copy is deleted. The blob reference is
+ * dropped again if the document cannot be saved.
+ * @param {string} tier - Tier the data was written to
+ * @param {Object} stored - { id, fileName, contentType, size, checksum, checksumAlgorithm, storageBackend, storageKey,
+ *   storedChecksum, encryption, tags, owner }
+ * @returns {Promise<Object>} - Saved File document
+ */
+export const saveStoredFile = async (tier, stored) => {
+  let blob;
+  try {
+    blob = await storeBlob(tier, stored);
+  } catch (error) {
+    await deleteFileData({ _id: stored.id, storageBackend: stored.storageBackend, storageKey: stored.storageKey }, tier).catch(() => {});
+    throw error;
+  }
+
+  const Model = getFileModelByTier(tier);
+  const fileDoc = new Model({
+    _id: stored.id,
+    fileName: stored.fileName,
+    originalFileName: stored.fileName,
+    storageBackend: blob.storageBackend,
+    storageKey: blob.storageKey,
+    ...getStorageFormat(blob),
+    blobId: blob._id,
+    size: stored.size,
+    checksum: stored.checksum,
+    checksumAlgorithm: stored.checksumAlgorithm,
+    contentType: stored.contentType,
+    tags: stored.tags || [],
+    owner: stored.owner || null,
+    lastAccessDate: new Date(),
+    uploadDate: new Date()
+  });
+  
+  try {
+    await fileDoc.save();
+  } catch (error) {
+    // An unreferenced blob is reclaimed by the blob garbage collector
+    await releaseBlobRef(blob._id, fileDoc._id).catch(() => {});
+    throw error;
+  }
+  
+  // A missing catalog entry is recovered on first lookup, so this is not rolled back with the save
+  await setFileTier(fileDoc._id, tier).catch((error) => {
+    console.error(`Failed to catalog ${fileDoc._id} in ${tier}:`, error.message);
+  });
+
+  // Usage drift is corrected when usage is recalculated at startup
+  await adjustUsage(fileDoc.owner, tier, 1, fileDoc.size).catch((error) => {
+    console.error(`Failed to count ${fileDoc._id} towards its owner's usage:`, error.message);
+  });
+  return fileDoc;
+};
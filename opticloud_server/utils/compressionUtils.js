@@ -0,0 +1,91 @@
+import zlib from 'zlib';
+
+// Compression algorithms, named after their HTTP content codings (Content-Encoding)
+export const COMPRESSION_ALGORITHMS = ['gzip', 'br'];
+
+// Levels used when a policy does not name one (Brotli's own default, 11, is too slow for large files)
+const DEFAULT_LEVELS = { gzip: 6, br: 9 };
+const LEVEL_RANGES = { gzip: [1, 9], br: [0, 11] };
+
+// Content types that are compressed already and gain nothing from another pass
+const COMPRESSED_TYPE_PREFIXES = ['image/', 'video/', 'audio/', 'font/woff'];
+const COMPRESSED_TYPES = [
+  'application/zip',
+  'application/gzip',
+  'application/x-gzip',
+  'application/x-bzip2',
+  'application/x-xz',
+  'application/x-7z-compressed',
+  'application/x-rar-compressed',
+  'application/vnd.rar',
+  'application/zstd',
+  'application/x-brotli',
+  'application/java-archive',
+  'application/epub+zip',
+  'application/pdf'
+];
+// Text-based or raw image formats that do compress
+const COMPRESSIBLE_IMAGE_TYPES = ['image/svg+xml', 'image/bmp', 'image/x-ms-bmp', 'image/tiff'];
+
+/**
+ * Parse a compression policy: 'none', or an algorithm with an optional level ('gzip',
+ * 'br:11')
+ * @param {string} value - Policy
+ * @param {string} source - Where the policy comes from (for errors)
+ * @returns {{algorithm: string, level: number}|null} - null for no compression
+ */
+export const parseCompressionPolicy = (value, source) => {
+  const [algorithm, levelText] = value.trim().toLowerCase().split(':');
+  if (algorithm === 'none') return null;
+  
+  if (!COMPRESSION_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Unknown compression algorithm "${algorithm}" in ${source} (expected none, ${COMPRESSION_ALGORITHMS.join(' or ')})`);
+  }
+  
+  const level = levelText === undefined ? DEFAULT_LEVELS[algorithm] : Number(levelText);
+  const [min, max] = LEVEL_RANGES[algorithm];
+  if (!Number.isInteger(level) || level < min || level > max) {
+    throw new Error(`Invalid ${algorithm} level "${levelText}" in ${source} (expected ${min}-${max})`);
+  }
+  return { algorithm, level };
+};
+
+/**
+ * Whether content of a type is worth compressing
+ * @param {string} [contentType] - MIME type (parameters are ignored)
+ * @returns {boolean}
+ */
+export const isCompressibleType = (contentType) => {
+  const type = (contentType || '').split(';')[0].trim().toLowerCase();
+  if (COMPRESSIBLE_IMAGE_TYPES.includes(type)) return true;
+  if (COMPRESSED_TYPES.includes(type)) return false;
+  if (type.startsWith('application/vnd.openxmlformats-') || type.startsWith('application/vnd.oasis.opendocument.')) return false; // Zip containers
+  return !COMPRESSED_TYPE_PREFIXES.some((prefix) => type.startsWith(prefix));
+};
+
+/**
+ * Create a transform stream that compresses data
+ * @param {{algorithm: string, level: number}} compression - Policy (see parseCompressionPolicy)
+ * @returns {import('stream').Transform}
+ */
+export const createCompressTransform = ({ algorithm, level }) => {
+  if (algorithm === 'br') {
+    return zlib.createBrotliCompress({ params: { [zlib.constants.BROTLI_PARAM_QUALITY]: level } });
+  }
+  return zlib.createGzip({ level });
+};
+
+/**
+ * Create a transform stream that decompresses data compressed by createCompressTransform
+ * @param {string} algorithm - 'gzip' or 'br'
+ * @returns {import('stream').Transform}
+ */
+export const createDecompressTransform = (algorithm) => {
+  if (algorithm === 'br') {
+    return zlib.createBrotliDecompress();
+  }
+  if (algorithm === 'gzip') {
+    return zlib.createGunzip();
+  }
+  throw new Error(`Unknown compression algorithm: ${algorithm}`);
+};
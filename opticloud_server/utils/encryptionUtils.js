@@ -0,0 +1,146 @@
+import crypto from 'crypto';
+import { Transform } from 'stream';
+
+// Cipher file contents are encrypted with (ciphertext is as long as the plaintext)
+export const CONTENT_CIPHER = 'aes-256-gcm';
+
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const AES_BLOCK_SIZE = 16;
+
+/**
+ * Generate a random data key for one stored object
+ * @returns {Buffer}
+ */
+export const generateDataKey = () => crypto.randomBytes(KEY_BYTES);
+
+/**
+ * Encrypt a data key with a master key (AES-256-GCM)
+ * @param {Buffer} dataKey
+ * @param {Buffer} masterKey
+ * @returns {string} - Base64 of IV, auth tag and encrypted key
+ */
+export const wrapDataKey = (dataKey, masterKey) => {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', masterKey, iv);
+  const encrypted = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64');
+};
+
+/**
+ * Decrypt a data key wrapped by wrapDataKey
+ * @param {string} wrappedKey - Base64 of IV, auth tag and encrypted key
+ * @param {Buffer} masterKey
+ * @returns {Buffer} - Data key
+ */
+export const unwrapDataKey = (wrappedKey, masterKey) => {
+  const wrapped = Buffer.from(wrappedKey, 'base64');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', masterKey, wrapped.subarray(0, IV_BYTES));
+  decipher.setAuthTag(wrapped.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  try {
+    return Buffer.concat([decipher.update(wrapped.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+  } catch {
+    throw new Error('Failed to unwrap data key: master key does not match');
+  }
+};
+
+/**
+ * Encryption parameters of a File or Blob document
+ * @param {Object} doc - File or Blob document
+ * @returns {Object|null} - { algorithm, keyId, wrappedKey, iv, authTag }, or null if stored unencrypted
+ */
+export const getEncryptionInfo = (doc) => {
+  if (!doc.encryption || !doc.encryption.wrappedKey) return null;
+  const { algorithm, keyId, wrappedKey, iv, authTag } = doc.encryption;
+  return { algorithm, keyId, wrappedKey, iv, authTag };
+};
+
+/**
+ * Create a transform stream that encrypts data with a data key
+ * @param {Buffer} dataKey
+ * @returns {Object} - Object with stream and getParams ({ iv, authTag } in base64, valid once the stream has ended)
+ */
+export const createEncryptTransform = (dataKey) => {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(CONTENT_CIPHER, dataKey, iv);
+  let authTag = null;
+  
+  const transform = new Transform({
+    transform(chunk, encoding, callback) {
+      callback(null, cipher.update(chunk));
+    },
+    
+    flush(callback) {
+      const rest = cipher.final();
+      authTag = cipher.getAuthTag();
+      callback(null, rest);
+    }
+  });
+  
+  return {
+    stream: transform,
+    getParams: () => {
+      if (authTag === null) {
+        throw new Error('Encryption parameters are not available until the stream has finished');
+      }
+      return { iv: iv.toString('base64'), authTag: authTag.toString('base64') };
+    }
+  };
+};
+
+/**
+ * Ciphertext range to read for a plaintext byte range: decryption can only start at a
+ * block boundary
+ * @param {{start: number, end: number}} range - Inclusive plaintext range
+ * @returns {{start: number, end: number}}
+ */
+export const alignRange = (range) => ({ start: range.start - (range.start % AES_BLOCK_SIZE), end: range.end });
+
+/**
+ * Create a transform stream that decrypts data encrypted by createEncryptTransform.
+ * Whole objects are authenticated and fail at the end if they were tampered with.
+ * A range is decrypted as the AES-CTR stream GCM is built on, starting at the block of
+ * range.start; its input must start at alignRange(range).start. Ranges are not
+ * authenticated (that needs every byte), which scrubbing and migrations cover instead.
+ * @param {Buffer} dataKey
+ * @param {{iv: string, authTag: string}} params - Base64 IV and auth tag
+ * @param {{start: number, end: number}} [range] - Inclusive plaintext range being read
+ * @returns {Transform}
+ */
+export const createDecryptTransform = (dataKey, { iv, authTag }, range) => {
+  let decipher;
+  let skip = 0;
+  
+  if (range) {
+    // GCM encrypts block n with counter IV || (n + 2)
+    const counter = Buffer.alloc(AES_BLOCK_SIZE);
+    Buffer.from(iv, 'base64').copy(counter);
+    counter.writeUInt32BE(Math.floor(range.start / AES_BLOCK_SIZE) + 2, IV_BYTES);
+    decipher = crypto.createDecipheriv('aes-256-ctr', dataKey, counter);
+    skip = range.start % AES_BLOCK_SIZE;
+  } else {
+    decipher = crypto.createDecipheriv(CONTENT_CIPHER, dataKey, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+  }
+  
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      let output = decipher.update(chunk);
+      if (skip > 0) {
+        const skipped = Math.min(skip, output.length);
+        output = output.subarray(skipped);
+        skip -= skipped;
+      }
+      callback(null, output);
+    },
+    
+    flush(callback) {
+      try {
+        callback(null, decipher.final());
+      } catch {
+        callback(new Error('Encrypted data failed authentication'));
+      }
+    }
+  });
+};
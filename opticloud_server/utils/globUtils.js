@@ -0,0 +1,39 @@
+/**
+ * Minimal glob matching for tiering rules: `*` matches any run of characters,
+ * `?` a single character; everything else is literal. Matching is case-insensitive.
+ */
+
+// Compiled patterns of tiering rules (only matchesGlob caches, as rules are few and
+// reused; patterns from requests are compiled each time)
+const cache = new Map();
+
+/**
+ * Convert a glob pattern to a RegExp anchored at both ends (runs of `*` count as one)
+ * @param {string} pattern - Glob pattern (e.g. "*.log", "image/*")
+ * @returns {RegExp}
+ */
+export const globToRegExp = (pattern) => {
+  const source = pattern
+    .replace(/\*+/g, '*')
+    .split('')
+    .map((char) => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\/]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`, 'i');
+};
+
+/**
+ * Test a value against a glob pattern
+ * @param {string} value - Value to test
+ * @param {string} pattern - Glob pattern
+ * @returns {boolean}
+ */
+export const matchesGlob = (value, pattern) => {
+  if (!cache.has(pattern)) {
+    cache.set(pattern, globToRegExp(pattern));
+  }
+  return cache.get(pattern).test(value || '');
+};
@@ -1,14 +1,53 @@
 import crypto from 'crypto';
-import { Readable } from 'stream';
+import { Transform } from 'stream';
+
+// Algorithms checksums can be calculated with (names as understood by crypto.createHash)
+export const HASH_ALGORITHMS = ['sha256', 'sha512', 'blake2b512', 'blake2s256', 'md5'];
+
+// Algorithm of checksums recorded before the algorithm was stored with them
+export const LEGACY_HASH_ALGORITHM = 'md5';
+
+// Algorithms whose checksums identify data well enough to share it between files and
+// owners (MD5 collisions can be crafted)
+export const COLLISION_RESISTANT_HASH_ALGORITHMS = ['sha256', 'sha512', 'blake2b512', 'blake2s256'];
+
+const DEFAULT_HASH_ALGORITHM = 'sha256';
+
+// Digest / Repr-Digest header algorithm names (RFC 3230, RFC 9530) mapped to ours
+const DIGEST_HEADER_ALGORITHMS = {
+  'md5': 'md5',
+  'sha-256': 'sha256',
+  'sha-512': 'sha512'
+};
+
+/**
+ * Algorithm new checksums are calculated with
+ * @returns {string} - HASH_ALGORITHM, default sha256
+ */
+export const getHashAlgorithm = () => {
+  const algorithm = (process.env.HASH_ALGORITHM || DEFAULT_HASH_ALGORITHM).toLowerCase();
+  if (!HASH_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Invalid HASH_ALGORITHM "${algorithm}". Must be one of: ${HASH_ALGORITHMS.join(', ')}`);
+  }
+  return algorithm;
+};
 
 /**
- * Calculate MD5 hash of a stream
+ * Algorithm a document's checksum was calculated with
+ * @param {Object} doc - File or Blob document
+ * @returns {string}
+ */
+export const getChecksumAlgorithm = (doc) => doc.checksumAlgorithm || LEGACY_HASH_ALGORITHM;
+
+/**
+ * Calculate the hash of a stream
  * @param {ReadableStream} stream - The stream to hash
- * @returns {Promise<string>} - The MD5 hash in hex format
+ * @param {string} [algorithm] - One of HASH_ALGORITHMS (default: the configured one)
+ * @returns {Promise<string>} - The hash in hex format
  */
-export const calculateStreamHash = (stream) => {
+export const calculateStreamHash = (stream, algorithm = getHashAlgorithm()) => {
   return new Promise((resolve, reject) => {
-    const hash = crypto.createHash('md5');
+    const hash = crypto.createHash(algorithm);
     
     stream.on('data', (chunk) => {
       hash.update(chunk);
@@ -26,40 +65,139 @@ export const calculateStreamHash = (stream) => {
 };
 
 /**
- * Calculate MD5 hash of a buffer
+ * Calculate several hashes of a stream in one pass
+ * @param {ReadableStream} stream - The stream to hash
+ * @param {Array<string>} algorithms - Algorithms from HASH_ALGORITHMS
+ * @returns {Promise<Object>} - Algorithm to hash in hex format
+ */
+export const calculateStreamHashes = (stream, algorithms) => {
+  return new Promise((resolve, reject) => {
+    const hashes = algorithms.map((algorithm) => crypto.createHash(algorithm));
+    
+    stream.on('data', (chunk) => {
+      for (const hash of hashes) {
+        hash.update(chunk);
+      }
+    });
+    
+    stream.on('end', () => {
+      resolve(Object.fromEntries(algorithms.map((algorithm, i) => [algorithm, hashes[i].digest('hex')])));
+    });
+    
+    stream.on('error', (error) => {
+      reject(error);
+    });
+  });
+};
+
+/**
+ * Calculate the hash of a buffer
  * @param {Buffer} buffer - The buffer to hash
- * @returns {string} - The MD5 hash in hex format
+ * @param {string} [algorithm] - One of HASH_ALGORITHMS (default: the configured one)
+ * @returns {string} - The hash in hex format
  */
-export const calculateBufferHash = (buffer) => {
-  return crypto.createHash('md5').update(buffer).digest('hex');
+export const calculateBufferHash = (buffer, algorithm = getHashAlgorithm()) => {
+  return crypto.createHash(algorithm).update(buffer).digest('hex');
 };
 
 /**
- * Create a transform stream that calculates hash while passing data through
- * @returns {Object} - Object with stream and getHash function
+ * Create a transform stream that calculates hashes while passing data through
+ * @param {string|Array<string>} [algorithms] - Algorithm(s) to calculate; the first is the
+ *   primary one returned by getHash (default: the configured algorithm)
+ * @returns {Object} - Object with stream, getHash / getHashes (valid once the stream has ended) and getSize functions
  */
-export const createHashTransform = () => {
-  const hash = crypto.createHash('md5');
-  const transform = new (class extends Readable {
-    _read() {}
-    
-    _transform(chunk, encoding, callback) {
-      hash.update(chunk);
-      this.push(chunk);
-      callback();
-    }
+export const createHashTransform = (algorithms = getHashAlgorithm()) => {
+  const list = [...new Set([].concat(algorithms))];
+  const hashes = list.map((algorithm) => crypto.createHash(algorithm));
+  let digests = null;
+  let size = 0;
+  
+  const transform = new Transform({
+    transform(chunk, encoding, callback) {
+      for (const hash of hashes) {
+        hash.update(chunk);
+      }
+      size += chunk.length;
+      callback(null, chunk);
+    },
     
-    _flush(callback) {
+    flush(callback) {
+      digests = Object.fromEntries(list.map((algorithm, i) => [algorithm, hashes[i].digest('hex')]));
       callback();
     }
-    
-    getHash() {
-      return hash.digest('hex');
+  });
+  
+  const getHashes = () => {
+    if (digests === null) {
+      throw new Error('Hash is not available until the stream has finished');
     }
-  })();
+    return digests;
+  };
   
   return {
     stream: transform,
-    getHash: () => hash.digest('hex')
+    getHash: (algorithm = list[0]) => getHashes()[algorithm],
+    getHashes,
+    getSize: () => size
   };
 };
+
+/**
+ * Parse the expected hashes a client sent with an upload: Content-MD5 (base64 MD5) and
+ * Digest / Repr-Digest (e.g. "sha-256=<base64>", Repr-Digest values wrapped in colons).
+ * Algorithms we cannot calculate are ignored.
+ * @param {Object} headers - Request headers (lower-case names)
+ * @returns {{expected?: Object, error?: string}} - expected maps algorithm to hex hash
+ *   (empty when no header was sent); error if headers were sent but none is usable
+ */
+export const parseExpectedDigests = (headers) => {
+  const expected = {};
+  let sent = false;
+  
+  const add = (algorithm, base64) => {
+    const digest = Buffer.from(base64.trim().replace(/^:|:$/g, ''), 'base64');
+    if (digest.length === 0) return false;
+    expected[algorithm] = digest.toString('hex');
+    return true;
+  };
+  
+  if (headers['content-md5']) {
+    sent = true;
+    if (!add('md5', headers['content-md5'])) return { error: 'Invalid Content-MD5 header' };
+  }
+  
+  for (const name of ['digest', 'repr-digest']) {
+    if (!headers[name]) continue;
+    sent = true;
+    
+    for (const entry of headers[name].split(',')) {
+      const separator = entry.indexOf('=');
+      if (separator <= 0) return { error: `Invalid ${name} header` };
+      
+      const algorithm = DIGEST_HEADER_ALGORITHMS[entry.slice(0, separator).trim().toLowerCase()];
+      if (algorithm && !add(algorithm, entry.slice(separator + 1))) {
+        return { error: `Invalid ${name} header` };
+      }
+    }
+  }
+  
+  if (sent && Object.keys(expected).length === 0) {
+    return { error: `No supported digest algorithm. Use Content-MD5 or one of: ${Object.keys(DIGEST_HEADER_ALGORITHMS).join(', ')}` };
+  }
+  return { expected };
+};
+
+/**
+ * Compare calculated hashes with the ones a client expected
+ * @param {Object} expected - Algorithm to expected hex hash
+ * @param {Object} actual - Algorithm to calculated hex hash
+ * @returns {{algorithm: string, expected: string, actual: string}|null} - First mismatch, or null
+ */
+export const findDigestMismatch = (expected, actual) => {
+  for (const [algorithm, hash] of Object.entries(expected)) {
+    if (actual[algorithm] !== hash) {
+      return { algorithm, expected: hash, actual: actual[algorithm] };
+    }
+  }
+  return null;
+};
@@ -0,0 +1,115 @@
+import crypto from 'crypto';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+
+/**
+ * HTTP Range helpers for the download route (RFC 9110 section 14)
+ */
+
+/**
+ * Check whether an If-Range validator still matches the representation.
+ * Entity tags must match strongly; dates must match Last-Modified exactly (to the second).
+ * @param {string} ifRange - If-Range header value
+ * @param {string|null} etag - Current strong ETag
+ * @param {Date|null} lastModified - Current Last-Modified date
+ * @returns {boolean}
+ */
+const ifRangeMatches = (ifRange, etag, lastModified) => {
+  if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+    return Boolean(etag) && ifRange === etag;
+  }
+  
+  const since = Date.parse(ifRange);
+  if (Number.isNaN(since) || !lastModified) return false;
+  return Math.floor(lastModified.getTime() / 1000) === Math.floor(since / 1000);
+};
+
+/**
+ * Resolve the byte ranges a request asks for
+ * @param {import('express').Request} req - Request (uses Range and If-Range)
+ * @param {number} size - Total size of the representation
+ * @param {{etag: string|null, lastModified: Date|null}} validators - Current validators
+ * @returns {Array<{start: number, end: number}>|null|-1} - Ranges to send, null for the
+ *   full body, or -1 if the range cannot be satisfied
+ */
+export const getRequestedRanges = (req, size, { etag, lastModified }) => {
+  if (!req.headers.range) return null;
+  
+  // A stale If-Range means the client's partial copy is outdated: send everything
+  const ifRange = req.headers['if-range'];
+  if (ifRange && !ifRangeMatches(ifRange, etag, lastModified)) return null;
+  
+  const ranges = req.range(size, { combine: true });
+  
+  if (ranges === -1) return -1;
+  
+  // Malformed headers (-2) and unknown range units are ignored
+  if (ranges === -2 || ranges.type !== 'bytes') return null;
+  
+  return ranges.map(({ start, end }) => ({ start, end }));
+};
+
+/**
+ * Create a transform stream that passes on only a byte range of the data flowing
+ * through it, for data that cannot be read from an offset (compressed data is read from
+ * its start instead). Its readable side ends as soon as the range is complete; whatever
+ * is written after that is dropped, so the caller should stop the source on 'end'.
+ * @param {{start: number, end: number}} range - Inclusive byte range
+ * @returns {Transform}
+ */
+export const createRangeTransform = ({ start, end }) => {
+  let offset = 0;
+  let done = false;
+  
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      if (done) return callback();
+      
+      const chunkStart = offset;
+      offset += chunk.length;
+      if (offset <= start) {
+        return callback();
+      }
+      
+      this.push(chunk.subarray(Math.max(start - chunkStart, 0), end - chunkStart + 1));
+      if (offset > end) {
+        done = true;
+        this.push(null);
+      }
+      callback();
+    }
+  });
+};
+
+/**
+ * Send several ranges as a multipart/byteranges body, streaming each part in turn
+ * @param {import('express').Response} res - Response (status and validators already set)
+ * @param {Array<{start: number, end: number}>} ranges - Ranges to send
+ * @param {Object} options
+ * @param {number} options.size - Total size of the representation
+ * @param {string} options.contentType - Content type of the representation
+ * @param {Function} options.openStream - (range) => Readable for one range
+ */
+export const sendMultipartRanges = async (res, ranges, { size, contentType, openStream }) => {
+  const boundary = crypto.randomBytes(16).toString('hex');
+  const partHeaders = ranges.map(({ start, end }) => (
+    `\r\n--${boundary}\r\n` +
+    `Content-Type: ${contentType}\r\n` +
+    `Content-Range: bytes ${start}-${end}/${size}\r\n\r\n`
+  ));
+  const closing = `\r\n--${boundary}--\r\n`;
+  
+  const contentLength = ranges.reduce(
+    (total, { start, end }, i) => total + Buffer.byteLength(partHeaders[i]) + (end - start + 1),
+    Buffer.byteLength(closing)
+  );
+  
+  res.setHeader('Content-Type', `multipart/byteranges; boundary=${boundary}`);
+  res.setHeader('Content-Length', contentLength);
+  
+  for (let i = 0; i < ranges.length; i++) {
+    res.write(partHeaders[i]);
+    await pipeline(openStream(ranges[i]), res, { end: false });
+  }
+  res.end(closing);
+};